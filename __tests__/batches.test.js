@@ -0,0 +1,236 @@
+/**
+ * Tests for the Batch API
+ */
+
+const axios = require('axios');
+const MockAdapter = require('axios-mock-adapter');
+const ModelPilot = require('../src/index');
+const { Batches } = require('../src/batches');
+const { InvalidRequestError, RateLimitError, ModelPilotError, APIUserAbortError } = require('../src/errors');
+
+const mock = new MockAdapter(axios);
+
+function batchObject(status, extra = {}) {
+  return {
+    id: 'batch_1',
+    object: 'batch',
+    endpoint: '/router/test-router-id',
+    input_file_id: 'file-in',
+    completion_window: '24h',
+    status,
+    output_file_id: null,
+    error_file_id: null,
+    request_counts: { total: 2, completed: 0, failed: 0 },
+    ...extra
+  };
+}
+
+function uploadedLines(request) {
+  const body = Buffer.from(request.data).toString();
+  const content = body.split('\r\n\r\n')[2].split('\r\n')[0];
+  return content.trim().split('\n').map(line => JSON.parse(line));
+}
+
+describe('Batches', () => {
+  let client;
+
+  beforeEach(() => {
+    mock.reset();
+    client = new ModelPilot({
+      apiKey: 'mp_test-api-key',
+      routerId: 'test-router-id'
+    });
+  });
+
+  afterEach(() => {
+    mock.reset();
+  });
+
+  it('should be exposed on the client', () => {
+    expect(client.batches).toBeInstanceOf(Batches);
+  });
+
+  describe('create', () => {
+    it('should upload the requests as JSONL and create the batch', async () => {
+      mock.onPost('/files').reply(200, { id: 'file-in', object: 'file', purpose: 'batch' });
+      mock.onPost('/batches').reply(200, batchObject('validating'));
+
+      const batch = await client.batches.create({
+        requests: [
+          { custom_id: 'greeting', messages: [{ role: 'user', content: 'Hello' }], max_tokens: 10 },
+          { messages: [{ role: 'user', content: 'Goodbye' }] }
+        ],
+        metadata: { job: 'nightly' }
+      }, { idempotencyKey: 'nightly-1' });
+
+      expect(batch.id).toBe('batch_1');
+
+      const [upload, create] = mock.history.post;
+      expect(Buffer.from(upload.data).toString()).toContain('name="purpose"\r\n\r\nbatch');
+      expect(Buffer.from(upload.data).toString()).toContain('filename="batch-input.jsonl"');
+      expect(upload.headers['Idempotency-Key']).toBe('nightly-1-input');
+      expect(uploadedLines(upload)).toEqual([
+        {
+          custom_id: 'greeting',
+          method: 'POST',
+          url: '/router/test-router-id',
+          body: { messages: [{ role: 'user', content: 'Hello' }], routerId: 'test-router-id', max_tokens: 10 }
+        },
+        {
+          custom_id: 'request-1',
+          method: 'POST',
+          url: '/router/test-router-id',
+          body: { messages: [{ role: 'user', content: 'Goodbye' }], routerId: 'test-router-id' }
+        }
+      ]);
+
+      expect(JSON.parse(create.data)).toEqual({
+        input_file_id: 'file-in',
+        endpoint: '/router/test-router-id',
+        completion_window: '24h',
+        metadata: { job: 'nightly' }
+      });
+      expect(create.headers['Idempotency-Key']).toBe('nightly-1');
+    });
+
+    it('should create a batch from an uploaded file', async () => {
+      mock.onPost('/batches').reply(200, batchObject('validating'));
+
+      await client.batches.create({ input_file_id: 'file-in' }, { routerId: 'other-router' });
+
+      expect(mock.history.post).toHaveLength(1);
+      expect(JSON.parse(mock.history.post[0].data)).toMatchObject({ input_file_id: 'file-in', endpoint: '/router/other-router' });
+    });
+
+    it('should validate every request before uploading', async () => {
+      await expect(client.batches.create({})).rejects.toThrow('requests or input_file_id is required');
+      await expect(client.batches.create({ requests: [] })).rejects.toThrow('requests must be a non-empty array');
+      await expect(client.batches.create({
+        requests: [{ messages: [{ role: 'user', content: 'Hi' }] }, { messages: [{ content: 'No role' }] }]
+      })).rejects.toThrow('requests[1]: messages[0].role is required');
+      await expect(client.batches.create({
+        requests: [{ messages: [{ role: 'user', content: 'Hi' }], tools: [{ type: 'function' }] }]
+      })).rejects.toThrow(InvalidRequestError);
+      await expect(client.batches.create({
+        requests: [{ custom_id: 'a', messages: [{ role: 'user', content: 'Hi' }] }, { custom_id: 'a', messages: [{ role: 'user', content: 'Hi' }] }]
+      })).rejects.toThrow('requests[1].custom_id "a" is used more than once');
+      await expect(client.batches.create({
+        requests: [{ messages: [{ role: 'user', content: 'Hi' }], stream: true }]
+      })).rejects.toThrow('stream is not supported in batches');
+      await expect(client.batches.create({ input_file_id: 'file-in', completion_window: '1h' })).rejects.toThrow('completion_window must be one of 24h');
+      expect(mock.history.post).toHaveLength(0);
+    });
+  });
+
+  it('should retrieve, list and cancel batches', async () => {
+    mock.onGet('/batches/batch_1').reply(200, batchObject('in_progress'));
+    mock.onGet('/batches').reply(200, { object: 'list', data: [batchObject('completed')], has_more: false });
+    mock.onPost('/batches/batch_1/cancel').reply(200, batchObject('cancelling'));
+
+    expect((await client.batches.retrieve('batch_1')).status).toBe('in_progress');
+    expect((await client.batches.list({ limit: 5 })).data).toHaveLength(1);
+    expect(mock.history.get[1].params).toEqual({ limit: 5, after: undefined });
+    expect((await client.batches.cancel('batch_1')).status).toBe('cancelling');
+    await expect(client.batches.retrieve('')).rejects.toThrow('batchId must be a non-empty string');
+  });
+
+  describe('poll', () => {
+    it('should poll until the batch reaches a final state', async () => {
+      mock
+        .onGet('/batches/batch_1').replyOnce(200, batchObject('validating'))
+        .onGet('/batches/batch_1').replyOnce(200, batchObject('in_progress'))
+        .onGet('/batches/batch_1').replyOnce(200, batchObject('completed', { output_file_id: 'file-out' }));
+
+      const batch = await client.batches.poll('batch_1', { pollInterval: 1 });
+
+      expect(batch.status).toBe('completed');
+      expect(mock.history.get).toHaveLength(3);
+    });
+
+    it('should create and poll', async () => {
+      mock.onPost('/batches').reply(200, batchObject('validating'));
+      mock.onGet('/batches/batch_1').reply(200, batchObject('failed'));
+
+      const batch = await client.batches.createAndPoll({ input_file_id: 'file-in' }, { pollInterval: 1, idempotencyKey: 'job' });
+
+      expect(batch.status).toBe('failed');
+      expect(mock.history.get[0].headers['Idempotency-Key']).toBeUndefined();
+    });
+
+    it('should run a batch to its results', async () => {
+      mock.onPost('/batches').reply(200, batchObject('validating'));
+      mock.onGet('/batches/batch_1').reply(200, batchObject('completed', { output_file_id: 'file-out' }));
+      mock.onGet('/files/file-out/content').reply(200,
+        JSON.stringify({ id: 'r1', custom_id: 'greeting', response: { status_code: 200, body: { id: 'chatcmpl-1', choices: [] } }, error: null }) + '\n'
+      );
+
+      const { batch, results } = await client.batches.run({ input_file_id: 'file-in' }, { pollInterval: 1, idempotencyKey: 'job' });
+
+      expect(batch.status).toBe('completed');
+      expect(results.get('greeting').completion).toEqual({ id: 'chatcmpl-1', choices: [] });
+      expect(mock.history.get.map(request => request.headers['Idempotency-Key'])).toEqual([undefined, undefined]);
+    });
+
+    it('should run a batch that ended without output to empty results', async () => {
+      mock.onPost('/batches').reply(200, batchObject('validating'));
+      mock.onGet('/batches/batch_1').reply(200, batchObject('failed'));
+
+      const { batch, results } = await client.batches.run({ input_file_id: 'file-in' }, { pollInterval: 1 });
+
+      expect(batch.status).toBe('failed');
+      expect(results.size).toBe(0);
+    });
+
+    it('should stop polling when aborted', async () => {
+      const controller = new AbortController();
+      mock.onGet('/batches/batch_1').reply(200, batchObject('in_progress'));
+
+      setTimeout(() => controller.abort(), 20);
+
+      await expect(client.batches.poll('batch_1', { pollInterval: 1000, signal: controller.signal })).rejects.toThrow(APIUserAbortError);
+    });
+  });
+
+  describe('results', () => {
+    it('should match output and error lines to their custom_id', async () => {
+      mock.onGet('/files/file-out/content').reply(200, [
+        JSON.stringify({ id: 'r1', custom_id: 'greeting', response: { status_code: 200, body: { id: 'chatcmpl-1', choices: [] } }, error: null }),
+        JSON.stringify({ id: 'r2', custom_id: 'request-1', response: { status_code: 429, body: { error: { message: 'Slow down' } } }, error: null }),
+        ''
+      ].join('\n'));
+      mock.onGet('/files/file-err/content').reply(200,
+        JSON.stringify({ id: 'r3', custom_id: 'request-2', response: null, error: { code: 'batch_expired', message: 'Request expired' } }) + '\n'
+      );
+
+      const results = await client.batches.results(batchObject('completed', { output_file_id: 'file-out', error_file_id: 'file-err' }));
+
+      expect([...results.keys()]).toEqual(['greeting', 'request-1', 'request-2']);
+      expect(results.get('greeting')).toEqual({
+        custom_id: 'greeting',
+        status_code: 200,
+        completion: { id: 'chatcmpl-1', choices: [] },
+        error: null
+      });
+      expect(results.get('request-1').error).toBeInstanceOf(RateLimitError);
+      expect(results.get('request-1').completion).toBeNull();
+      expect(results.get('request-2').error).toBeInstanceOf(ModelPilotError);
+      expect(results.get('request-2').error.code).toBe('batch_expired');
+    });
+
+    it('should name the line of malformed output', async () => {
+      mock.onGet('/files/file-out/content').reply(200, '{"custom_id":"a","response":{"status_code":200,"body":{}}}\n{"custom_id":');
+
+      const error = await client.batches.results(batchObject('completed', { output_file_id: 'file-out' })).catch(caught => caught);
+
+      expect(error).toBeInstanceOf(ModelPilotError);
+      expect(error.type).toBe('invalid_response');
+      expect(error.message).toMatch(/^Line 2 of batch file file-out is not valid JSON/);
+    });
+
+    it('should fetch the batch when given an ID', async () => {
+      mock.onGet('/batches/batch_1').reply(200, batchObject('in_progress'));
+
+      await expect(client.batches.results('batch_1')).rejects.toThrow('Batch batch_1 has no results yet (status: in_progress)');
+    });
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Tests for the response cache
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { stableStringify, cacheKey, MemoryCacheStore, FileCacheStore, ResponseCache, createResponseCache } = require('../src/cache');
+
+describe('stableStringify', () => {
+  it('should sort object keys and drop undefined values', () => {
+    expect(stableStringify({ b: 1, a: { d: [1, undefined], c: 'x' }, e: undefined })).toBe('{"a":{"c":"x","d":[1,null]},"b":1}');
+  });
+});
+
+describe('cacheKey', () => {
+  const payload = { messages: [{ role: 'user', content: 'Hello!' }], routerId: 'test-router-id', temperature: 0 };
+
+  it('should not depend on key order or the streaming flags', async () => {
+    const key = await cacheKey(payload);
+
+    expect(key).toMatch(/^[0-9a-f]{64}$/);
+    expect(await cacheKey({ temperature: 0, routerId: 'test-router-id', messages: payload.messages })).toBe(key);
+    expect(await cacheKey({ ...payload, stream: true, stream_options: { include_usage: true } })).toBe(key);
+  });
+
+  it('should change with the payload and the router', async () => {
+    const key = await cacheKey(payload);
+
+    expect(await cacheKey({ ...payload, temperature: 1 })).not.toBe(key);
+    expect(await cacheKey({ ...payload, routerId: 'other-router' })).not.toBe(key);
+  });
+});
+
+describe('MemoryCacheStore', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should evict the least recently used entry', async () => {
+    const store = new MemoryCacheStore({ maxEntries: 2 });
+    await store.set('a', 1);
+    await store.set('b', 2);
+    await store.get('a');
+    await store.set('c', 3);
+
+    expect(store.size).toBe(2);
+    expect(await store.get('a')).toBe(1);
+    expect(await store.get('b')).toBeUndefined();
+    expect(await store.get('c')).toBe(3);
+  });
+
+  it('should expire entries after their TTL', async () => {
+    const store = new MemoryCacheStore();
+    await store.set('a', 1, 1000);
+    await store.set('b', 2);
+
+    now += 999;
+    expect(await store.get('a')).toBe(1);
+
+    now += 1;
+    expect(await store.get('a')).toBeUndefined();
+    expect(await store.get('b')).toBe(2);
+    expect(store.size).toBe(1);
+  });
+
+  it('should delete and clear entries', async () => {
+    const store = new MemoryCacheStore();
+    await store.set('a', 1);
+    await store.set('b', 2);
+
+    await store.delete('a');
+    expect(await store.get('a')).toBeUndefined();
+
+    await store.clear();
+    expect(store.size).toBe(0);
+  });
+
+  it('should validate maxEntries', () => {
+    expect(() => new MemoryCacheStore({ maxEntries: 0 })).toThrow('maxEntries must be a positive integer');
+  });
+});
+
+describe('FileCacheStore', () => {
+  let directory;
+  let store;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'modelpilot-cache-'));
+    store = new FileCacheStore({ directory: path.join(directory, 'entries') });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should store entries as JSON files', async () => {
+    await store.set('abc', { id: 'chatcmpl-1' });
+
+    expect(await store.get('abc')).toEqual({ id: 'chatcmpl-1' });
+    expect(fs.readdirSync(store.directory)).toEqual(['abc.json']);
+    expect(await new FileCacheStore({ directory: store.directory }).get('abc')).toEqual({ id: 'chatcmpl-1' });
+    expect(await store.get('missing')).toBeUndefined();
+  });
+
+  it('should remove expired entries', async () => {
+    let now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    await store.set('abc', 1, 1000);
+    now += 1000;
+
+    expect(await store.get('abc')).toBeUndefined();
+    expect(fs.readdirSync(store.directory)).toEqual([]);
+  });
+
+  it('should delete and clear entries', async () => {
+    await store.set('a', 1);
+    await store.set('b', 2);
+
+    await store.delete('a');
+    expect(await store.get('a')).toBeUndefined();
+
+    await store.clear();
+    expect(fs.readdirSync(store.directory)).toEqual([]);
+    await expect(new FileCacheStore({ directory: path.join(directory, 'missing') }).clear()).resolves.toBeUndefined();
+  });
+
+  it('should require a directory', () => {
+    expect(() => new FileCacheStore()).toThrow('directory must be a non-empty string');
+  });
+});
+
+describe('ResponseCache', () => {
+  it('should copy values in and out of the store', async () => {
+    const cache = new ResponseCache();
+    const value = { choices: [{ message: { content: 'Hi' } }] };
+
+    await cache.set('key', value);
+    value.choices[0].message.content = 'Changed';
+    const first = await cache.get('key');
+    first.choices = [];
+
+    expect(await cache.get('key')).toEqual({ choices: [{ message: { content: 'Hi' } }] });
+  });
+
+  it('should pass its TTL to the store unless one is given', async () => {
+    const store = { get: jest.fn(), set: jest.fn() };
+    const cache = new ResponseCache({ store, ttl: 5000 });
+
+    await cache.set('a', 1);
+    await cache.set('b', 2, 100);
+
+    expect(store.set.mock.calls).toEqual([['a', 1, 5000], ['b', 2, 100]]);
+  });
+
+  it('should treat store failures as misses', async () => {
+    const cache = new ResponseCache({
+      store: {
+        get: jest.fn().mockRejectedValue(new Error('Redis down')),
+        set: jest.fn().mockRejectedValue(new Error('Redis down'))
+      }
+    });
+
+    await expect(cache.set('key', 1)).resolves.toBeUndefined();
+    await expect(cache.get('key')).resolves.toBeUndefined();
+  });
+
+  it('should be created from the client cache option', () => {
+    const store = { get: () => null, set: () => {} };
+
+    expect(createResponseCache(undefined)).toBeNull();
+    expect(createResponseCache(true).store).toBeInstanceOf(MemoryCacheStore);
+    expect(createResponseCache(store).store).toBe(store);
+    expect(createResponseCache({ ttl: 1000 }).ttl).toBe(1000);
+    expect(() => createResponseCache({ store: {} })).toThrow('cache store must implement get(key) and set(key, value, ttl)');
+    expect(() => createResponseCache({ ttl: -1 })).toThrow('cache ttl must be a positive number');
+  });
+});
@@ -6,7 +6,9 @@ const axios = require('axios');
 const MockAdapter = require('axios-mock-adapter');
 const ModelPilot = require('../src/index');
 const { ChatCompletionStream } = require('../src/chat');
-const { InvalidRequestError } = require('../src/errors');
+const { PassThrough, Readable } = require('stream');
+const { ModelPilotError, APIError, APIConnectionError, InvalidRequestError, InternalServerError, RateLimitError, APIUserAbortError } = require('../src/errors');
+const { createMockStreamResponse } = require('./helpers');
 
 // Create axios mock adapter
 const mock = new MockAdapter(axios);
@@ -35,6 +37,17 @@ describe('ChatCompletions', () => {
       { role: 'user', content: 'Hello!' }
     ];
 
+    it('should be reachable as chat.completions.create', async () => {
+      mock.onPost('/router/test-router-id').reply(200, { id: 'chatcmpl-1', choices: [] });
+
+      const completion = await client.chat.completions.create({ messages: validMessages, n: 2 });
+
+      expect(client.chat.completions).toBe(chat);
+      expect(completion.id).toBe('chatcmpl-1');
+      expect(JSON.parse(mock.history.post[0].data).n).toBe(2);
+      await expect(chat.create({ messages: validMessages, n: 0 })).rejects.toThrow('n must be a positive integer');
+    });
+
     it('should create basic chat completion', async () => {
       const mockResponse = {
         id: 'chatcmpl-123',
@@ -59,6 +72,52 @@ describe('ChatCompletions', () => {
       expect(mock.history.post[0].url).toMatch(/\/router\//);
     });
 
+    it('should reject with APIUserAbortError when the signal is aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      mock.onPost().reply(200, {});
+
+      await expect(chat.create({
+        messages: validMessages
+      }, { signal: controller.signal })).rejects.toThrow(APIUserAbortError);
+      expect(mock.history.post).toHaveLength(0);
+    });
+
+    it('should apply per-request options over client defaults', async () => {
+      mock.onPost().reply(200, { id: 'chatcmpl-123' });
+
+      await chat.create({
+        messages: validMessages
+      }, {
+        routerId: 'heavy-router',
+        timeout: 120000,
+        headers: { 'X-Trace-Id': 'trace-1' },
+        idempotencyKey: 'idem-1'
+      });
+
+      const request = mock.history.post[0];
+      expect(request.url).toBe('/router/heavy-router');
+      expect(JSON.parse(request.data).routerId).toBe('heavy-router');
+      expect(request.timeout).toBe(120000);
+      expect(request.headers['X-Trace-Id']).toBe('trace-1');
+      expect(request.headers['Idempotency-Key']).toBe('idem-1');
+    });
+
+    it('should honor a per-request maxRetries override', async () => {
+      mock.onPost().reply(500, { error: { message: 'Server error' } });
+
+      await expect(chat.create({
+        messages: validMessages
+      }, { maxRetries: 0 })).rejects.toThrow(APIError);
+      expect(mock.history.post).toHaveLength(1);
+    });
+
+    it('should validate per-request options', async () => {
+      await expect(chat.create({
+        messages: validMessages
+      }, { timeout: -5 })).rejects.toThrow('timeout must be a positive number');
+    });
+
     it('should validate required messages parameter', async () => {
       await expect(chat.create({})).rejects.toThrow(InvalidRequestError);
       await expect(chat.create({ messages: null })).rejects.toThrow(InvalidRequestError);
@@ -73,6 +132,49 @@ describe('ChatCompletions', () => {
       await expect(chat.create({
         messages: [{ role: 'user' }]
       })).rejects.toThrow('content is required');
+
+      await expect(chat.create({
+        messages: [{ role: 'tool', tool_call_id: 'call_1' }]
+      })).rejects.toThrow('content is required');
+    });
+
+    it('should accept multimodal content parts', async () => {
+      mock.onPost().reply(200, { choices: [] });
+
+      await chat.create({
+        messages: [{
+          role: 'user',
+          content: [
+            { type: 'text', text: 'Describe these' },
+            { type: 'image_url', image_url: { url: 'https://example.com/a.png', detail: 'low' } },
+            { type: 'image_url', image_url: { url: 'data:image/png;base64,iVBORw0KGgo=' } },
+            { type: 'input_audio', input_audio: { data: 'UklGRg==', format: 'wav' } },
+            { type: 'file', file: { filename: 'a.pdf', file_data: 'data:application/pdf;base64,JVBERi0=' } },
+            { type: 'file', file: { file_id: 'file-1' } }
+          ]
+        }]
+      });
+
+      expect(mock.history.post).toHaveLength(1);
+    });
+
+    it('should validate content parts', async () => {
+      const withContent = (content, role = 'user') => chat.create({ messages: [{ role, content }] });
+
+      await expect(withContent([])).rejects.toThrow('messages[0].content cannot be an empty array');
+      await expect(withContent([{ type: 'video' }])).rejects.toThrow('messages[0].content[0].type must be one of');
+      await expect(withContent([{ type: 'text' }])).rejects.toThrow('messages[0].content[0].text must be a string');
+      await expect(withContent([{ type: 'image_url', image_url: { url: 'ftp://example.com/a.png' } }]))
+        .rejects.toThrow('image_url.url must be an http(s) URL or a base64 image data URL');
+      await expect(withContent([{ type: 'image_url', image_url: { url: 'https://example.com/a.png', detail: 'max' } }]))
+        .rejects.toThrow('image_url.detail must be one of: auto, low, high');
+      await expect(withContent([{ type: 'input_audio', input_audio: { data: 'UklGRg==', format: 'flac' } }]))
+        .rejects.toThrow('input_audio.format must be one of: wav, mp3');
+      await expect(withContent([{ type: 'file', file: {} }])).rejects.toThrow('file must have a file_id or file_data string');
+      await expect(withContent([{ type: 'image_url', image_url: { url: 'https://example.com/a.png' } }], 'system'))
+        .rejects.toThrow('image_url parts are only allowed in user messages');
+      await expect(withContent([{ type: 'refusal', refusal: 'No' }])).rejects.toThrow(InvalidRequestError);
+      expect(mock.history.post).toHaveLength(0);
     });
 
     it('should validate max_tokens parameter', async () => {
@@ -197,6 +299,384 @@ describe('ChatCompletions', () => {
     });
   });
 
+  describe('fallbacks', () => {
+    const completion = { id: 'chatcmpl-1', choices: [{ index: 0, message: { role: 'assistant', content: 'Hi' }, finish_reason: 'stop' }], _meta: { modelUsed: 'openai:gpt-4o-mini' } };
+    const messages = [{ role: 'user', content: 'Hello!' }];
+
+    function sseBody(chunks) {
+      return Readable.from(chunks.map(chunk => Buffer.from(chunk)));
+    }
+
+    it('should try each fallback in order on retryable errors', async () => {
+      mock.onPost('/router/test-router-id').reply(503, { error: { message: 'Router down' } });
+      mock.onPost('/router/backup-router').reply(502, { error: { message: 'Bad gateway' } });
+      mock.onPost('/router/last-router').reply(200, completion);
+
+      const result = await chat.create({ messages }, {
+        maxRetries: 0,
+        fallbacks: [{ routerId: 'backup-router' }, { routerId: 'last-router', model: 'anthropic:claude-3-5-sonnet' }]
+      });
+
+      expect(result._meta).toEqual({ modelUsed: 'openai:gpt-4o-mini', fallbackAttempt: 2 });
+      expect(mock.history.post.map(request => request.url)).toEqual(['/router/test-router-id', '/router/backup-router', '/router/last-router']);
+      expect(JSON.parse(mock.history.post[2].data)).toMatchObject({ routerId: 'last-router', model: 'anthropic:claude-3-5-sonnet' });
+      expect(JSON.parse(mock.history.post[0].data).model).toBeUndefined();
+    });
+
+    it('should retry the request itself before falling back', async () => {
+      mock
+        .onPost('/router/test-router-id').replyOnce(503, { error: { message: 'Router down' } }, { 'retry-after-ms': '0' })
+        .onPost('/router/test-router-id').replyOnce(503, { error: { message: 'Router down' } }, { 'retry-after-ms': '0' })
+        .onPost('/router/test-router-id').replyOnce(200, completion);
+
+      const result = await chat.create({ messages }, { maxRetries: 2, fallbacks: [{ model: 'anthropic:claude-3-5-sonnet' }] });
+
+      expect(result._meta.fallbackAttempt).toBe(0);
+      expect(mock.history.post).toHaveLength(3);
+    });
+
+    it('should use the client fallbacks unless the request overrides them', async () => {
+      const fallbackClient = new ModelPilot({
+        apiKey: 'mp_test-api-key',
+        routerId: 'test-router-id',
+        maxRetries: 0,
+        fallbacks: [{ model: 'anthropic:claude-3-5-sonnet' }]
+      });
+      mock
+        .onPost('/router/test-router-id').replyOnce(500, { error: { message: 'Boom' } })
+        .onPost('/router/test-router-id').replyOnce(200, completion)
+        .onPost('/router/test-router-id').replyOnce(500, { error: { message: 'Boom' } });
+
+      expect((await fallbackClient.chat.create({ messages }))._meta.fallbackAttempt).toBe(1);
+      expect(JSON.parse(mock.history.post[1].data).model).toBe('anthropic:claude-3-5-sonnet');
+
+      await expect(fallbackClient.chat.create({ messages }, { fallbacks: [] })).rejects.toThrow(InternalServerError);
+      expect(mock.history.post).toHaveLength(3);
+    });
+
+    it('should send each fallback with its own idempotency key', async () => {
+      mock.onPost('/router/test-router-id').replyOnce(503, { error: { message: 'Router down' } });
+      mock.onPost('/router/test-router-id').replyOnce(503, { error: { message: 'Router down' } });
+      mock.onPost('/router/backup-router').reply(200, completion);
+
+      await chat.create({ messages }, {
+        maxRetries: 0,
+        idempotencyKey: 'key-1',
+        fallbacks: [{ model: 'anthropic:claude-3-5-sonnet' }, { routerId: 'backup-router' }]
+      });
+
+      expect(mock.history.post.map(request => [request.url, JSON.parse(request.data).model, request.headers['Idempotency-Key']])).toEqual([
+        ['/router/test-router-id', undefined, 'key-1'],
+        ['/router/test-router-id', 'anthropic:claude-3-5-sonnet', 'key-1-fallback-1'],
+        ['/router/backup-router', undefined, 'key-1-fallback-2']
+      ]);
+    });
+
+    it('should not fall back on errors that are not retryable', async () => {
+      mock.onPost('/router/test-router-id').reply(400, { error: { message: 'Bad request' } });
+
+      await expect(chat.create({ messages }, { fallbacks: [{ routerId: 'backup-router' }] })).rejects.toThrow(InvalidRequestError);
+      expect(mock.history.post).toHaveLength(1);
+    });
+
+    it('should throw the last error when every fallback fails', async () => {
+      mock.onPost('/router/test-router-id').reply(503, { error: { message: 'Router down' } });
+      mock.onPost('/router/backup-router').reply(500, { error: { message: 'Backup down' } });
+
+      await expect(chat.create({ messages }, { maxRetries: 0, fallbacks: [{ routerId: 'backup-router' }] })).rejects.toThrow('Backup down');
+    });
+
+    it('should fall back when a stream fails before the response arrives', async () => {
+      mock.onPost('/router/test-router-id').reply(503, { error: { message: 'Router down' } });
+      mock.onPost('/router/backup-router').reply(() => [200, sseBody(['data: {"choices":[{"index":0,"delta":{"content":"Hi"}}],"_meta":{"modelUsed":"openai:gpt-4o-mini"}}\n\n'])]);
+
+      const stream = await chat.create({ messages, stream: true }, { maxRetries: 0, fallbacks: [{ routerId: 'backup-router' }] });
+
+      expect(await stream.getText()).toBe('Hi');
+      expect(stream.meta).toEqual({ fallbackAttempt: 1, modelUsed: 'openai:gpt-4o-mini' });
+      expect((await stream.finalChatCompletion())._meta.fallbackAttempt).toBe(1);
+    });
+
+    it('should fall back when a stream fails before the first token', async () => {
+      mock.onPost('/router/test-router-id').reply(() => [200, sseBody(['event: error\ndata: {"error":{"message":"Upstream overloaded","status":503}}\n\n'])]);
+      mock.onPost('/router/backup-router').reply(() => [200, sseBody(['data: {"choices":[{"index":0,"delta":{"content":"Hi"}}]}\n\n'])]);
+
+      const stream = await chat.create({ messages, stream: true }, { maxRetries: 0, fallbacks: [{ routerId: 'backup-router' }] });
+      const onReconnect = jest.fn();
+      stream.on('reconnect', onReconnect);
+
+      expect(await stream.getText()).toBe('Hi');
+      expect(stream.meta.fallbackAttempt).toBe(1);
+      expect(onReconnect).toHaveBeenCalledTimes(1);
+      expect(mock.history.post.map(request => request.url)).toEqual(['/router/test-router-id', '/router/backup-router']);
+    });
+
+    it('should not fall back once a stream has produced content', async () => {
+      mock.onPost('/router/test-router-id').reply(() => [200, sseBody([
+        'data: {"choices":[{"index":0,"delta":{"content":"Once"}}]}\n\n',
+        'event: error\ndata: {"error":{"message":"Upstream overloaded","status":503}}\n\n'
+      ])]);
+
+      const stream = await chat.create({ messages, stream: true }, { maxRetries: 0, fallbacks: [{ routerId: 'backup-router' }] });
+
+      await expect(stream.getText()).rejects.toThrow('Upstream overloaded');
+      expect(mock.history.post).toHaveLength(1);
+    });
+
+    it('should skip routers whose circuit is open', async () => {
+      const breakerClient = new ModelPilot({
+        apiKey: 'mp_test-api-key',
+        routerId: 'test-router-id',
+        maxRetries: 0,
+        circuitBreaker: { minimumRequests: 1, windowSize: 1 },
+        fallbacks: [{ routerId: 'backup-router' }]
+      });
+      mock.onPost('/router/test-router-id').reply(503, { error: { message: 'Router down' } });
+      mock.onPost('/router/backup-router').reply(200, completion);
+
+      await breakerClient.chat.create({ messages });
+      const result = await breakerClient.chat.create({ messages });
+
+      expect(result._meta.fallbackAttempt).toBe(1);
+      expect(mock.history.post.map(request => request.url)).toEqual(['/router/test-router-id', '/router/backup-router', '/router/backup-router']);
+    });
+
+    it('should validate fallbacks', async () => {
+      await expect(chat.create({ messages }, { fallbacks: {} })).rejects.toThrow('fallbacks must be an array');
+      await expect(chat.create({ messages }, { fallbacks: [{}] })).rejects.toThrow('fallbacks[0] must set routerId or model');
+      await expect(chat.create({ messages }, { fallbacks: [{ routerId: '' }] })).rejects.toThrow('fallbacks[0].routerId must be a non-empty string');
+      expect(() => new ModelPilot({ apiKey: 'mp_test-api-key', fallbacks: [null] })).toThrow('fallbacks[0] must be an object');
+      expect(mock.history.post).toHaveLength(0);
+    });
+  });
+
+  describe('response cache', () => {
+    const completion = {
+      id: 'chatcmpl-1',
+      object: 'chat.completion',
+      created: 1700000000,
+      model: 'gpt-4o-mini',
+      choices: [{ index: 0, message: { role: 'assistant', content: 'Hi' }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 5, completion_tokens: 1, total_tokens: 6 },
+      _meta: { modelUsed: 'openai:gpt-4o-mini' }
+    };
+    const messages = [{ role: 'user', content: 'Hello!' }];
+    let cachedClient;
+
+    beforeEach(() => {
+      cachedClient = new ModelPilot({ apiKey: 'mp_test-api-key', routerId: 'test-router-id', cache: true });
+    });
+
+    it('should answer identical requests from the cache', async () => {
+      mock.onPost('/router/test-router-id').reply(200, completion);
+
+      const first = await cachedClient.chat.create({ messages, temperature: 0 });
+      const second = await cachedClient.chat.create({ temperature: 0, messages });
+
+      expect(first._meta).toEqual({ modelUsed: 'openai:gpt-4o-mini', cached: false });
+      expect(second).toEqual({ ...completion, _meta: { modelUsed: 'openai:gpt-4o-mini', cached: true } });
+      expect(mock.history.post).toHaveLength(1);
+    });
+
+    it('should key entries on the payload and the router', async () => {
+      mock.onPost('/router/test-router-id').reply(200, completion);
+      mock.onPost('/router/other-router').reply(200, completion);
+
+      await cachedClient.chat.create({ messages, temperature: 0 });
+      await cachedClient.chat.create({ messages, temperature: 1 });
+      await cachedClient.chat.create({ messages, temperature: 0 }, { routerId: 'other-router' });
+
+      expect(mock.history.post).toHaveLength(3);
+    });
+
+    it('should skip the cache when the request asks to', async () => {
+      mock.onPost('/router/test-router-id').reply(200, completion);
+
+      await cachedClient.chat.create({ messages });
+      const result = await cachedClient.chat.create({ messages }, { cache: false });
+
+      expect(result._meta.cached).toBeUndefined();
+      expect(mock.history.post).toHaveLength(2);
+      await expect(cachedClient.chat.create({ messages }, { cache: 'yes' })).rejects.toThrow('cache must be a boolean or an object');
+      await expect(cachedClient.chat.create({ messages }, { cache: { ttl: 0 } })).rejects.toThrow('cache.ttl must be a positive number');
+    });
+
+    it('should pass the request TTL to the store', async () => {
+      const store = { get: jest.fn().mockResolvedValue(undefined), set: jest.fn() };
+      const storeClient = new ModelPilot({ apiKey: 'mp_test-api-key', routerId: 'test-router-id', cache: { store, ttl: 60000 } });
+      mock.onPost('/router/test-router-id').reply(200, completion);
+
+      await storeClient.chat.create({ messages });
+      await storeClient.chat.create({ messages }, { cache: { ttl: 1000 } });
+
+      expect(store.set.mock.calls.map(call => call[2])).toEqual([60000, 1000]);
+      expect(store.set.mock.calls[0][1]._meta).toEqual({ modelUsed: 'openai:gpt-4o-mini' });
+    });
+
+    it('should not store responses from a fallback', async () => {
+      mock.onPost('/router/test-router-id').replyOnce(503, { error: { message: 'Router down' } });
+      mock.onPost('/router/backup-router').reply(200, completion);
+      mock.onPost('/router/test-router-id').reply(200, completion);
+
+      const first = await cachedClient.chat.create({ messages }, { maxRetries: 0, fallbacks: [{ routerId: 'backup-router' }] });
+      const second = await cachedClient.chat.create({ messages }, { maxRetries: 0, fallbacks: [{ routerId: 'backup-router' }] });
+
+      expect(first._meta).toMatchObject({ fallbackAttempt: 1, cached: false });
+      expect(second._meta).toMatchObject({ fallbackAttempt: 0, cached: false });
+      expect((await cachedClient.chat.create({ messages }))._meta).toEqual({ modelUsed: 'openai:gpt-4o-mini', cached: true });
+    });
+
+    it('should replay a cached response as a stream', async () => {
+      mock.onPost('/router/test-router-id').reply(200, {
+        ...completion,
+        choices: [{
+          index: 0,
+          message: { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }] },
+          finish_reason: 'tool_calls'
+        }]
+      });
+      await cachedClient.chat.create({ messages });
+
+      const stream = await cachedClient.chat.create({ messages, stream: true });
+      const onToolCall = jest.fn();
+      stream.on('toolCall', onToolCall);
+
+      expect(stream).toBeInstanceOf(ChatCompletionStream);
+      expect(stream.meta.cached).toBe(true);
+      const final = await stream.finalChatCompletion();
+      expect(final.choices[0]).toEqual({
+        index: 0,
+        message: { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }] },
+        finish_reason: 'tool_calls'
+      });
+      expect(final.usage).toEqual(completion.usage);
+      expect(final._meta).toEqual({ modelUsed: 'openai:gpt-4o-mini', cached: true });
+      expect(onToolCall).toHaveBeenCalledTimes(1);
+      expect(mock.history.post).toHaveLength(1);
+    });
+
+    it('should store a stream once it has been read to the end', async () => {
+      mock.onPost('/router/test-router-id').reply(() => [200, Readable.from([
+        Buffer.from('data: {"id":"chatcmpl-1","created":1700000000,"model":"gpt-4o-mini","choices":[{"index":0,"delta":{"role":"assistant","content":"Hel"}}]}\n\n'),
+        Buffer.from('data: {"id":"chatcmpl-1","choices":[{"index":0,"delta":{"content":"lo"},"finish_reason":"stop"}]}\n\n'),
+        Buffer.from('data: [DONE]\n\n')
+      ])]);
+
+      const live = await cachedClient.chat.create({ messages, stream: true });
+      expect(live.meta).toEqual({ cached: false });
+      expect(await live.getText()).toBe('Hello');
+      await new Promise(resolve => setImmediate(resolve));
+
+      const chunks = [];
+      for await (const chunk of await cachedClient.chat.create({ messages, stream: true })) {
+        chunks.push(chunk);
+      }
+      expect(chunks.map(chunk => chunk.id)).toEqual(['chatcmpl-1', 'chatcmpl-1']);
+      expect(chunks[0].choices[0].delta).toEqual({ role: 'assistant', content: 'Hello' });
+
+      const result = await cachedClient.chat.create({ messages });
+      expect(result.choices[0].message.content).toBe('Hello');
+      expect(result._meta).toEqual({ cached: true });
+      expect(mock.history.post).toHaveLength(1);
+    });
+
+    it('should not store a stream that was not read to the end', async () => {
+      mock.onPost('/router/test-router-id').reply(() => [200, Readable.from([
+        Buffer.from('data: {"choices":[{"index":0,"delta":{"content":"Hel"}}]}\n\n'),
+        Buffer.from('data: {"choices":[{"index":0,"delta":{"content":"lo"}}]}\n\n')
+      ])]);
+
+      const live = await cachedClient.chat.create({ messages, stream: true });
+      for await (const chunk of live) {
+        expect(chunk).toBeDefined();
+        break;
+      }
+      await new Promise(resolve => setImmediate(resolve));
+
+      await cachedClient.chat.create({ messages, stream: true });
+      expect(mock.history.post).toHaveLength(2);
+    });
+
+    it('should validate the client cache option', () => {
+      expect(() => new ModelPilot({ apiKey: 'mp_test-api-key', routerId: 'test-router-id', cache: 'memory' })).toThrow('cache must be a boolean, cache options or a cache store');
+      expect(client.cache).toBeNull();
+    });
+  });
+
+  describe('createMany', () => {
+    const paramsFor = text => ({ messages: [{ role: 'user', content: text }] });
+    const replyWith = (config) => {
+      const content = JSON.parse(config.data).messages[0].content;
+      return [200, { choices: [{ index: 0, message: { role: 'assistant', content: content.toUpperCase() } }] }];
+    };
+
+    it('should return results in input order with a bounded number in flight', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      mock.onPost().reply(async (config) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        inFlight--;
+        return replyWith(config);
+      });
+
+      const progress = [];
+      const results = await chat.createMany(['a', 'b', 'c', 'd', 'e'].map(paramsFor), {
+        concurrency: 2,
+        onProgress: ({ completed, total }) => progress.push(`${completed}/${total}`)
+      });
+
+      expect(results.map(result => [result.index, result.completion.choices[0].message.content, result.error]))
+        .toEqual([[0, 'A', null], [1, 'B', null], [2, 'C', null], [3, 'D', null], [4, 'E', null]]);
+      expect(maxInFlight).toBe(2);
+      expect(progress).toEqual(['1/5', '2/5', '3/5', '4/5', '5/5']);
+    });
+
+    it('should report per-item failures with the error classes', async () => {
+      mock.onPost().reply((config) => {
+        const content = JSON.parse(config.data).messages[0].content;
+        return content === 'bad' ? [400, { error: { message: 'Bad prompt' } }] : replyWith(config);
+      });
+
+      const results = await chat.createMany([paramsFor('ok'), paramsFor('bad'), { messages: [] }]);
+
+      expect(results[0].error).toBeNull();
+      expect(results[1].completion).toBeNull();
+      expect(results[1].error).toBeInstanceOf(InvalidRequestError);
+      expect(results[1].error.message).toBe('Bad prompt');
+      expect(results[2].error.message).toBe('messages array cannot be empty');
+    });
+
+    it('should stop at the first error with stopOnError', async () => {
+      mock.onPost().reply((config) => {
+        const content = JSON.parse(config.data).messages[0].content;
+        return content === 'bad' ? [400, { error: { message: 'Bad prompt' } }] : replyWith(config);
+      });
+
+      await expect(chat.createMany(
+        [paramsFor('bad'), paramsFor('b'), paramsFor('c'), paramsFor('d')],
+        { concurrency: 1, stopOnError: true }
+      )).rejects.toThrow('Bad prompt');
+      expect(mock.history.post).toHaveLength(1);
+    });
+
+    it('should give each request its own idempotency key', async () => {
+      mock.onPost().reply(replyWith);
+
+      await chat.createMany([paramsFor('a'), paramsFor('b')], { idempotencyKey: 'job' });
+
+      expect(mock.history.post.map(request => request.headers['Idempotency-Key']).sort()).toEqual(['job-0', 'job-1']);
+    });
+
+    it('should validate its options', async () => {
+      await expect(chat.createMany(paramsFor('a'))).rejects.toThrow('paramsArray must be an array');
+      await expect(chat.createMany([paramsFor('a')], { concurrency: 0 })).rejects.toThrow('concurrency must be a positive integer');
+      await expect(chat.createMany([{ ...paramsFor('a'), stream: true }])).rejects.toThrow('params[0]: createMany does not support streaming');
+      expect(mock.history.post).toHaveLength(0);
+    });
+  });
+
   describe('streaming', () => {
     it('should handle streaming completions', async () => {
       const mockStreamData = 'data: {"choices":[{"delta":{"content":"Hello"}}]}\n\n';
@@ -214,5 +694,670 @@ describe('ChatCompletions', () => {
       expect(stream).toBeInstanceOf(ChatCompletionStream);
       expect(mock.history.post).toHaveLength(1);
     });
+
+    it('should read the error body of failed streaming requests', async () => {
+      mock.onPost().reply(() => [503, Readable.from([Buffer.from('{"error":{"message":"Router unavailable"}}')])]);
+
+      const error = await chat.create({
+        messages: [{ role: 'user', content: 'Hello!' }],
+        stream: true
+      }, { maxRetries: 0 }).catch(err => err);
+
+      expect(error).toBeInstanceOf(InternalServerError);
+      expect(error.message).toBe('Router unavailable');
+      expect(error.status).toBe(503);
+    });
+
+    it('should retry streaming requests that fail before events arrive', async () => {
+      mock
+        .onPost().replyOnce(503, { error: { message: 'Router unavailable' } }, { 'retry-after-ms': '0' })
+        .onPost().replyOnce(200, 'data: {"choices":[{"index":0,"delta":{"content":"Hi"}}]}\n\ndata: [DONE]\n\n');
+
+      const stream = await chat.create({
+        messages: [{ role: 'user', content: 'Hello!' }],
+        stream: true
+      });
+
+      expect(await stream.getText()).toBe('Hi');
+      expect(mock.history.post).toHaveLength(2);
+    });
+
+    it('should yield upstream chunks including tool call deltas', async () => {
+      const response = createMockStreamResponse([
+        'data: {"id":"chatcmpl-1","choices":[{"index":0,"delta":{"role":"assistant","tool_calls":[{"index":0,"id":"call_1","type":"function","function":{"name":"get_weather","arguments":""}}]}}]}\n\n',
+        'data: {"id":"chatcmpl-1","choices":[{"index":0,"delta":{"tool_calls":[{"index":0,"function":{"arguments":"{\\"location\\":"}}]}}]}\n\n',
+        'data: {"id":"chatcmpl-1","choices":[{"index":0,"delta":{"tool_calls":[{"index":0,"function":{"arguments":"\\"Tokyo\\"}"}}]}}]}\n\n',
+        'data: [DONE]\n\n'
+      ]);
+      const stream = new ChatCompletionStream(response.data);
+
+      const chunks = await stream.toArray();
+      const toolDeltas = chunks.filter(chunk => chunk.choices[0].delta.tool_calls);
+
+      expect(toolDeltas).toHaveLength(3);
+      expect(toolDeltas[0].id).toBe('chatcmpl-1');
+      expect(toolDeltas[1].choices[0].delta.tool_calls[0].function.arguments).toBe('{"location":');
+    });
+
+    it('should assemble streamed tool call fragments', async () => {
+      const response = createMockStreamResponse([
+        'data: {"choices":[{"index":0,"delta":{"tool_calls":[{"index":0,"id":"call_1","type":"function","function":{"name":"get_weather","arguments":"{\\"loc"}},{"index":1,"id":"call_2","type":"function","function":{"name":"get_time","arguments":""}}]}}]}\n\n',
+        'data: {"choices":[{"index":0,"delta":{"tool_calls":[{"index":0,"function":{"arguments":"ation\\":\\"Paris\\"}"}},{"index":1,"function":{"arguments":"{}"}}]}}]}\n\n'
+      ]);
+      const stream = new ChatCompletionStream(response.data);
+
+      const toolCalls = await stream.getToolCalls();
+
+      expect(toolCalls).toEqual([
+        {
+          id: 'call_1',
+          type: 'function',
+          function: { name: 'get_weather', arguments: '{"location":"Paris"}', parsed_arguments: { location: 'Paris' } }
+        },
+        {
+          id: 'call_2',
+          type: 'function',
+          function: { name: 'get_time', arguments: '{}', parsed_arguments: {} }
+        }
+      ]);
+    });
+
+    it('should preserve upstream id, model, finish_reason, usage and _meta', async () => {
+      const response = createMockStreamResponse([
+        'data: {"id":"chatcmpl-9","object":"chat.completion.chunk","created":1700000000,"model":"openai:gpt-4o-mini","choices":[{"index":0,"delta":{"role":"assistant","content":"Once upon"},"finish_reason":null}]}\n\n',
+        'data: {"id":"chatcmpl-9","object":"chat.completion.chunk","created":1700000000,"model":"openai:gpt-4o-mini","choices":[{"index":0,"delta":{},"finish_reason":"length"}]}\n\n',
+        'data: {"id":"chatcmpl-9","object":"chat.completion.chunk","created":1700000000,"model":"openai:gpt-4o-mini","choices":[],"usage":{"prompt_tokens":5,"completion_tokens":2,"total_tokens":7},"_meta":{"modelUsed":"openai:gpt-4o-mini","cost":0.0001}}\n\n',
+        'data: [DONE]\n\n'
+      ]);
+      const stream = new ChatCompletionStream(response.data);
+
+      const chunks = await stream.toArray();
+
+      expect(chunks).toHaveLength(3);
+      expect(chunks.every(chunk => chunk.model === 'openai:gpt-4o-mini')).toBe(true);
+      expect(chunks[1].choices[0].finish_reason).toBe('length');
+      expect(stream.id).toBe('chatcmpl-9');
+      expect(stream.model).toBe('openai:gpt-4o-mini');
+      expect(stream.created).toBe(1700000000);
+      expect(stream.finishReason).toBe('length');
+      expect(stream.usage).toEqual({ prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 });
+      expect(stream.meta).toEqual({ modelUsed: 'openai:gpt-4o-mini', cost: 0.0001 });
+    });
+
+    it('should throw APIError for upstream error frames', async () => {
+      const response = createMockStreamResponse([
+        'data: {"choices":[{"index":0,"delta":{"content":"Hi"}}]}\n\n',
+        'event: error\ndata: {"error":{"message":"Upstream provider overloaded","code":"overloaded"}}\n\n'
+      ]);
+      const stream = new ChatCompletionStream(response.data);
+      const received = [];
+
+      await expect((async () => {
+        for await (const chunk of stream) {
+          received.push(chunk);
+        }
+      })()).rejects.toThrow(APIError);
+
+      expect(received).toHaveLength(1);
+    });
+
+    it('should map upstream error frames with a status to the error subclasses', async () => {
+      const frameError = async (frame) => {
+        const stream = new ChatCompletionStream(createMockStreamResponse([frame]).data);
+        return stream.toArray().catch(error => error);
+      };
+
+      const rateLimited = await frameError('event: error\ndata: {"error":{"message":"Slow down","status":429}}\n\n');
+      expect(rateLimited).toBeInstanceOf(RateLimitError);
+      expect(rateLimited.message).toBe('Slow down');
+
+      const overloaded = await frameError('event: error\ndata: {"error":{"message":"Upstream overloaded","status":503}}\n\n');
+      expect(overloaded).toBeInstanceOf(InternalServerError);
+      expect(overloaded.status).toBe(503);
+    });
+
+    it('should reassemble chunks split inside multi-byte characters', async () => {
+      const payload = Buffer.from('data: {"choices":[{"index":0,"delta":{"content":"héllo 👋"}}]}\r\n\r\n');
+      const stream = new ChatCompletionStream({
+        [Symbol.asyncIterator]: async function* () {
+          for (let i = 0; i < payload.length; i += 3) {
+            yield payload.subarray(i, i + 3);
+          }
+        }
+      });
+
+      expect(await stream.getText()).toBe('héllo 👋');
+    });
+
+    it('should tear down the connection on abort()', async () => {
+      const body = new PassThrough();
+      const stream = new ChatCompletionStream(body);
+      body.write('data: {"choices":[{"index":0,"delta":{"content":"Hi"}}]}\n\n');
+
+      const received = [];
+      await expect((async () => {
+        for await (const chunk of stream) {
+          received.push(chunk);
+          stream.abort();
+        }
+      })()).rejects.toThrow(APIUserAbortError);
+
+      expect(received).toHaveLength(1);
+      expect(body.destroyed).toBe(true);
+      expect(stream.controller.signal.aborted).toBe(true);
+    });
+
+    it('should reject tool calls with malformed arguments', async () => {
+      const response = createMockStreamResponse([
+        'data: {"choices":[{"index":0,"delta":{"tool_calls":[{"index":0,"id":"call_1","function":{"name":"broken","arguments":"{\\"a\\":"}}]}}]}\n\n'
+      ]);
+      const stream = new ChatCompletionStream(response.data);
+
+      await expect(stream.getToolCalls()).rejects.toThrow('Failed to parse arguments for tool call call_1');
+    });
+
+    it('should emit chunk, content, toolCall and end events', async () => {
+      const response = createMockStreamResponse([
+        'data: {"id":"chatcmpl-1","choices":[{"index":0,"delta":{"role":"assistant","content":"Let me"}}]}\n\n',
+        'data: {"id":"chatcmpl-1","choices":[{"index":0,"delta":{"content":" check"}}]}\n\n',
+        'data: {"id":"chatcmpl-1","choices":[{"index":0,"delta":{"tool_calls":[{"index":0,"id":"call_1","type":"function","function":{"name":"get_weather","arguments":"{}"}}]}}]}\n\n',
+        'data: {"id":"chatcmpl-1","choices":[{"index":0,"delta":{"tool_calls":[{"index":1,"id":"call_2","type":"function","function":{"name":"get_time","arguments":"{"}}]}}]}\n\n',
+        'data: {"id":"chatcmpl-1","choices":[{"index":0,"delta":{"tool_calls":[{"index":1,"function":{"arguments":"}"}}]},"finish_reason":"tool_calls"}]}\n\n',
+        'data: [DONE]\n\n'
+      ]);
+      const stream = new ChatCompletionStream(response.data);
+      const events = [];
+
+      stream
+        .on('chunk', () => events.push('chunk'))
+        .on('content', (delta, snapshot) => events.push(['content', delta, snapshot]))
+        .on('toolCall', toolCall => events.push(['toolCall', toolCall.id, toolCall.function.arguments]))
+        .on('end', () => events.push('end'));
+
+      await stream.done();
+
+      expect(events).toEqual([
+        'chunk', ['content', 'Let me', 'Let me'],
+        'chunk', ['content', ' check', 'Let me check'],
+        'chunk',
+        'chunk', ['toolCall', 'call_1', '{}'],
+        'chunk', ['toolCall', 'call_2', '{}'],
+        'end'
+      ]);
+    });
+
+    it('should emit events while the stream is iterated', async () => {
+      const response = createMockStreamResponse([
+        'data: {"choices":[{"index":0,"delta":{"content":"Hi"}}]}\n\n',
+        'data: {"choices":[{"index":0,"delta":{"content":" there"}}]}\n\n'
+      ]);
+      const stream = new ChatCompletionStream(response.data);
+      const deltas = [];
+      stream.on('content', delta => deltas.push(delta));
+
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+
+      expect(chunks).toHaveLength(2);
+      expect(deltas).toEqual(['Hi', ' there']);
+      expect(await stream.getText()).toBe('Hi there');
+    });
+
+    it('should emit error events and reject the helpers', async () => {
+      const response = createMockStreamResponse([
+        'data: {"choices":[{"index":0,"delta":{"content":"Hi"}}]}\n\n',
+        'event: error\ndata: {"error":{"message":"Upstream provider overloaded"}}\n\n'
+      ]);
+      const stream = new ChatCompletionStream(response.data);
+      const onError = jest.fn();
+      const onEnd = jest.fn();
+      stream.on('error', onError).on('end', onEnd);
+
+      await expect(stream.finalChatCompletion()).rejects.toThrow('Upstream provider overloaded');
+
+      expect(onError).toHaveBeenCalledTimes(1);
+      expect(onError.mock.calls[0][0]).toBeInstanceOf(APIError);
+      expect(onEnd).not.toHaveBeenCalled();
+    });
+
+    it('should build a non-streaming response with finalChatCompletion', async () => {
+      const response = createMockStreamResponse([
+        'data: {"id":"chatcmpl-9","created":1700000000,"model":"openai:gpt-4o-mini","choices":[{"index":0,"delta":{"role":"assistant","content":"Hel"}},{"index":1,"delta":{"role":"assistant","content":"Hi"}}]}\n\n',
+        'data: {"id":"chatcmpl-9","created":1700000000,"model":"openai:gpt-4o-mini","choices":[{"index":0,"delta":{"content":"lo"},"finish_reason":"stop"},{"index":1,"delta":{},"finish_reason":"stop"}]}\n\n',
+        'data: {"id":"chatcmpl-9","choices":[],"usage":{"prompt_tokens":5,"completion_tokens":3,"total_tokens":8},"_meta":{"modelUsed":"openai:gpt-4o-mini"}}\n\n',
+        'data: [DONE]\n\n'
+      ]);
+      const stream = new ChatCompletionStream(response.data);
+
+      expect(await stream.finalChatCompletion()).toEqual({
+        id: 'chatcmpl-9',
+        object: 'chat.completion',
+        created: 1700000000,
+        model: 'openai:gpt-4o-mini',
+        choices: [
+          { index: 0, message: { role: 'assistant', content: 'Hello' }, finish_reason: 'stop' },
+          { index: 1, message: { role: 'assistant', content: 'Hi' }, finish_reason: 'stop' }
+        ],
+        usage: { prompt_tokens: 5, completion_tokens: 3, total_tokens: 8 },
+        _meta: { modelUsed: 'openai:gpt-4o-mini' }
+      });
+      expect(await stream.getText()).toBe('Hello');
+    });
+
+    it('should refuse to iterate a stream twice', async () => {
+      const response = createMockStreamResponse([
+        'data: {"choices":[{"index":0,"delta":{"content":"Hi"}}]}\n\n'
+      ]);
+      const stream = new ChatCompletionStream(response.data);
+
+      await stream.toArray();
+
+      const error = await stream.toArray().catch(err => err);
+      expect(error).toBeInstanceOf(ModelPilotError);
+      expect(error.type).toBe('stream_consumed');
+    });
+
+    it('should reject the helpers when iteration stops early', async () => {
+      const response = createMockStreamResponse([
+        'data: {"choices":[{"index":0,"delta":{"content":"Hi"}}]}\n\n',
+        'data: {"choices":[{"index":0,"delta":{"content":" there"}}]}\n\n'
+      ]);
+      const stream = new ChatCompletionStream(response.data);
+
+      for await (const chunk of stream) {
+        expect(chunk).toBeDefined();
+        break;
+      }
+
+      await expect(stream.getText()).rejects.toThrow('The stream was not read to the end');
+    });
+
+    it('should tee a stream to two consumers', async () => {
+      const response = createMockStreamResponse([
+        'data: {"choices":[{"index":0,"delta":{"content":"Hi"}}]}\n\n',
+        'data: {"choices":[{"index":0,"delta":{"content":" there"}}]}\n\n',
+        'data: [DONE]\n\n'
+      ]);
+      const stream = new ChatCompletionStream(response.data);
+
+      const [ui, logger] = stream.tee();
+      const deltas = [];
+      ui.on('content', delta => deltas.push(delta));
+
+      const [chunks, text] = await Promise.all([logger.toArray(), ui.getText()]);
+
+      expect(ui).toBeInstanceOf(ChatCompletionStream);
+      expect(chunks).toHaveLength(2);
+      expect(text).toBe('Hi there');
+      expect(deltas).toEqual(['Hi', ' there']);
+      expect(() => stream.tee()).toThrow('Cannot tee a stream that has already been read');
+    });
+
+    it('should reject the helpers of a stream that was split with tee()', async () => {
+      const response = createMockStreamResponse([
+        'data: {"choices":[{"index":0,"delta":{"content":"Hi"}}]}\n\n',
+        'data: {"choices":[{"index":0,"delta":{"content":" there"}}]}\n\n'
+      ]);
+      const stream = new ChatCompletionStream(response.data);
+      const [first, second] = stream.tee();
+
+      await Promise.all([first.getText(), second.getText()]);
+
+      await expect(stream.getText()).rejects.toThrow('The stream was split with tee(); read the branches instead');
+      await expect(stream.finalChatCompletion()).rejects.toMatchObject({ type: 'stream_consumed' });
+      await expect(stream.done()).rejects.toThrow(ModelPilotError);
+    });
+
+    it('should abort both branches when the original stream is aborted', async () => {
+      const body = new PassThrough();
+      const stream = new ChatCompletionStream(body);
+      const [first, second] = stream.tee();
+
+      stream.abort();
+
+      await expect(first.getText()).rejects.toThrow(APIUserAbortError);
+      await expect(second.getText()).rejects.toThrow(APIUserAbortError);
+      expect(body.destroyed).toBe(true);
+    });
+
+    describe('recovery', () => {
+      function droppingBody(chunks) {
+        return Readable.from((async function* () {
+          for (const chunk of chunks) {
+            yield Buffer.from(chunk);
+          }
+          const error = new Error('socket hang up');
+          error.code = 'ECONNRESET';
+          throw error;
+        })());
+      }
+
+      function body(chunks) {
+        return Readable.from(chunks.map(chunk => Buffer.from(chunk)));
+      }
+
+      beforeEach(() => {
+        jest.spyOn(Math, 'random').mockReturnValue(0);
+      });
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+      });
+
+      it('should retry a stream that drops before any content', async () => {
+        mock
+          .onPost().replyOnce(() => [200, droppingBody(['data: {"choices":[{"index":0,"delta":{"role":"assistant"}}]}\n\n'])])
+          .onPost().replyOnce(() => [200, body(['data: {"choices":[{"index":0,"delta":{"content":"Hi"}}]}\n\n', 'data: [DONE]\n\n'])]);
+
+        const stream = await chat.create({ messages: [{ role: 'user', content: 'Hello!' }], stream: true });
+        const onReconnect = jest.fn();
+        stream.on('reconnect', onReconnect);
+
+        expect(await stream.getText()).toBe('Hi');
+        expect(mock.history.post).toHaveLength(2);
+        expect(JSON.parse(mock.history.post[1].data)).toEqual(JSON.parse(mock.history.post[0].data));
+        expect(onReconnect).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1, content: '' }));
+      });
+
+      it('should retry a stream cut off in the middle of an event', async () => {
+        mock
+          .onPost().replyOnce(() => [200, body(['data: {"choices":[{"index":0,"delta":{"role":"assistant"}}]}\n\n', 'data: {"choices":[{"ind'])])
+          .onPost().replyOnce(() => [200, body(['data: {"choices":[{"index":0,"delta":{"content":"Hi"}}]}\n\n', 'data: [DONE]\n\n'])]);
+
+        const stream = await chat.create({ messages: [{ role: 'user', content: 'Hello!' }], stream: true });
+
+        expect(await stream.getText()).toBe('Hi');
+        expect(mock.history.post).toHaveLength(2);
+      });
+
+      it('should end normally when a finished stream misses its final blank line', async () => {
+        const finalChunk = 'data: {"choices":[{"index":0,"delta":{"content":"Hi"},"finish_reason":"stop"}]}\n\n';
+        mock
+          .onPost().replyOnce(() => [200, body([finalChunk, 'data: [DONE]\n'])])
+          .onPost().replyOnce(() => [200, body([finalChunk, ': keep-alive'])])
+          .onPost().replyOnce(() => [200, body([finalChunk, 'data: {"usage":{"total_'])]);
+
+        for (let i = 0; i < 3; i++) {
+          const stream = await chat.create({ messages: [{ role: 'user', content: 'Hello!' }], stream: true });
+          expect(await stream.getText()).toBe('Hi');
+        }
+        expect(mock.history.post).toHaveLength(3);
+      });
+
+      it('should keep meta in tee branches but not reconnect them', async () => {
+        mock
+          .onPost('/router/test-router-id').reply(503, { error: { message: 'Router down' } })
+          .onPost('/router/backup-router').replyOnce(() => [200, droppingBody(['data: {"choices":[{"index":0,"delta":{"role":"assistant"}}]}\n\n'])]);
+
+        const stream = await chat.create({ messages: [{ role: 'user', content: 'Hello!' }], stream: true }, { maxRetries: 1, fallbacks: [{ routerId: 'backup-router' }] });
+        const [first, second] = stream.tee();
+
+        expect(first.meta.fallbackAttempt).toBe(1);
+        expect(second.meta).toEqual(stream.meta);
+        expect(second.meta).not.toBe(first.meta);
+        await expect(first.getText()).rejects.toThrow(APIConnectionError);
+        await expect(second.getText()).rejects.toThrow(APIConnectionError);
+        expect(mock.history.post.map(request => request.url)).toEqual(['/router/test-router-id', '/router/test-router-id', '/router/backup-router']);
+      });
+
+      it('should pass on listener exceptions without reconnecting', async () => {
+        mock.onPost().reply(() => [200, body(['data: {"choices":[{"index":0,"delta":{"role":"assistant"}}]}\n\n', 'data: [DONE]\n\n'])]);
+
+        const stream = await chat.create({ messages: [{ role: 'user', content: 'Hello!' }], stream: true });
+        const thrown = new TypeError('listener bug');
+        const onError = jest.fn();
+        stream.on('error', onError);
+        stream.on('chunk', () => {
+          throw thrown;
+        });
+
+        await expect(stream.getText()).rejects.toBe(thrown);
+        expect(onError).toHaveBeenCalledWith(thrown);
+        expect(mock.history.post).toHaveLength(1);
+      });
+
+      it('should retry retryable error frames and give up after maxRetries', async () => {
+        const overloaded = 'event: error\ndata: {"error":{"message":"Bad gateway","status":502}}\n\n';
+        mock.onPost().reply(() => [200, body([overloaded])]);
+
+        const stream = await chat.create({ messages: [{ role: 'user', content: 'Hello!' }], stream: true }, { maxRetries: 2 });
+
+        await expect(stream.getText()).rejects.toThrow('Bad gateway');
+        expect(mock.history.post).toHaveLength(3);
+      });
+
+      it('should count failed reconnects against one retry budget', async () => {
+        mock
+          .onPost().replyOnce(() => [200, droppingBody(['data: {"choices":[{"index":0,"delta":{"role":"assistant"}}]}\n\n'])])
+          .onPost().reply(502, { error: { message: 'Bad gateway' } });
+
+        const stream = await chat.create({ messages: [{ role: 'user', content: 'Hello!' }], stream: true }, { maxRetries: 2 });
+        const onReconnect = jest.fn();
+        stream.on('reconnect', onReconnect);
+
+        await expect(stream.getText()).rejects.toThrow('Bad gateway');
+        expect(mock.history.post).toHaveLength(3);
+        expect(onReconnect.mock.calls.map(([event]) => event.attempt)).toEqual([1, 2]);
+      });
+
+      it('should fail without resumeStream once content has arrived', async () => {
+        mock.onPost().replyOnce(() => [200, droppingBody(['data: {"choices":[{"index":0,"delta":{"content":"Once upon"}}]}\n\n'])]);
+
+        const stream = await chat.create({ messages: [{ role: 'user', content: 'Tell a story' }], stream: true });
+        const chunks = [];
+        const error = await (async () => {
+          for await (const chunk of stream) {
+            chunks.push(chunk);
+          }
+        })().catch(err => err);
+
+        expect(chunks).toHaveLength(1);
+        expect(error).toBeInstanceOf(APIConnectionError);
+        expect(error.message).toBe('Connection error: socket hang up');
+        expect(mock.history.post).toHaveLength(1);
+      });
+
+      it('should continue a dropped stream from the partial text with resumeStream', async () => {
+        mock
+          .onPost().replyOnce(() => [200, droppingBody([
+            'data: {"id":"chatcmpl-1","created":1,"choices":[{"index":0,"delta":{"role":"assistant","content":"Once"}}]}\n\n',
+            'data: {"id":"chatcmpl-1","created":1,"choices":[{"index":0,"delta":{"content":" upon"}}]}\n\n'
+          ])])
+          .onPost().replyOnce(() => [200, body([
+            'data: {"id":"chatcmpl-2","created":2,"choices":[{"index":0,"delta":{"role":"assistant","content":" a time"},"finish_reason":"stop"}]}\n\n',
+            'data: [DONE]\n\n'
+          ])]);
+
+        const stream = await chat.create(
+          { messages: [{ role: 'user', content: 'Tell a story' }], stream: true },
+          { resumeStream: true, idempotencyKey: 'story' }
+        );
+        const reconnects = [];
+        stream.on('reconnect', ({ attempt, error, content }) => reconnects.push({ attempt, error: error.message, content }));
+
+        const chunks = await stream.toArray();
+
+        expect(chunks.map(chunk => chunk.choices[0].delta.content)).toEqual(['Once', ' upon', ' a time']);
+        expect(chunks.every(chunk => chunk.id === 'chatcmpl-1' && chunk.created === 1)).toBe(true);
+        expect(reconnects).toEqual([{ attempt: 1, error: 'Connection error: socket hang up', content: 'Once upon' }]);
+
+        const continuation = mock.history.post[1];
+        expect(JSON.parse(continuation.data).messages).toEqual([
+          { role: 'user', content: 'Tell a story' },
+          { role: 'assistant', content: 'Once upon' }
+        ]);
+        expect(continuation.headers['Idempotency-Key']).toBe('story-resume-1');
+
+        const completion = await stream.finalChatCompletion();
+        expect(completion.id).toBe('chatcmpl-1');
+        expect(completion.choices[0]).toEqual({ index: 0, message: { role: 'assistant', content: 'Once upon a time' }, finish_reason: 'stop' });
+      });
+
+      it('should not resume partial tool calls', async () => {
+        mock.onPost().replyOnce(() => [200, droppingBody([
+          'data: {"choices":[{"index":0,"delta":{"tool_calls":[{"index":0,"id":"call_1","type":"function","function":{"name":"get_weather","arguments":"{\\"loc"}}]}}]}\n\n'
+        ])]);
+
+        const stream = await chat.create(
+          { messages: [{ role: 'user', content: 'Weather?' }], tools: [{ type: 'function', function: { name: 'get_weather', parameters: { type: 'object' } } }], stream: true },
+          { resumeStream: true }
+        );
+
+        await expect(stream.getToolCalls()).rejects.toThrow(APIConnectionError);
+        expect(mock.history.post).toHaveLength(1);
+      });
+
+      it('should not reconnect after an abort', async () => {
+        const controller = new AbortController();
+        mock.onPost().replyOnce(() => [200, droppingBody([])]);
+
+        const stream = await chat.create({ messages: [{ role: 'user', content: 'Hello!' }], stream: true }, { signal: controller.signal });
+        controller.abort();
+
+        await expect(stream.getText()).rejects.toThrow(APIUserAbortError);
+        expect(mock.history.post).toHaveLength(1);
+      });
+
+      it('should validate resumeStream', async () => {
+        await expect(chat.create({ messages: [{ role: 'user', content: 'Hi' }], stream: true }, { resumeStream: 'yes' }))
+          .rejects.toThrow('resumeStream must be a boolean');
+      });
+    });
+
+    describe('re-encoding', () => {
+      const chunks = [
+        'data: {"id":"chatcmpl-1","model":"openai:gpt-4o-mini","choices":[{"index":0,"delta":{"role":"assistant","content":"Hi"}}]}\n\n',
+        'data: {"id":"chatcmpl-1","model":"openai:gpt-4o-mini","choices":[{"index":0,"delta":{"content":" there"},"finish_reason":"stop"}]}\n\n',
+        'data: [DONE]\n\n'
+      ];
+
+      function mockResponse() {
+        const res = new PassThrough();
+        const headers = {};
+        res.headersSent = false;
+        res.setHeader = (name, value) => { headers[name] = value; };
+        res.headers = headers;
+        res.body = '';
+        res.on('data', data => { res.body += data; });
+        return res;
+      }
+
+      it('should encode a stream as SSE and read it back', async () => {
+        const stream = new ChatCompletionStream(createMockStreamResponse(chunks).data);
+        const [proxied, original] = stream.tee();
+
+        const text = await new Response(proxied.toReadableStream()).text();
+
+        expect(text.split('\n\n')).toEqual([
+          'data: {"id":"chatcmpl-1","model":"openai:gpt-4o-mini","choices":[{"index":0,"delta":{"role":"assistant","content":"Hi"}}]}',
+          'data: {"id":"chatcmpl-1","model":"openai:gpt-4o-mini","choices":[{"index":0,"delta":{"content":" there"},"finish_reason":"stop"}]}',
+          'data: [DONE]',
+          ''
+        ]);
+
+        const rebuilt = ChatCompletionStream.fromReadableStream(new Response(text).body);
+        expect(await rebuilt.finalChatCompletion()).toEqual(await original.finalChatCompletion());
+      });
+
+      it('should encode a stream as NDJSON and read it back', async () => {
+        const stream = new ChatCompletionStream(createMockStreamResponse(chunks).data);
+
+        const readable = stream.toReadableStream({ format: 'ndjson' });
+        const text = await new Response(readable).text();
+
+        expect(text.trim().split('\n').map(line => JSON.parse(line).choices[0].delta)).toEqual([
+          { role: 'assistant', content: 'Hi' },
+          { content: ' there' }
+        ]);
+
+        const rebuilt = ChatCompletionStream.fromReadableStream(new Response(text).body, { format: 'ndjson' });
+        const deltas = [];
+        rebuilt.on('content', delta => deltas.push(delta));
+        expect(await rebuilt.getText()).toBe('Hi there');
+        expect(deltas).toEqual(['Hi', ' there']);
+      });
+
+      it('should forward upstream errors as an error frame', async () => {
+        for (const format of ['sse', 'ndjson']) {
+          const stream = new ChatCompletionStream(createMockStreamResponse([
+            chunks[0],
+            'event: error\ndata: {"error":{"message":"Upstream provider overloaded","status":503}}\n\n'
+          ]).data);
+
+          const text = await new Response(stream.toReadableStream({ format })).text();
+          const rebuilt = ChatCompletionStream.fromReadableStream(new Response(text).body, { format });
+
+          const error = await rebuilt.getText().catch(err => err);
+          expect(error).toBeInstanceOf(APIError);
+          expect(error.message).toBe('Upstream provider overloaded');
+          expect(error.status).toBe(503);
+        }
+      });
+
+      it('should abort the stream when the ReadableStream is cancelled', async () => {
+        const body = new PassThrough();
+        const stream = new ChatCompletionStream(body);
+
+        await stream.toReadableStream().cancel();
+
+        expect(stream.controller.signal.aborted).toBe(true);
+        expect(body.destroyed).toBe(true);
+      });
+
+      it('should pipe a stream to a Node response', async () => {
+        const stream = new ChatCompletionStream(createMockStreamResponse(chunks).data);
+        const res = mockResponse();
+
+        await stream.pipeTo(res);
+
+        expect(res.headers).toEqual({ 'Content-Type': 'text/event-stream; charset=utf-8', 'Cache-Control': 'no-cache' });
+        expect(res.writableEnded).toBe(true);
+        expect(res.body).toBe(chunks.join(''));
+        expect(await stream.getText()).toBe('Hi there');
+      });
+
+      it('should send the error frame and reject when piping fails', async () => {
+        const stream = new ChatCompletionStream(createMockStreamResponse([
+          chunks[0],
+          'event: error\ndata: {"error":{"message":"Upstream provider overloaded"}}\n\n'
+        ]).data);
+        const res = mockResponse();
+        res.headersSent = true;
+
+        await expect(stream.pipeTo(res, { format: 'ndjson' })).rejects.toThrow('Upstream provider overloaded');
+
+        const lines = res.body.trim().split('\n').map(line => JSON.parse(line));
+        expect(lines).toHaveLength(2);
+        expect(lines[1].error).toMatchObject({ message: 'Upstream provider overloaded', type: 'api_error' });
+        expect(res.headers).toEqual({});
+        expect(res.writableEnded).toBe(true);
+      });
+
+      it('should abort the stream when the client disconnects', async () => {
+        const body = new PassThrough();
+        const stream = new ChatCompletionStream(body);
+        const res = mockResponse();
+        body.write(chunks[0]);
+        stream.once('chunk', () => res.destroy());
+
+        await stream.pipeTo(res);
+
+        expect(stream.controller.signal.aborted).toBe(true);
+        expect(body.destroyed).toBe(true);
+      });
+
+      it('should validate the format and refuse a stream that was already read', async () => {
+        const stream = new ChatCompletionStream(createMockStreamResponse(chunks).data);
+
+        expect(() => stream.toReadableStream({ format: 'xml' })).toThrow('format must be one of sse, ndjson');
+        expect(() => ChatCompletionStream.fromReadableStream(null)).toThrow('body must be a ReadableStream or an async iterable');
+
+        await stream.toArray();
+        expect(() => stream.toReadableStream()).toThrow(ModelPilotError);
+        await expect(stream.pipeTo(mockResponse())).rejects.toThrow('The stream has already been read');
+      });
+    });
   });
 });
@@ -0,0 +1,158 @@
+/**
+ * Tests for the circuit breaker
+ */
+
+const { CircuitBreaker, circuitKey } = require('../src/circuit');
+const { InternalServerError, InvalidRequestError, APIConnectionError, APIUserAbortError, RateLimitError, CircuitOpenError } = require('../src/errors');
+
+const serverError = () => new InternalServerError('Router down', null, null, 503);
+
+describe('CircuitBreaker', () => {
+  let now;
+  let breaker;
+  let changes;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    breaker = new CircuitBreaker({ failureThreshold: 0.5, minimumRequests: 4, windowSize: 4, cooldown: 1000 });
+    changes = [];
+    breaker.on('stateChange', change => changes.push(change));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function send(key, error) {
+    breaker.acquire(key);
+    breaker.record(key, error);
+  }
+
+  it('should open once the failure rate over the window reaches the threshold', () => {
+    send('/router/a', serverError());
+    send('/router/a');
+    send('/router/a', serverError());
+    expect(breaker.state('/router/a')).toBe('closed');
+
+    send('/router/a');
+    expect(breaker.state('/router/a')).toBe('open');
+    expect(changes).toEqual([{ key: '/router/a', from: 'closed', to: 'open' }]);
+  });
+
+  it('should only count failures that point at the server', () => {
+    for (let i = 0; i < 4; i++) {
+      send('/router/a', new InvalidRequestError('Bad request'));
+      send('/router/a', new RateLimitError('Slow down'));
+      send('/router/a', new APIUserAbortError());
+    }
+    expect(breaker.state('/router/a')).toBe('closed');
+
+    send('/router/a', new APIConnectionError());
+    expect(breaker.state('/router/a')).toBe('closed');
+    send('/router/a', new APIConnectionError());
+    expect(breaker.state('/router/a')).toBe('open');
+  });
+
+  it('should keep a separate circuit per key', () => {
+    for (let i = 0; i < 4; i++) {
+      send('/router/a', serverError());
+    }
+
+    expect(() => breaker.acquire('/router/a')).toThrow(CircuitOpenError);
+    expect(() => breaker.acquire('/router/b')).not.toThrow();
+  });
+
+  it('should fail fast while open and let a trial through after the cooldown', () => {
+    for (let i = 0; i < 4; i++) {
+      send('/router/a', serverError());
+    }
+
+    now += 400;
+    const error = (() => {
+      try {
+        breaker.acquire('/router/a');
+      } catch (err) {
+        return err;
+      }
+    })();
+    expect(error).toBeInstanceOf(CircuitOpenError);
+    expect(error.type).toBe('circuit_open');
+    expect(error.key).toBe('/router/a');
+    expect(error.retryAfter).toBe(600);
+
+    now += 600;
+    breaker.acquire('/router/a');
+    expect(breaker.state('/router/a')).toBe('half-open');
+    expect(() => breaker.acquire('/router/a')).toThrow(CircuitOpenError);
+
+    breaker.record('/router/a');
+    expect(breaker.state('/router/a')).toBe('closed');
+    expect(changes.map(change => change.to)).toEqual(['open', 'half-open', 'closed']);
+  });
+
+  it('should reopen when a trial request fails', () => {
+    for (let i = 0; i < 4; i++) {
+      send('/router/a', serverError());
+    }
+
+    now += 1000;
+    send('/router/a', serverError());
+
+    expect(breaker.state('/router/a')).toBe('open');
+    expect(() => breaker.acquire('/router/a')).toThrow(CircuitOpenError);
+    expect(changes.map(change => change.to)).toEqual(['open', 'half-open', 'open']);
+  });
+
+  it('should free the trial slot of an aborted trial', () => {
+    for (let i = 0; i < 4; i++) {
+      send('/router/a', serverError());
+    }
+
+    now += 1000;
+    send('/router/a', new APIUserAbortError());
+
+    expect(breaker.state('/router/a')).toBe('half-open');
+    expect(() => breaker.acquire('/router/a')).not.toThrow();
+  });
+
+  it('should not create a circuit to record a success', () => {
+    send('/router/a');
+    expect(breaker._circuits.size).toBe(0);
+
+    send('/router/a', serverError());
+    send('/router/a');
+    expect(breaker._circuits.get('/router/a').outcomes).toEqual([true, false]);
+  });
+
+  it('should reset circuits', () => {
+    for (let i = 0; i < 4; i++) {
+      send('/router/a', serverError());
+    }
+
+    breaker.reset();
+
+    expect(breaker.state('/router/a')).toBe('closed');
+    expect(changes.map(change => change.to)).toEqual(['open', 'closed']);
+  });
+
+  it('should validate its options', () => {
+    expect(() => new CircuitBreaker({ failureThreshold: 0 })).toThrow('failureThreshold must be a number between 0 and 1');
+    expect(() => new CircuitBreaker({ windowSize: 0 })).toThrow('windowSize must be a positive integer');
+    expect(() => new CircuitBreaker({ minimumRequests: 30 })).toThrow('minimumRequests cannot be larger than windowSize');
+    expect(() => new CircuitBreaker({ cooldown: -1 })).toThrow('cooldown must be a non-negative number');
+  });
+});
+
+describe('circuitKey', () => {
+  it('should keep router IDs and leave resource IDs out', () => {
+    expect(circuitKey('/router/test-router-id')).toBe('/router/test-router-id');
+    expect(circuitKey('/router/test-router-id/embeddings')).toBe('/router/test-router-id/embeddings');
+    expect(circuitKey('/getRouterConfig/test-router-id')).toBe('/getRouterConfig/test-router-id');
+    expect(circuitKey('/files')).toBe('/files');
+    expect(circuitKey('/files/file-1')).toBe('/files/:id');
+    expect(circuitKey('/files/file-1/content')).toBe('/files/:id/content');
+    expect(circuitKey('/batches/batch_1/cancel?force=1')).toBe('/batches/:id/cancel');
+  });
+});
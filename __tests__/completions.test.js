@@ -0,0 +1,106 @@
+/**
+ * Tests for the legacy Completions API
+ */
+
+const axios = require('axios');
+const MockAdapter = require('axios-mock-adapter');
+const ModelPilot = require('../src/index');
+const { Completions, TextCompletionStream } = require('../src/completions');
+const { InvalidRequestError } = require('../src/errors');
+const { createChatCompletion } = require('./helpers');
+
+const mock = new MockAdapter(axios);
+
+describe('Completions', () => {
+  let client;
+
+  beforeEach(() => {
+    mock.reset();
+    client = new ModelPilot({
+      apiKey: 'mp_test-api-key',
+      routerId: 'test-router-id'
+    });
+  });
+
+  afterEach(() => {
+    mock.reset();
+  });
+
+  it('should be exposed on the client', () => {
+    expect(client.completions).toBeInstanceOf(Completions);
+  });
+
+  it('should send the prompt as a user message and return a text completion', async () => {
+    mock.onPost('/router/test-router-id').reply(200, createChatCompletion(' world'));
+
+    const completion = await client.completions.create({
+      prompt: 'Say hello',
+      max_tokens: 5,
+      stop: ['\n']
+    });
+
+    expect(completion).toEqual({
+      id: 'chatcmpl-1',
+      object: 'text_completion',
+      created: 1700000000,
+      model: 'openai:gpt-4o-mini',
+      choices: [{ index: 0, text: ' world', logprobs: null, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 4, completion_tokens: 2, total_tokens: 6 },
+      _meta: { modelUsed: 'openai:gpt-4o-mini', cost: 0.001, tokensUsed: 6 }
+    });
+    expect(JSON.parse(mock.history.post[0].data)).toEqual({
+      messages: [{ role: 'user', content: 'Say hello' }],
+      routerId: 'test-router-id',
+      max_tokens: 5,
+      stop: ['\n']
+    });
+  });
+
+  it('should echo the prompt', async () => {
+    mock.onPost().reply(200, createChatCompletion(' world'));
+
+    const completion = await client.completions.create({ prompt: 'Hello', echo: true });
+
+    expect(completion.choices[0].text).toBe('Hello world');
+    expect(JSON.parse(mock.history.post[0].data).echo).toBeUndefined();
+  });
+
+  it('should merge the results of several prompts', async () => {
+    mock
+      .onPost().replyOnce(200, createChatCompletion('one'))
+      .onPost().replyOnce(200, createChatCompletion('two'));
+
+    const completion = await client.completions.create(
+      { prompt: ['First', 'Second'] },
+      { idempotencyKey: 'batch' }
+    );
+
+    expect(completion.choices.map(choice => [choice.index, choice.text])).toEqual([[0, 'one'], [1, 'two']]);
+    expect(completion.usage.total_tokens).toBe(12);
+    expect(completion._meta.cost).toBeCloseTo(0.002);
+    expect(mock.history.post.map(request => request.headers['Idempotency-Key']).sort()).toEqual(['batch-0', 'batch-1']);
+  });
+
+  it('should stream text completion chunks', async () => {
+    mock.onPost().reply(200, [
+      'data: {"id":"chatcmpl-1","model":"openai:gpt-4o-mini","choices":[{"index":0,"delta":{"role":"assistant","content":" wor"}}]}\n\n',
+      'data: {"id":"chatcmpl-1","model":"openai:gpt-4o-mini","choices":[{"index":0,"delta":{"content":"ld"},"finish_reason":"stop"}]}\n\n',
+      'data: [DONE]\n\n'
+    ].join(''));
+
+    const stream = await client.completions.create({ prompt: 'Hello', echo: true, stream: true });
+
+    expect(stream).toBeInstanceOf(TextCompletionStream);
+    const chunks = await stream.toArray();
+    expect(chunks.map(chunk => chunk.choices[0].text)).toEqual(['Hello wor', 'ld']);
+    expect(chunks[1]).toMatchObject({ object: 'text_completion', choices: [{ finish_reason: 'stop' }] });
+  });
+
+  it('should reject unsupported parameters', async () => {
+    await expect(client.completions.create({})).rejects.toThrow('prompt is required');
+    await expect(client.completions.create({ prompt: [1, 2, 3] })).rejects.toThrow(InvalidRequestError);
+    await expect(client.completions.create({ prompt: 'Hi', suffix: '!' })).rejects.toThrow('suffix is not supported');
+    await expect(client.completions.create({ prompt: ['a', 'b'], stream: true })).rejects.toThrow('stream does not support multiple prompts');
+    expect(mock.history.post).toHaveLength(0);
+  });
+});
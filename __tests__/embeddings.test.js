@@ -0,0 +1,134 @@
+/**
+ * Tests for the Embeddings API
+ */
+
+const axios = require('axios');
+const MockAdapter = require('axios-mock-adapter');
+const ModelPilot = require('../src/index');
+const { Embeddings, decodeBase64Embedding } = require('../src/embeddings');
+const { ModelPilotError, InvalidRequestError } = require('../src/errors');
+
+const mock = new MockAdapter(axios);
+
+function toBase64(values) {
+  return Buffer.from(new Float32Array(values).buffer).toString('base64');
+}
+
+describe('Embeddings', () => {
+  let client;
+
+  beforeEach(() => {
+    mock.reset();
+    client = new ModelPilot({
+      apiKey: 'mp_test-api-key',
+      routerId: 'test-router-id'
+    });
+  });
+
+  afterEach(() => {
+    mock.reset();
+  });
+
+  it('should be exposed on the client', () => {
+    expect(client.embeddings).toBeInstanceOf(Embeddings);
+    expect(ModelPilot.Embeddings).toBe(Embeddings);
+  });
+
+  it('should create embeddings through the router', async () => {
+    const mockResponse = {
+      object: 'list',
+      data: [{ object: 'embedding', index: 0, embedding: [0.1, 0.2, 0.3] }],
+      model: 'openai:text-embedding-3-small',
+      usage: { prompt_tokens: 3, total_tokens: 3 },
+      _meta: { modelUsed: 'openai:text-embedding-3-small', cost: 0.00001 }
+    };
+    mock.onPost('/router/test-router-id/embeddings').reply(200, mockResponse);
+
+    const response = await client.embeddings.create({
+      input: 'Hello world',
+      model: 'openai:text-embedding-3-small',
+      dimensions: 3
+    });
+
+    expect(response).toEqual(mockResponse);
+    expect(response._meta.cost).toBe(0.00001);
+    expect(JSON.parse(mock.history.post[0].data)).toEqual({
+      input: 'Hello world',
+      routerId: 'test-router-id',
+      model: 'openai:text-embedding-3-small',
+      dimensions: 3
+    });
+  });
+
+  it('should return batched results in input order', async () => {
+    mock.onPost().reply(200, {
+      object: 'list',
+      data: [
+        { object: 'embedding', index: 1, embedding: [2] },
+        { object: 'embedding', index: 0, embedding: [1] }
+      ]
+    });
+
+    const response = await client.embeddings.create({ input: ['first', 'second'] });
+
+    expect(response.data.map(item => item.embedding)).toEqual([[1], [2]]);
+  });
+
+  it('should decode base64 embeddings into Float32Array', async () => {
+    mock.onPost().reply(200, {
+      object: 'list',
+      data: [{ object: 'embedding', index: 0, embedding: toBase64([0.5, -1.25, 3]) }]
+    });
+
+    const response = await client.embeddings.create({ input: 'Hello', encoding_format: 'base64' });
+    const [{ embedding }] = response.data;
+
+    expect(embedding).toBeInstanceOf(Float32Array);
+    expect(Array.from(embedding)).toEqual([0.5, -1.25, 3]);
+    expect(JSON.parse(mock.history.post[0].data).encoding_format).toBe('base64');
+  });
+
+  it('should honor per-request options and retries', async () => {
+    mock
+      .onPost('/router/other-router/embeddings').replyOnce(503, { error: { message: 'Busy' } }, { 'retry-after-ms': '0' })
+      .onPost('/router/other-router/embeddings').replyOnce(200, { object: 'list', data: [] });
+
+    await client.embeddings.create({ input: 'Hello' }, { routerId: 'other-router', idempotencyKey: 'embed-1' });
+
+    expect(mock.history.post).toHaveLength(2);
+    expect(mock.history.post[1].headers['Idempotency-Key']).toBe('embed-1');
+  });
+
+  it('should validate parameters', async () => {
+    await expect(client.embeddings.create({})).rejects.toThrow('input is required');
+    await expect(client.embeddings.create({ input: [] })).rejects.toThrow(InvalidRequestError);
+    await expect(client.embeddings.create({ input: ['ok', ''] })).rejects.toThrow('input[1] must be a non-empty string or token array');
+    await expect(client.embeddings.create({ input: 'Hi', dimensions: 1.5 })).rejects.toThrow('dimensions must be a positive integer');
+    await expect(client.embeddings.create({ input: 'Hi', encoding_format: 'int8' })).rejects.toThrow('encoding_format must be one of float, base64');
+
+    await client.embeddings.create({ input: [[1, 2], [3]] }).catch(() => {});
+    await client.embeddings.create({ input: [1, 2, 3] }).catch(() => {});
+    expect(mock.history.post).toHaveLength(2);
+  });
+});
+
+describe('decodeBase64Embedding', () => {
+  it('should reject truncated vectors', () => {
+    expect(() => decodeBase64Embedding(Buffer.from([1, 2, 3]).toString('base64'))).toThrow('multiple of 4 bytes');
+  });
+
+  it('should report malformed vectors as response errors', () => {
+    for (const data of [Buffer.from([1, 2, 3]).toString('base64'), '%%%']) {
+      let error;
+      try {
+        decodeBase64Embedding(data);
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).toBeInstanceOf(ModelPilotError);
+      expect(error).not.toBeInstanceOf(InvalidRequestError);
+      expect(error.type).toBe('invalid_response');
+    }
+  });
+});
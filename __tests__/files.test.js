@@ -0,0 +1,168 @@
+/**
+ * Tests for the Files API
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const MockAdapter = require('axios-mock-adapter');
+const ModelPilot = require('../src/index');
+const { Files, FileContent } = require('../src/files');
+const { InvalidRequestError, NotFoundError, APIUserAbortError } = require('../src/errors');
+
+const mock = new MockAdapter(axios);
+
+const FILE_OBJECT = {
+  id: 'file-abc',
+  object: 'file',
+  bytes: 9,
+  created_at: 1700000000,
+  filename: 'report.pdf',
+  purpose: 'user_data'
+};
+
+describe('Files', () => {
+  let client;
+
+  beforeEach(() => {
+    mock.reset();
+    client = new ModelPilot({
+      apiKey: 'mp_test-api-key',
+      routerId: 'test-router-id'
+    });
+  });
+
+  afterEach(() => {
+    mock.reset();
+  });
+
+  it('should be exposed on the client', () => {
+    expect(client.files).toBeInstanceOf(Files);
+  });
+
+  describe('create', () => {
+    let dir;
+
+    beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'modelpilot-files-'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should upload a file path as multipart form data', async () => {
+      const file = path.join(dir, 'report.pdf');
+      fs.writeFileSync(file, '%PDF-1.7\n');
+      mock.onPost('/files').reply(200, FILE_OBJECT);
+
+      const result = await client.files.create({ file, purpose: 'user_data' });
+
+      expect(result).toEqual(FILE_OBJECT);
+
+      const request = mock.history.post[0];
+      const body = Buffer.from(request.data).toString();
+      const boundary = request.headers['Content-Type'].match(/^multipart\/form-data; boundary=(.+)$/)[1];
+      expect(request.headers['Authorization']).toBe('Bearer mp_test-api-key');
+      expect(body).toContain(`--${boundary}`);
+      expect(body).toContain('Content-Disposition: form-data; name="purpose"\r\n\r\nuser_data');
+      expect(body).toContain('Content-Disposition: form-data; name="file"; filename="report.pdf"\r\nContent-Type: application/pdf\r\n\r\n%PDF-1.7\n');
+    });
+
+    it('should upload bytes with an explicit filename', async () => {
+      mock.onPost('/files').reply(200, { ...FILE_OBJECT, filename: 'requests.jsonl', purpose: 'batch' });
+
+      await client.files.create({
+        file: Buffer.from('{"custom_id":"1"}\n'),
+        filename: 'requests.jsonl',
+        contentType: 'application/jsonl',
+        purpose: 'batch'
+      });
+
+      const body = Buffer.from(mock.history.post[0].data).toString();
+      expect(body).toContain('filename="requests.jsonl"\r\nContent-Type: application/jsonl');
+    });
+
+    it('should resend the same body when retrying', async () => {
+      mock
+        .onPost('/files').replyOnce(503, { error: { message: 'Unavailable' } })
+        .onPost('/files').replyOnce(200, FILE_OBJECT);
+
+      await client.files.create(
+        { file: new Blob(['hello']), filename: 'hello.txt', purpose: 'user_data' },
+        { maxRetries: 1 }
+      );
+
+      expect(mock.history.post).toHaveLength(2);
+      expect(Buffer.from(mock.history.post[1].data)).toEqual(Buffer.from(mock.history.post[0].data));
+    });
+
+    it('should validate parameters', async () => {
+      await expect(client.files.create({ purpose: 'batch' })).rejects.toThrow('file is required');
+      await expect(client.files.create({ file: Buffer.from('x'), purpose: 'training' })).rejects.toThrow(InvalidRequestError);
+      await expect(client.files.create({ file: Buffer.from('x'), purpose: 'batch' })).rejects.toThrow('filename is required');
+      expect(mock.history.post).toHaveLength(0);
+    });
+  });
+
+  it('should list files with query parameters', async () => {
+    mock.onGet('/files').reply(200, { object: 'list', data: [FILE_OBJECT], has_more: false });
+
+    const page = await client.files.list({ purpose: 'user_data', limit: 10 });
+
+    expect(page.data).toEqual([FILE_OBJECT]);
+    expect(mock.history.get[0].params).toEqual({ purpose: 'user_data', limit: 10, after: undefined, order: undefined });
+    await expect(client.files.list({ limit: 0 })).rejects.toThrow('limit must be a positive integer');
+    await expect(client.files.list({ order: 'newest' })).rejects.toThrow('order must be one of asc, desc');
+  });
+
+  it('should retrieve and delete files', async () => {
+    mock.onGet('/files/file-abc').reply(200, FILE_OBJECT);
+    mock.onDelete('/files/file-abc').reply(200, { id: 'file-abc', object: 'file', deleted: true });
+
+    expect(await client.files.retrieve('file-abc')).toEqual(FILE_OBJECT);
+    expect(await client.files.del('file-abc')).toEqual({ id: 'file-abc', object: 'file', deleted: true });
+    await expect(client.files.retrieve('')).rejects.toThrow('fileId must be a non-empty string');
+  });
+
+  describe('content', () => {
+    it('should stream the file contents', async () => {
+      mock.onGet('/files/file-abc/content').reply(200, 'line one\nline two\n');
+
+      const content = await client.files.content('file-abc');
+
+      expect(content).toBeInstanceOf(FileContent);
+      expect(mock.history.get[0].responseType).toBe('stream');
+      expect(await content.text()).toBe('line one\nline two\n');
+    });
+
+    it('should read error bodies from the stream', async () => {
+      mock.onGet('/files/missing/content').reply(404, { error: { message: 'No such file' } });
+
+      await expect(client.files.content('missing')).rejects.toThrow(NotFoundError);
+    });
+
+    it('should collect chunks into bytes', async () => {
+      const content = new FileContent((async function* () {
+        yield new Uint8Array([1, 2]);
+        yield new Uint8Array([3]);
+      })());
+
+      expect(await content.bytes()).toEqual(new Uint8Array([1, 2, 3]));
+    });
+
+    it('should stop when aborted', async () => {
+      const content = new FileContent((async function* () {
+        yield new Uint8Array([1]);
+        yield new Uint8Array([2]);
+      })());
+
+      const iterator = content[Symbol.asyncIterator]();
+      await iterator.next();
+      content.abort();
+
+      await expect(iterator.next()).rejects.toThrow(APIUserAbortError);
+    });
+  });
+});
@@ -45,8 +45,28 @@ function createMockStreamResponse(chunks) {
   };
 }
 
+/**
+ * Create a chat completion response body
+ * @param {string|Object|null} message - Assistant content, or message fields such as tool_calls or refusal
+ * @param {Object} [options] - finishReason of the choice, plus top-level fields to override
+ */
+function createChatCompletion(message, { finishReason = 'stop', ...extra } = {}) {
+  const fields = message && typeof message === 'object' ? message : { content: message };
+  return {
+    id: 'chatcmpl-1',
+    object: 'chat.completion',
+    created: 1700000000,
+    model: 'openai:gpt-4o-mini',
+    choices: [{ index: 0, message: { role: 'assistant', ...fields }, finish_reason: finishReason }],
+    usage: { prompt_tokens: 4, completion_tokens: 2, total_tokens: 6 },
+    _meta: { modelUsed: 'openai:gpt-4o-mini', cost: 0.001, tokensUsed: 6 },
+    ...extra
+  };
+}
+
 module.exports = {
   createMockResponse,
   createMockError,
-  createMockStreamResponse
+  createMockStreamResponse,
+  createChatCompletion
 };
@@ -5,7 +5,23 @@
 const axios = require('axios');
 const MockAdapter = require('axios-mock-adapter');
 const ModelPilot = require('../src/index');
-const { APIError, AuthenticationError } = require('../src/errors');
+const {
+  APIError,
+  AuthenticationError,
+  RateLimitError,
+  InvalidRequestError,
+  PermissionDeniedError,
+  NotFoundError,
+  ConflictError,
+  UnprocessableEntityError,
+  InternalServerError,
+  APIConnectionError,
+  APITimeoutError,
+  APIUserAbortError,
+  CircuitOpenError
+} = require('../src/errors');
+const { TokenBucket } = require('../src/ratelimit');
+const { CircuitBreaker } = require('../src/circuit');
 
 // Create axios mock adapter
 const mock = new MockAdapter(axios);
@@ -25,6 +41,7 @@ describe('ModelPilot', () => {
   
   afterEach(() => {
     mock.reset();
+    jest.restoreAllMocks();
   });
 
   describe('constructor', () => {
@@ -104,6 +121,363 @@ describe('ModelPilot', () => {
     });
   });
 
+  describe('error mapping', () => {
+    const cases = [
+      [400, InvalidRequestError],
+      [401, AuthenticationError],
+      [403, PermissionDeniedError],
+      [404, NotFoundError],
+      [409, ConflictError],
+      [422, UnprocessableEntityError],
+      [429, RateLimitError],
+      [503, InternalServerError]
+    ];
+
+    it.each(cases)('should map status %i to its error class', async (status, ErrorClass) => {
+      mock.onPost('/test').reply(status, {
+        error: { message: `Failed with ${status}`, code: 'some_code', param: 'messages' }
+      }, { 'x-request-id': 'req_abc' });
+
+      const error = await client.request('/test', { maxRetries: 0 }).catch(err => err);
+
+      expect(error).toBeInstanceOf(ErrorClass);
+      expect(error).toBeInstanceOf(APIError);
+      expect(error.status).toBe(status);
+      expect(error.message).toBe(`Failed with ${status}`);
+      expect(error.code).toBe('some_code');
+      expect(error.param).toBe('messages');
+      expect(error.requestId).toBe('req_abc');
+      expect(error.headers['x-request-id']).toBe('req_abc');
+    });
+
+    it('should fall back to a flat message field', async () => {
+      mock.onPost('/test').reply(404, { message: 'Router not found' });
+
+      await expect(client.request('/test')).rejects.toThrow('Router not found');
+    });
+
+    it('should raise APITimeoutError on timeouts', async () => {
+      mock.onPost('/test').timeout();
+
+      await expect(client.request('/test', { maxRetries: 0 })).rejects.toThrow(APITimeoutError);
+    });
+
+    it('should raise APIConnectionError when no response arrives', async () => {
+      mock.onPost('/test').reply(() => {
+        const error = new Error('connect ECONNREFUSED');
+        error.code = 'ECONNREFUSED';
+        throw error;
+      });
+
+      const error = await client.request('/test', { maxRetries: 0 }).catch(err => err);
+
+      expect(error).toBeInstanceOf(APIConnectionError);
+      expect(error.code).toBe('ECONNREFUSED');
+    });
+
+    it('should export every error class', () => {
+      for (const [, ErrorClass] of cases) {
+        expect(ModelPilot[ErrorClass.name]).toBe(ErrorClass);
+      }
+      expect(ModelPilot.APIConnectionError).toBe(APIConnectionError);
+      expect(ModelPilot.APITimeoutError).toBe(APITimeoutError);
+      expect(ModelPilot.APIUserAbortError).toBe(APIUserAbortError);
+    });
+  });
+
+  describe('retries', () => {
+    it('should honor Retry-After on rate limits', async () => {
+      mock
+        .onPost('/test')
+        .replyOnce(429, { error: { message: 'Slow down' } }, { 'retry-after-ms': '10' })
+        .onPost('/test')
+        .reply(200, { success: true });
+
+      const result = await client.request('/test');
+
+      expect(result).toEqual({ success: true });
+      expect(mock.history.post).toHaveLength(2);
+    });
+
+    it('should expose rate limit state and stop when the wait is too long', async () => {
+      mock.onPost('/test').reply(429, { error: { message: 'Slow down' } }, {
+        'retry-after': '120',
+        'x-ratelimit-limit-requests': '100',
+        'x-ratelimit-remaining-requests': '0',
+        'x-ratelimit-reset-requests': '2m'
+      });
+
+      const error = await client.request('/test').catch(err => err);
+
+      expect(error).toBeInstanceOf(RateLimitError);
+      expect(error.retryAfter).toBe(120000);
+      expect(error.limit).toBe(100);
+      expect(error.remaining).toBe(0);
+      expect(error.resetAt).toBeInstanceOf(Date);
+      expect(mock.history.post).toHaveLength(1);
+    });
+
+    it('should make parallel requests back off together after a rate limit', async () => {
+      const sent = [];
+      mock.onPost('/limited').replyOnce(429, { error: { message: 'Slow down' } }, { 'retry-after-ms': '200' });
+      mock.onPost('/limited').reply(200, { success: true });
+      mock.onPost('/other').reply(() => {
+        sent.push(Date.now());
+        return [200, { success: true }];
+      });
+
+      const started = Date.now();
+      await client.request('/limited', { maxRetries: 0 }).catch(() => {});
+      await client.request('/other');
+
+      expect(sent[0] - started).toBeGreaterThanOrEqual(190);
+    });
+
+    it('should throttle requests with a configured rate limit', async () => {
+      const throttled = new ModelPilot({
+        apiKey: 'mp_test-api-key',
+        routerId: 'test-router-id',
+        rateLimit: { requestsPerSecond: 20, burst: 1 }
+      });
+      mock.onPost('/test').reply(200, { success: true });
+
+      const started = Date.now();
+      await Promise.all([throttled.request('/test'), throttled.request('/test'), throttled.request('/test')]);
+
+      // One request right away, then one every 50ms
+      expect(Date.now() - started).toBeGreaterThanOrEqual(90);
+      expect(mock.history.post).toHaveLength(3);
+    });
+
+    it('should share a token bucket between clients', () => {
+      const bucket = new TokenBucket({ requestsPerSecond: 5 });
+      const first = new ModelPilot({ apiKey: 'mp_test-api-key', routerId: 'a', rateLimit: bucket });
+      const second = new ModelPilot({ apiKey: 'mp_test-api-key', routerId: 'b', rateLimit: bucket });
+
+      expect(first.rateLimiter).toBe(bucket);
+      expect(second.rateLimiter).toBe(bucket);
+    });
+
+    it('should not retry non-retryable client errors', async () => {
+      mock.onPost('/test').reply(400, { error: { message: 'Bad request' } });
+
+      await expect(client.request('/test')).rejects.toThrow(APIError);
+      expect(mock.history.post).toHaveLength(1);
+    });
+
+    it('should retry connection resets', async () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0);
+      mock
+        .onPost('/test')
+        .replyOnce(() => {
+          const error = new Error('socket hang up');
+          error.code = 'ECONNRESET';
+          throw error;
+        })
+        .onPost('/test')
+        .reply(200, { success: true });
+
+      const result = await client.request('/test');
+
+      expect(result).toEqual({ success: true });
+      expect(mock.history.post).toHaveLength(2);
+    });
+  });
+
+  describe('circuit breaker', () => {
+    it('should be off unless configured', () => {
+      expect(client.circuitBreaker).toBeNull();
+      expect(new ModelPilot({ apiKey: 'mp_test-api-key', routerId: 'r', circuitBreaker: true }).circuitBreaker).toBeInstanceOf(CircuitBreaker);
+
+      const shared = new CircuitBreaker();
+      expect(new ModelPilot({ apiKey: 'mp_test-api-key', routerId: 'r', circuitBreaker: shared }).circuitBreaker).toBe(shared);
+      expect(() => new ModelPilot({ apiKey: 'mp_test-api-key', circuitBreaker: 'on' })).toThrow('circuitBreaker must be a boolean, an object or a CircuitBreaker');
+    });
+
+    it('should stop retrying and fail fast once the circuit opens', async () => {
+      const breakerClient = new ModelPilot({
+        apiKey: 'mp_test-api-key',
+        routerId: 'test-router-id',
+        maxRetries: 5,
+        circuitBreaker: { minimumRequests: 2, windowSize: 2, cooldown: 60000 }
+      });
+      const changes = [];
+      breakerClient.circuitBreaker.on('stateChange', change => changes.push(change));
+      mock.onPost('/router/test-router-id').reply(503, { error: { message: 'Router down' } }, { 'retry-after-ms': '0' });
+      mock.onPost('/router/other-router').reply(200, { success: true });
+
+      await expect(breakerClient.request('/router/test-router-id')).rejects.toThrow(CircuitOpenError);
+      expect(mock.history.post).toHaveLength(2);
+      expect(changes).toEqual([{ key: '/router/test-router-id', from: 'closed', to: 'open' }]);
+
+      await expect(breakerClient.request('/router/test-router-id')).rejects.toThrow(CircuitOpenError);
+      expect(mock.history.post).toHaveLength(2);
+
+      expect(await breakerClient.request('/router/other-router')).toEqual({ success: true });
+    });
+
+    it('should close again after a successful trial request', async () => {
+      let now = 1000000;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+      const breakerClient = new ModelPilot({
+        apiKey: 'mp_test-api-key',
+        routerId: 'test-router-id',
+        maxRetries: 0,
+        circuitBreaker: { minimumRequests: 1, windowSize: 1, cooldown: 1000 }
+      });
+      mock
+        .onGet('/getModels').replyOnce(500, { error: { message: 'Boom' } })
+        .onGet('/getModels').reply(200, ['openai:gpt-4o']);
+
+      await expect(breakerClient.getModels()).rejects.toThrow(InternalServerError);
+      await expect(breakerClient.getModels()).rejects.toThrow(CircuitOpenError);
+
+      now += 1000;
+      expect(await breakerClient.getModels()).toEqual(['openai:gpt-4o']);
+      expect(breakerClient.circuitBreaker.state('/getModels')).toBe('closed');
+    });
+
+    it('should share one circuit between the resources of a route', async () => {
+      const breakerClient = new ModelPilot({
+        apiKey: 'mp_test-api-key',
+        routerId: 'test-router-id',
+        maxRetries: 0,
+        circuitBreaker: { minimumRequests: 2, windowSize: 2, cooldown: 60000 }
+      });
+      mock
+        .onGet('/files/file-ok').reply(200, { id: 'file-ok' })
+        .onGet(/\/files\/file-down-\d/).reply(503, { error: { message: 'Storage down' } });
+
+      for (let i = 0; i < 50; i++) {
+        await breakerClient.request('/files/file-ok', { method: 'GET' });
+      }
+      expect(breakerClient.circuitBreaker._circuits.size).toBe(0);
+
+      await expect(breakerClient.request('/files/file-down-1', { method: 'GET' })).rejects.toThrow(InternalServerError);
+      await expect(breakerClient.request('/files/file-down-2', { method: 'GET' })).rejects.toThrow(InternalServerError);
+      await expect(breakerClient.request('/files/file-ok', { method: 'GET' })).rejects.toThrow(CircuitOpenError);
+      expect([...breakerClient.circuitBreaker._circuits.keys()]).toEqual(['/files/:id']);
+    });
+  });
+
+  describe('cancellation', () => {
+    it('should not send a request when the signal is already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      mock.onPost('/test').reply(200, { success: true });
+
+      await expect(client.request('/test', { signal: controller.signal })).rejects.toThrow(APIUserAbortError);
+      expect(mock.history.post).toHaveLength(0);
+    });
+
+    it('should stop retrying when aborted during backoff', async () => {
+      const controller = new AbortController();
+      mock.onPost('/test').reply(500, { error: { message: 'Server error' } });
+      // Longest jittered backoff, so the abort always lands during the wait
+      jest.spyOn(Math, 'random').mockReturnValue(0.99);
+
+      setTimeout(() => controller.abort(), 50);
+
+      await expect(client.request('/test', { signal: controller.signal })).rejects.toThrow(APIUserAbortError);
+      expect(mock.history.post).toHaveLength(1);
+    });
+  });
+
+  describe('middleware', () => {
+    it('should run middleware around every request in registration order', async () => {
+      mock.onPost('/test').reply(200, { success: true });
+      const calls = [];
+
+      client
+        .use(async (request, next) => {
+          calls.push('outer:before');
+          const response = await next({ ...request, headers: { ...request.headers, 'X-Trace-Id': 'trace-1' } });
+          calls.push('outer:after');
+          return response;
+        })
+        .use(async (request, next) => {
+          calls.push(`inner:${request.headers['X-Trace-Id']}`);
+          const response = await next();
+          return { ...response, data: { ...response.data, seen: true } };
+        });
+
+      expect(await client.request('/test')).toEqual({ success: true, seen: true });
+      expect(calls).toEqual(['outer:before', 'inner:trace-1', 'outer:after']);
+      expect(mock.history.post[0].headers['X-Trace-Id']).toBe('trace-1');
+    });
+
+    it('should run for every retry attempt and see error responses', async () => {
+      mock
+        .onPost('/test').replyOnce(500, { error: { message: 'Server error' } }, { 'retry-after-ms': '0' })
+        .onPost('/test').replyOnce(200, { success: true });
+      const seen = [];
+
+      client.use(async (request, next) => {
+        const response = await next();
+        seen.push([request.attempt, response.status]);
+        return response;
+      });
+
+      await client.request('/test');
+      expect(seen).toEqual([[0, 500], [1, 200]]);
+    });
+
+    it('should be able to inject faults without touching the network', async () => {
+      mock.onPost('/test').reply(200, { success: true });
+
+      client.use(async (request, next) => {
+        if (request.attempt === 0) {
+          return { status: 503, headers: { 'retry-after-ms': '0' }, data: { error: { message: 'Injected' } } };
+        }
+        return next();
+      });
+
+      expect(await client.request('/test')).toEqual({ success: true });
+      expect(mock.history.post).toHaveLength(1);
+    });
+
+    it('should run for streaming requests', async () => {
+      mock.onPost().reply(200, 'data: {"choices":[{"index":0,"delta":{"content":"Hi"}}]}\n\ndata: [DONE]\n\n');
+      const middleware = jest.fn((request, next) => next());
+
+      const stream = await client.chat.create({ messages: [{ role: 'user', content: 'Hello!' }], stream: true });
+
+      expect(await stream.getText()).toBe('Hi');
+      expect(middleware).not.toHaveBeenCalled();
+
+      client.use(middleware);
+      await client.chat.create({ messages: [{ role: 'user', content: 'Hello!' }], stream: true });
+      expect(middleware).toHaveBeenCalledWith(expect.objectContaining({ stream: true, url: '/router/test-router-id' }), expect.any(Function));
+    });
+
+    it('should accept middleware and a custom transport in the config', async () => {
+      const transport = jest.fn(async request => ({ status: 200, headers: {}, data: { path: request.url } }));
+      const middleware = jest.fn((request, next) => next());
+      const customClient = new ModelPilot({
+        apiKey: 'mp_test-api-key',
+        routerId: 'test-router-id',
+        transport,
+        middleware: [middleware]
+      });
+
+      expect(await customClient.getModels()).toEqual({ path: '/getModels' });
+      expect(transport).toHaveBeenCalledWith(expect.objectContaining({
+        method: 'GET',
+        headers: expect.objectContaining({ Authorization: 'Bearer mp_test-api-key' })
+      }));
+      expect(middleware).toHaveBeenCalledTimes(1);
+      expect(mock.history.get).toHaveLength(0);
+    });
+
+    it('should reject invalid middleware and transports', async () => {
+      expect(() => client.use('logger')).toThrow('middleware must be a function');
+      expect(() => new ModelPilot({ apiKey: 'mp_test-api-key', routerId: 'r', transport: {} })).toThrow('transport must be a function');
+
+      client.use(async () => undefined);
+      await expect(client.request('/test')).rejects.toThrow('Transport or middleware did not return a response');
+    });
+  });
+
   describe('getRouterConfig', () => {
     it('should fetch router configuration', async () => {
       const mockConfig = {
@@ -118,6 +492,14 @@ describe('ModelPilot', () => {
       expect(config).toEqual(mockConfig);
       expect(mock.history.get).toHaveLength(1);
     });
+
+    it('should accept a routerId override', async () => {
+      mock.onGet('/getRouterConfig/other-router').reply(200, { id: 'other-router' });
+
+      const config = await client.getRouterConfig({ routerId: 'other-router', timeout: 5000 });
+      expect(config).toEqual({ id: 'other-router' });
+      expect(mock.history.get[0].timeout).toBe(5000);
+    });
   });
 
   describe('getModels', () => {
@@ -0,0 +1,126 @@
+/**
+ * Tests for the media content part helpers
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ModelPilot = require('../src/index');
+const { sniffMimeType, toImagePart, toAudioPart, toFilePart } = require('../src/media');
+const { InvalidRequestError } = require('../src/errors');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00]);
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00]);
+const WAV = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WAVEfmt ')]);
+const MP3 = Buffer.concat([Buffer.from('ID3'), Buffer.alloc(4)]);
+const PDF = Buffer.from('%PDF-1.7\n');
+
+describe('sniffMimeType', () => {
+  it('should detect types from magic bytes', () => {
+    expect(sniffMimeType(PNG)).toBe('image/png');
+    expect(sniffMimeType(JPEG)).toBe('image/jpeg');
+    expect(sniffMimeType(Buffer.from('GIF89a'))).toBe('image/gif');
+    expect(sniffMimeType(Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WEBP')]))).toBe('image/webp');
+    expect(sniffMimeType(WAV)).toBe('audio/wav');
+    expect(sniffMimeType(MP3)).toBe('audio/mpeg');
+    expect(sniffMimeType(PDF)).toBe('application/pdf');
+    expect(sniffMimeType(Buffer.from('hello'))).toBeNull();
+  });
+});
+
+describe('media helpers', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'modelpilot-media-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should be exposed on the client class', () => {
+    expect(ModelPilot.toImagePart).toBe(toImagePart);
+    expect(ModelPilot.toAudioPart).toBe(toAudioPart);
+    expect(ModelPilot.toFilePart).toBe(toFilePart);
+  });
+
+  it('should build an image part from a buffer', async () => {
+    const part = await toImagePart(PNG, undefined, { detail: 'high' });
+
+    expect(part).toEqual({
+      type: 'image_url',
+      image_url: { url: `data:image/png;base64,${PNG.toString('base64')}`, detail: 'high' }
+    });
+  });
+
+  it('should build an image part from a file path', async () => {
+    const file = path.join(dir, 'photo.jpg');
+    fs.writeFileSync(file, JPEG);
+
+    const part = await toImagePart(file);
+
+    expect(part.image_url.url).toBe(`data:image/jpeg;base64,${JPEG.toString('base64')}`);
+  });
+
+  it('should build an image part from a Blob and an ArrayBuffer', async () => {
+    const fromBlob = await toImagePart(new Blob([PNG]));
+    const fromArrayBuffer = await toImagePart(new Uint8Array(PNG).buffer);
+
+    expect(fromBlob.image_url.url).toMatch(/^data:image\/png;base64,/);
+    expect(fromArrayBuffer).toEqual(fromBlob);
+  });
+
+  it('should prefer an explicit MIME type', async () => {
+    const part = await toImagePart(Buffer.from('not sniffable'), 'image/webp');
+
+    expect(part.image_url.url).toMatch(/^data:image\/webp;base64,/);
+  });
+
+  it('should reject unsupported image types', async () => {
+    await expect(toImagePart(PDF)).rejects.toThrow('Unsupported image type application/pdf');
+    await expect(toImagePart(Buffer.from('hello'))).rejects.toThrow('Unsupported image type (unknown)');
+  });
+
+  it('should enforce size limits', async () => {
+    await expect(toImagePart(PNG, undefined, { maxBytes: 4 })).rejects.toThrow(InvalidRequestError);
+    await expect(toImagePart(PNG, undefined, { maxBytes: 4 })).rejects.toThrow('over the 4 byte limit');
+
+    const file = path.join(dir, 'large.png');
+    fs.writeFileSync(file, PNG);
+    await expect(toImagePart(file, undefined, { maxBytes: 4 })).rejects.toThrow('over the 4 byte limit');
+  });
+
+  it('should reject unsupported inputs', async () => {
+    await expect(toImagePart(42)).rejects.toThrow('file must be a path, Uint8Array, Buffer, ArrayBuffer or Blob');
+  });
+
+  it('should build audio parts for WAV and MP3', async () => {
+    expect(await toAudioPart(WAV)).toEqual({
+      type: 'input_audio',
+      input_audio: { data: WAV.toString('base64'), format: 'wav' }
+    });
+    expect((await toAudioPart(MP3)).input_audio.format).toBe('mp3');
+    await expect(toAudioPart(PNG)).rejects.toThrow('Unsupported audio type image/png');
+  });
+
+  it('should build a file part with the file name', async () => {
+    const file = path.join(dir, 'report.pdf');
+    fs.writeFileSync(file, PDF);
+
+    expect(await toFilePart(file)).toEqual({
+      type: 'file',
+      file: { filename: 'report.pdf', file_data: `data:application/pdf;base64,${PDF.toString('base64')}` }
+    });
+  });
+
+  it('should fall back to the extension and then octet-stream for file parts', async () => {
+    const notes = path.join(dir, 'notes.md');
+    fs.writeFileSync(notes, '# Notes');
+
+    expect((await toFilePart(notes)).file.file_data).toMatch(/^data:text\/markdown;base64,/);
+
+    const part = await toFilePart(Buffer.from('raw'), undefined, { filename: 'blob.bin' });
+    expect(part.file).toEqual({ filename: 'blob.bin', file_data: `data:application/octet-stream;base64,${Buffer.from('raw').toString('base64')}` });
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests for the client-side token bucket
+ */
+
+const { TokenBucket } = require('../src/ratelimit');
+const { APIUserAbortError } = require('../src/errors');
+
+describe('TokenBucket', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should not wait when unlimited', async () => {
+    const bucket = new TokenBucket();
+
+    for (let i = 0; i < 100; i++) {
+      await bucket.acquire();
+    }
+    expect(bucket._waitTime(now)).toBe(0);
+  });
+
+  it('should allow a burst and then refill at the configured rate', async () => {
+    const bucket = new TokenBucket({ requestsPerSecond: 10, burst: 2 });
+
+    await bucket.acquire();
+    await bucket.acquire();
+    expect(bucket._waitTime(now)).toBe(100);
+
+    now += 50;
+    expect(bucket._waitTime(now)).toBe(50);
+
+    now += 50;
+    expect(bucket._waitTime(now)).toBe(0);
+  });
+
+  it('should default the burst to the rate', () => {
+    expect(new TokenBucket({ requestsPerSecond: 5 }).capacity).toBe(5);
+    expect(new TokenBucket({ requestsPerSecond: 0.5 }).capacity).toBe(1);
+  });
+
+  it('should hold every caller back while paused', () => {
+    const bucket = new TokenBucket();
+
+    bucket.pause(500);
+    bucket.pause(100);
+
+    expect(bucket._waitTime(now)).toBe(500);
+    now += 500;
+    expect(bucket._waitTime(now)).toBe(0);
+  });
+
+  it('should stop waiting when aborted', async () => {
+    Date.now.mockRestore();
+    const bucket = new TokenBucket();
+    const controller = new AbortController();
+    bucket.pause(10000);
+
+    setTimeout(() => controller.abort(), 10);
+
+    await expect(bucket.acquire(controller.signal)).rejects.toThrow(APIUserAbortError);
+  });
+
+  it('should validate options', () => {
+    expect(() => new TokenBucket({ requestsPerSecond: 0 })).toThrow('requestsPerSecond must be a positive number');
+    expect(() => new TokenBucket({ requestsPerSecond: 5, burst: 0.5 })).toThrow('burst must be a number of at least 1');
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Tests for the Responses API
+ */
+
+const axios = require('axios');
+const MockAdapter = require('axios-mock-adapter');
+const ModelPilot = require('../src/index');
+const { Responses, ResponseStream } = require('../src/responses');
+const { InvalidRequestError } = require('../src/errors');
+const { createChatCompletion } = require('./helpers');
+
+const mock = new MockAdapter(axios);
+
+describe('Responses', () => {
+  let client;
+
+  beforeEach(() => {
+    mock.reset();
+    client = new ModelPilot({
+      apiKey: 'mp_test-api-key',
+      routerId: 'test-router-id'
+    });
+  });
+
+  afterEach(() => {
+    mock.reset();
+  });
+
+  it('should be exposed on the client', () => {
+    expect(client.responses).toBeInstanceOf(Responses);
+  });
+
+  it('should map a text input onto the router and return output_text', async () => {
+    mock.onPost('/router/test-router-id').reply(200, createChatCompletion({ content: 'Hi there!' }));
+
+    const response = await client.responses.create({
+      input: 'Hello!',
+      instructions: 'Be brief.',
+      max_output_tokens: 50
+    });
+
+    expect(response).toEqual({
+      id: 'chatcmpl-1',
+      object: 'response',
+      created_at: 1700000000,
+      model: 'openai:gpt-4o-mini',
+      status: 'completed',
+      incomplete_details: null,
+      instructions: 'Be brief.',
+      output: [{
+        type: 'message',
+        id: 'msg_chatcmpl-1',
+        status: 'completed',
+        role: 'assistant',
+        content: [{ type: 'output_text', text: 'Hi there!', annotations: [] }]
+      }],
+      output_text: 'Hi there!',
+      usage: { input_tokens: 4, output_tokens: 2, total_tokens: 6 },
+      _meta: { modelUsed: 'openai:gpt-4o-mini', cost: 0.001, tokensUsed: 6 }
+    });
+    expect(JSON.parse(mock.history.post[0].data)).toEqual({
+      messages: [
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Hello!' }
+      ],
+      routerId: 'test-router-id',
+      max_tokens: 50
+    });
+  });
+
+  it('should convert input items, tools and text formats', async () => {
+    mock.onPost().reply(200, createChatCompletion({ content: '{"ok":true}' }));
+
+    await client.responses.create({
+      input: [
+        { role: 'developer', content: 'Use tools.' },
+        { role: 'user', content: [{ type: 'input_text', text: 'What is this?' }, { type: 'input_image', image_url: 'https://example.com/a.png', detail: 'low' }] },
+        { type: 'function_call', call_id: 'call_1', name: 'lookup', arguments: '{"q":"a"}' },
+        { type: 'function_call', call_id: 'call_2', name: 'lookup', arguments: '{"q":"b"}' },
+        { type: 'function_call_output', call_id: 'call_1', output: 'A' },
+        { type: 'function_call_output', call_id: 'call_2', output: { value: 'B' } }
+      ],
+      tools: [{ type: 'function', name: 'lookup', parameters: { type: 'object' } }],
+      tool_choice: { type: 'function', name: 'lookup' },
+      text: { format: { type: 'json_schema', name: 'result', schema: { type: 'object' }, strict: true } }
+    });
+
+    const sent = JSON.parse(mock.history.post[0].data);
+    expect(sent.messages).toEqual([
+      { role: 'system', content: 'Use tools.' },
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: 'What is this?' },
+          { type: 'image_url', image_url: { url: 'https://example.com/a.png', detail: 'low' } }
+        ]
+      },
+      {
+        role: 'assistant',
+        content: null,
+        tool_calls: [
+          { id: 'call_1', type: 'function', function: { name: 'lookup', arguments: '{"q":"a"}' } },
+          { id: 'call_2', type: 'function', function: { name: 'lookup', arguments: '{"q":"b"}' } }
+        ]
+      },
+      { role: 'tool', tool_call_id: 'call_1', content: 'A' },
+      { role: 'tool', tool_call_id: 'call_2', content: '{"value":"B"}' }
+    ]);
+    expect(sent.tools).toEqual([{ type: 'function', function: { name: 'lookup', parameters: { type: 'object' } } }]);
+    expect(sent.tool_choice).toEqual({ type: 'function', function: { name: 'lookup' } });
+    expect(sent.response_format).toEqual({
+      type: 'json_schema',
+      json_schema: { name: 'result', schema: { type: 'object' }, strict: true }
+    });
+  });
+
+  it('should return function calls as output items', async () => {
+    mock.onPost().reply(200, createChatCompletion({
+      content: null,
+      tool_calls: [{ id: 'call_9', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Oslo"}' } }]
+    }, 'tool_calls'));
+
+    const response = await client.responses.create({
+      input: 'Weather in Oslo?',
+      tools: [{ type: 'function', name: 'get_weather' }]
+    });
+
+    expect(response.output).toEqual([{
+      type: 'function_call',
+      id: 'fc_call_9',
+      call_id: 'call_9',
+      name: 'get_weather',
+      arguments: '{"city":"Oslo"}',
+      status: 'completed'
+    }]);
+    expect(response.output_text).toBe('');
+  });
+
+  it('should report truncated output as incomplete', async () => {
+    mock.onPost().reply(200, createChatCompletion('Once upon', { finishReason: 'length' }));
+
+    const response = await client.responses.create({ input: 'Tell a story', max_output_tokens: 2 });
+
+    expect(response.status).toBe('incomplete');
+    expect(response.incomplete_details).toEqual({ reason: 'max_output_tokens' });
+  });
+
+  it('should stream response events', async () => {
+    mock.onPost().reply(200, [
+      'data: {"id":"chatcmpl-1","created":1700000000,"model":"openai:gpt-4o-mini","choices":[{"index":0,"delta":{"role":"assistant","content":"Hi"}}]}\n\n',
+      'data: {"id":"chatcmpl-1","choices":[{"index":0,"delta":{"content":" there"},"finish_reason":"stop"}]}\n\n',
+      'data: {"id":"chatcmpl-1","choices":[],"usage":{"prompt_tokens":3,"completion_tokens":2,"total_tokens":5}}\n\n',
+      'data: [DONE]\n\n'
+    ].join(''));
+
+    const stream = await client.responses.create({ input: 'Hello', stream: true });
+    expect(stream).toBeInstanceOf(ResponseStream);
+
+    const events = [];
+    for await (const event of stream) {
+      events.push(event);
+    }
+
+    expect(events.map(event => event.type)).toEqual([
+      'response.created',
+      'response.output_item.added',
+      'response.output_text.delta',
+      'response.output_text.delta',
+      'response.output_item.done',
+      'response.completed'
+    ]);
+    expect(events.map(event => event.sequence_number)).toEqual([0, 1, 2, 3, 4, 5]);
+    expect(events[3]).toMatchObject({ item_id: 'msg_chatcmpl-1', output_index: 0, delta: ' there' });
+
+    const response = await stream.finalResponse();
+    expect(response.output_text).toBe('Hi there');
+    expect(response.usage).toEqual({ input_tokens: 3, output_tokens: 2, total_tokens: 5 });
+    expect(JSON.parse(mock.history.post[0].data).stream_options).toEqual({ include_usage: true });
+  });
+
+  it('should stream function call argument deltas', async () => {
+    mock.onPost().reply(200, [
+      'data: {"id":"chatcmpl-2","choices":[{"index":0,"delta":{"tool_calls":[{"index":0,"id":"call_1","type":"function","function":{"name":"lookup","arguments":"{\\"q\\":"}}]}}]}\n\n',
+      'data: {"id":"chatcmpl-2","choices":[{"index":0,"delta":{"tool_calls":[{"index":0,"function":{"arguments":"\\"a\\"}"}}]},"finish_reason":"tool_calls"}]}\n\n',
+      'data: [DONE]\n\n'
+    ].join(''));
+
+    const stream = await client.responses.create({ input: 'Look up a', stream: true });
+    const response = await stream.finalResponse();
+
+    expect(response.output).toEqual([expect.objectContaining({ type: 'function_call', call_id: 'call_1', arguments: '{"q":"a"}' })]);
+  });
+
+  it('should reject unsupported inputs', async () => {
+    await expect(client.responses.create({})).rejects.toThrow('input is required');
+    await expect(client.responses.create({ input: 'Hi', previous_response_id: 'resp_1' })).rejects.toThrow(InvalidRequestError);
+    await expect(client.responses.create({ input: 'Hi', tools: [{ type: 'web_search' }] })).rejects.toThrow('only function tools are');
+    await expect(client.responses.create({ input: [{ type: 'reasoning' }] })).rejects.toThrow('input[0].type "reasoning" is not supported');
+    expect(mock.history.post).toHaveLength(0);
+  });
+});
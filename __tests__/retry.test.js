@@ -0,0 +1,105 @@
+/**
+ * Tests for the retry policy
+ */
+
+const {
+  getHeader,
+  parseDuration,
+  parseRetryAfter,
+  parseRateLimitHeaders,
+  isRetryableError,
+  calculateRetryDelay
+} = require('../src/retry');
+const { RateLimitError, APIError, APIUserAbortError } = require('../src/errors');
+
+describe('retry policy', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getHeader', () => {
+    it('should read headers case-insensitively', () => {
+      expect(getHeader({ 'Retry-After': '3' }, 'retry-after')).toBe('3');
+      expect(getHeader(new Map([['retry-after', '4']]), 'retry-after')).toBe('4');
+      expect(getHeader(null, 'retry-after')).toBeNull();
+    });
+  });
+
+  describe('parseDuration', () => {
+    it('should parse compound durations', () => {
+      expect(parseDuration('20ms')).toBe(20);
+      expect(parseDuration('1.5s')).toBe(1500);
+      expect(parseDuration('6m0s')).toBe(360000);
+      expect(parseDuration('12')).toBeNull();
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    it('should prefer retry-after-ms', () => {
+      expect(parseRetryAfter({ 'retry-after-ms': '250', 'retry-after': '10' })).toBe(250);
+    });
+
+    it('should parse delay-seconds and HTTP dates', () => {
+      expect(parseRetryAfter({ 'retry-after': '2' })).toBe(2000);
+
+      jest.spyOn(Date, 'now').mockReturnValue(Date.parse('Wed, 21 Oct 2015 07:28:00 GMT'));
+      expect(parseRetryAfter({ 'retry-after': 'Wed, 21 Oct 2015 07:28:30 GMT' })).toBe(30000);
+    });
+
+    it('should return null without headers', () => {
+      expect(parseRetryAfter({})).toBeNull();
+    });
+  });
+
+  describe('parseRateLimitHeaders', () => {
+    it('should read per-request rate limit headers', () => {
+      jest.spyOn(Date, 'now').mockReturnValue(1000000);
+
+      expect(parseRateLimitHeaders({
+        'x-ratelimit-limit-requests': '60',
+        'x-ratelimit-remaining-requests': '0',
+        'x-ratelimit-reset-requests': '1m30s'
+      })).toEqual({ limit: 60, remaining: 0, resetAt: new Date(1000000 + 90000) });
+    });
+
+    it('should read epoch reset timestamps', () => {
+      expect(parseRateLimitHeaders({ 'x-ratelimit-reset': '1700000000' }).resetAt).toEqual(new Date(1700000000000));
+    });
+  });
+
+  describe('isRetryableError', () => {
+    it('should retry timeouts, conflicts, rate limits and server errors', () => {
+      for (const status of [408, 409, 429, 500, 502, 503]) {
+        expect(isRetryableError(new APIError('error', status))).toBe(true);
+      }
+    });
+
+    it('should not retry other client errors or aborts', () => {
+      for (const status of [400, 401, 403, 404, 422]) {
+        expect(isRetryableError(new APIError('error', status))).toBe(false);
+      }
+      expect(isRetryableError(new APIUserAbortError())).toBe(false);
+    });
+
+    it('should retry connection failures', () => {
+      const error = new Error('Network error');
+      error.type = 'connection_error';
+      expect(isRetryableError(error)).toBe(true);
+    });
+  });
+
+  describe('calculateRetryDelay', () => {
+    it('should use full jitter within the exponential ceiling', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0.5);
+
+      expect(calculateRetryDelay(0, new APIError('error', 500))).toBe(500);
+      expect(calculateRetryDelay(2, new APIError('error', 500))).toBe(2000);
+      expect(calculateRetryDelay(10, new APIError('error', 500))).toBe(5000);
+    });
+
+    it('should honor Retry-After and give up on long waits', () => {
+      expect(calculateRetryDelay(0, new RateLimitError('slow down', null, { 'retry-after': '3' }))).toBe(3000);
+      expect(calculateRetryDelay(0, new RateLimitError('slow down', null, { 'retry-after': '600' }))).toBeNull();
+    });
+  });
+});
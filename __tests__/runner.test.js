@@ -0,0 +1,227 @@
+/**
+ * Tests for the runTools helper
+ */
+
+const axios = require('axios');
+const MockAdapter = require('axios-mock-adapter');
+const ModelPilot = require('../src/index');
+const { ChatCompletionRunner } = require('../src/runner');
+const { ModelPilotError, InvalidRequestError } = require('../src/errors');
+const { createChatCompletion } = require('./helpers');
+
+const mock = new MockAdapter(axios);
+
+function toolCallMessage(calls) {
+  return {
+    role: 'assistant',
+    content: null,
+    tool_calls: calls.map(([id, name, args]) => ({
+      id,
+      type: 'function',
+      function: { name, arguments: JSON.stringify(args) }
+    }))
+  };
+}
+
+const weatherTool = {
+  function: {
+    name: 'get_weather',
+    description: 'Get weather',
+    parameters: { type: 'object', properties: { location: { type: 'string' } } }
+  },
+  handler: async ({ location }) => ({ location, temperature: 21 })
+};
+
+describe('runTools', () => {
+  let client;
+
+  beforeEach(() => {
+    mock.reset();
+    client = new ModelPilot({
+      apiKey: 'mp_test-api-key',
+      routerId: 'test-router-id'
+    });
+  });
+
+  afterEach(() => {
+    mock.reset();
+  });
+
+  it('should run tools until the model answers', async () => {
+    mock
+      .onPost().replyOnce(200, createChatCompletion(toolCallMessage([
+        ['call_1', 'get_weather', { location: 'Paris' }],
+        ['call_2', 'get_weather', { location: 'Tokyo' }]
+      ])))
+      .onPost().replyOnce(200, createChatCompletion('Paris 21°C, Tokyo 21°C'));
+
+    const runner = client.chat.runTools({
+      messages: [{ role: 'user', content: 'Weather in Paris and Tokyo?' }],
+      tools: [weatherTool]
+    });
+
+    const toolCalls = [];
+    const toolResults = [];
+    runner.on('toolCall', toolCall => toolCalls.push(toolCall.id));
+    runner.on('toolResult', ({ content }) => toolResults.push(JSON.parse(content).location));
+
+    expect(runner).toBeInstanceOf(ChatCompletionRunner);
+    expect(await runner.finalContent()).toBe('Paris 21°C, Tokyo 21°C');
+    expect(toolCalls).toEqual(['call_1', 'call_2']);
+    expect(toolResults).toEqual(['Paris', 'Tokyo']);
+
+    const secondRequest = JSON.parse(mock.history.post[1].data);
+    expect(secondRequest.tools).toEqual([{ type: 'function', function: weatherTool.function }]);
+    expect(secondRequest.messages.slice(1).map(message => message.role)).toEqual(['assistant', 'tool', 'tool']);
+    expect(secondRequest.messages[2]).toEqual({
+      role: 'tool',
+      tool_call_id: 'call_1',
+      content: '{"location":"Paris","temperature":21}'
+    });
+  });
+
+  it('should send empty tool results back to the model', async () => {
+    mock
+      .onPost().replyOnce(200, createChatCompletion(toolCallMessage([['call_1', 'search', { query: 'nothing' }]])))
+      .onPost().replyOnce(200, createChatCompletion('No results.'));
+
+    const runner = client.chat.runTools({
+      messages: [{ role: 'user', content: 'Search for nothing' }],
+      tools: [{ function: { name: 'search', parameters: { type: 'object' } }, handler: async () => '' }]
+    });
+
+    expect(await runner.finalContent()).toBe('No results.');
+    expect(JSON.parse(mock.history.post[1].data).messages[2]).toEqual({ role: 'tool', tool_call_id: 'call_1', content: '' });
+  });
+
+  it('should execute tool calls in parallel', async () => {
+    mock
+      .onPost().replyOnce(200, createChatCompletion(toolCallMessage([
+        ['call_1', 'slow', {}],
+        ['call_2', 'slow', {}]
+      ])))
+      .onPost().replyOnce(200, createChatCompletion('done'));
+
+    let running = 0;
+    let maxRunning = 0;
+    const runner = client.chat.runTools({
+      messages: [{ role: 'user', content: 'Go' }],
+      tools: [{
+        function: { name: 'slow' },
+        handler: async () => {
+          running++;
+          maxRunning = Math.max(maxRunning, running);
+          await new Promise(resolve => setTimeout(resolve, 20));
+          running--;
+          return 'ok';
+        }
+      }]
+    });
+
+    await runner.done();
+    expect(maxRunning).toBe(2);
+  });
+
+  it('should report tool failures and unknown tools back to the model', async () => {
+    mock
+      .onPost().replyOnce(200, createChatCompletion(toolCallMessage([
+        ['call_1', 'explode', {}],
+        ['call_2', 'missing', {}]
+      ])))
+      .onPost().replyOnce(200, createChatCompletion('Sorry'));
+
+    const runner = client.chat.runTools({
+      messages: [{ role: 'user', content: 'Go' }],
+      tools: [{
+        function: { name: 'explode' },
+        handler: () => { throw new Error('kaboom'); }
+      }]
+    });
+
+    await runner.done();
+
+    const toolMessages = runner.messages.filter(message => message.role === 'tool');
+    expect(toolMessages[0].content).toBe('Error: kaboom');
+    expect(toolMessages[1].content).toMatch(/Tool "missing" is not defined/);
+  });
+
+  it('should use custom argument parsers', async () => {
+    mock
+      .onPost().replyOnce(200, createChatCompletion(toolCallMessage([['call_1', 'echo', { text: 'hi' }]])))
+      .onPost().replyOnce(200, createChatCompletion('done'));
+
+    const handler = jest.fn(args => args.text.toUpperCase());
+    const runner = client.chat.runTools({
+      messages: [{ role: 'user', content: 'Go' }],
+      tools: [{
+        function: { name: 'echo' },
+        parse: args => ({ text: JSON.parse(args).text + '!' }),
+        handler
+      }]
+    });
+
+    await runner.done();
+    expect(handler).toHaveBeenCalledWith({ text: 'hi!' }, expect.objectContaining({ runner }));
+    expect(runner.messages[2].content).toBe('HI!');
+  });
+
+  it('should stop after maxIterations', async () => {
+    mock.onPost().reply(200, createChatCompletion(toolCallMessage([['call_1', 'get_weather', { location: 'Paris' }]])));
+
+    const runner = client.chat.runTools({
+      messages: [{ role: 'user', content: 'Loop forever' }],
+      tools: [weatherTool],
+      maxIterations: 2
+    });
+    const onError = jest.fn();
+    runner.on('error', onError);
+
+    await expect(runner.done()).rejects.toThrow(ModelPilotError);
+    expect(mock.history.post).toHaveLength(2);
+    expect(onError).toHaveBeenCalled();
+  });
+
+  it('should run in streaming mode', async () => {
+    const toolStream = [
+      'data: {"choices":[{"index":0,"delta":{"role":"assistant","tool_calls":[{"index":0,"id":"call_1","type":"function","function":{"name":"get_weather","arguments":"{\\"location\\":"}}]}}]}\n\n',
+      'data: {"choices":[{"index":0,"delta":{"tool_calls":[{"index":0,"function":{"arguments":"\\"Oslo\\"}"}}]},"finish_reason":"tool_calls"}]}\n\n',
+      'data: [DONE]\n\n'
+    ].join('');
+    const answerStream = [
+      'data: {"choices":[{"index":0,"delta":{"role":"assistant","content":"Oslo is "}}]}\n\n',
+      'data: {"choices":[{"index":0,"delta":{"content":"21°C"},"finish_reason":"stop"}]}\n\n',
+      'data: [DONE]\n\n'
+    ].join('');
+    mock
+      .onPost().replyOnce(200, toolStream)
+      .onPost().replyOnce(200, answerStream);
+
+    const runner = client.chat.runTools({
+      messages: [{ role: 'user', content: 'Weather in Oslo?' }],
+      tools: [weatherTool],
+      stream: true
+    });
+    const snapshots = [];
+    runner.on('content', (delta, snapshot) => snapshots.push(snapshot));
+
+    expect(await runner.finalContent()).toBe('Oslo is 21°C');
+    expect(snapshots).toEqual(['Oslo is ', 'Oslo is 21°C']);
+    expect(runner.messages[2]).toEqual({
+      role: 'tool',
+      tool_call_id: 'call_1',
+      content: '{"location":"Oslo","temperature":21}'
+    });
+  });
+
+  it('should validate tool definitions and handlers', () => {
+    expect(() => client.chat.runTools({
+      messages: [{ role: 'user', content: 'Go' }],
+      tools: [{ function: { description: 'no name' }, handler: () => 'ok' }]
+    })).toThrow('name is required');
+
+    expect(() => client.chat.runTools({
+      messages: [{ role: 'user', content: 'Go' }],
+      tools: [{ function: { name: 'no_handler' } }]
+    })).toThrow(InvalidRequestError);
+  });
+});
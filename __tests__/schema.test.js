@@ -0,0 +1,218 @@
+/**
+ * Tests for structured output parsing
+ */
+
+const axios = require('axios');
+const MockAdapter = require('axios-mock-adapter');
+const { z } = require('zod');
+const ModelPilot = require('../src/index');
+const { validateJSONSchema, validateWithSchema, zodToJSONSchema } = require('../src/schema');
+const { ContentParseError, InvalidRequestError } = require('../src/errors');
+const { createChatCompletion } = require('./helpers');
+
+const mock = new MockAdapter(axios);
+
+const weatherSchema = {
+  type: 'object',
+  properties: {
+    city: { type: 'string' },
+    temperature: { type: 'number' },
+    unit: { type: 'string', enum: ['celsius', 'fahrenheit'] }
+  },
+  required: ['city', 'temperature', 'unit'],
+  additionalProperties: false
+};
+
+describe('validateJSONSchema', () => {
+  it('should accept matching values', () => {
+    expect(validateJSONSchema({ city: 'Paris', temperature: 21, unit: 'celsius' }, weatherSchema)).toEqual([]);
+  });
+
+  it('should report every violation with its path', () => {
+    const errors = validateJSONSchema({ city: 1, unit: 'kelvin', wind: 3 }, weatherSchema);
+
+    expect(errors).toEqual([
+      '$.temperature is required',
+      '$.city must be of type string',
+      '$.unit must be one of "celsius", "fahrenheit"',
+      '$.wind is not an allowed property'
+    ]);
+  });
+
+  it('should validate arrays, nullable types and local $refs', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        stops: { type: 'array', items: { $ref: '#/$defs/stop' }, minItems: 1 },
+        note: { type: ['string', 'null'] }
+      },
+      $defs: { stop: { type: 'object', properties: { name: { type: 'string' } }, required: ['name'] } }
+    };
+
+    expect(validateJSONSchema({ stops: [{ name: 'A' }], note: null }, schema)).toEqual([]);
+    expect(validateJSONSchema({ stops: [{}], note: 1 }, schema)).toEqual([
+      '$.stops[0].name is required',
+      '$.note must be of type string or null'
+    ]);
+  });
+
+  it('should check anyOf and integer types', () => {
+    const schema = { anyOf: [{ type: 'integer' }, { type: 'string', minLength: 2 }] };
+
+    expect(validateJSONSchema(3, schema)).toEqual([]);
+    expect(validateJSONSchema(3.5, schema)).toEqual(['$ must match at least one schema in anyOf']);
+  });
+});
+
+describe('validateWithSchema', () => {
+  it('should use Zod schemas and apply their transforms', () => {
+    const schema = z.object({ name: z.string().transform(name => name.toUpperCase()) });
+
+    expect(validateWithSchema({ name: 'ada' }, schema)).toEqual({ valid: true, value: { name: 'ADA' }, errors: [] });
+    expect(validateWithSchema({ name: 1 }, schema).errors[0]).toMatch(/^\$\.name: /);
+  });
+
+  it('should convert Zod schemas to JSON Schema', () => {
+    const jsonSchema = zodToJSONSchema(z.object({ city: z.string() }));
+
+    expect(jsonSchema.$schema).toBeUndefined();
+    expect(jsonSchema.properties).toEqual({ city: { type: 'string' } });
+    expect(jsonSchema.required).toEqual(['city']);
+  });
+});
+
+describe('chat.parse', () => {
+  let client;
+
+  beforeEach(() => {
+    mock.reset();
+    client = new ModelPilot({
+      apiKey: 'mp_test-api-key',
+      routerId: 'test-router-id'
+    });
+  });
+
+  afterEach(() => {
+    mock.reset();
+  });
+
+  it('should return the parsed output', async () => {
+    mock.onPost('/router/test-router-id').reply(200, createChatCompletion('{"city":"Paris","temperature":21,"unit":"celsius"}'));
+
+    const result = await client.chat.parse({
+      messages: [{ role: 'user', content: 'Weather in Paris?' }],
+      response_format: { type: 'json_schema', json_schema: { name: 'weather', schema: weatherSchema } }
+    });
+
+    expect(result.choices[0].message.parsed).toEqual({ city: 'Paris', temperature: 21, unit: 'celsius' });
+    expect(JSON.parse(mock.history.post[0].data).response_format).toEqual({
+      type: 'json_schema',
+      json_schema: { name: 'weather', schema: weatherSchema }
+    });
+  });
+
+  it('should accept Zod schemas and send them as JSON Schema', async () => {
+    mock.onPost().reply(200, createChatCompletion('{"city":"Oslo","temperature":-3}'));
+
+    const schema = z.object({ city: z.string(), temperature: z.number() });
+    const result = await client.chat.parse({
+      messages: [{ role: 'user', content: 'Weather in Oslo?' }],
+      response_format: schema
+    });
+
+    expect(result.choices[0].message.parsed).toEqual({ city: 'Oslo', temperature: -3 });
+
+    const sent = JSON.parse(mock.history.post[0].data).response_format;
+    expect(sent.type).toBe('json_schema');
+    expect(sent.json_schema.name).toBe('response');
+    expect(sent.json_schema.schema.properties.city).toEqual({ type: 'string' });
+  });
+
+  it('should throw ContentParseError for invalid JSON', async () => {
+    mock.onPost().reply(200, createChatCompletion('Sure! Here is the weather: {"city":'));
+
+    const error = await client.chat.parse({
+      messages: [{ role: 'user', content: 'Weather?' }],
+      response_format: { type: 'json_schema', json_schema: { name: 'weather', schema: weatherSchema } }
+    }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(ContentParseError);
+    expect(error.type).toBe('content_parse_error');
+    expect(error.content).toBe('Sure! Here is the weather: {"city":');
+    expect(error.completion.id).toBe('chatcmpl-1');
+  });
+
+  it('should throw ContentParseError when the output fails the schema', async () => {
+    mock.onPost().reply(200, createChatCompletion('{"city":"Paris","temperature":"warm","unit":"celsius"}'));
+
+    const error = await client.chat.parse({
+      messages: [{ role: 'user', content: 'Weather?' }],
+      response_format: { type: 'json_schema', json_schema: { name: 'weather', schema: weatherSchema } }
+    }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(ContentParseError);
+    expect(error.errors).toEqual(['$.temperature must be of type number']);
+  });
+
+  it('should ask the model to repair invalid output', async () => {
+    mock
+      .onPost().replyOnce(200, createChatCompletion('{"city":"Paris"}'))
+      .onPost().replyOnce(200, createChatCompletion('{"city":"Paris","temperature":21,"unit":"celsius"}'));
+
+    const result = await client.chat.parse({
+      messages: [{ role: 'user', content: 'Weather in Paris?' }],
+      response_format: { type: 'json_schema', json_schema: { name: 'weather', schema: weatherSchema } },
+      maxRepairAttempts: 1
+    });
+
+    expect(result.choices[0].message.parsed.temperature).toBe(21);
+
+    const retry = JSON.parse(mock.history.post[1].data);
+    expect(retry.maxRepairAttempts).toBeUndefined();
+    expect(retry.messages.slice(1)).toEqual([
+      { role: 'assistant', content: '{"city":"Paris"}' },
+      { role: 'user', content: expect.stringContaining('$.temperature is required') }
+    ]);
+  });
+
+  it('should give up after maxRepairAttempts', async () => {
+    mock.onPost().reply(200, createChatCompletion('not json'));
+
+    await expect(client.chat.parse({
+      messages: [{ role: 'user', content: 'Weather?' }],
+      response_format: { type: 'json_object' },
+      maxRepairAttempts: 2
+    })).rejects.toThrow(ContentParseError);
+    expect(mock.history.post).toHaveLength(3);
+  });
+
+  it('should leave parsed null for refusals', async () => {
+    mock.onPost().reply(200, createChatCompletion({ content: null, refusal: 'I cannot help with that.' }));
+
+    const result = await client.chat.parse({
+      messages: [{ role: 'user', content: 'Weather?' }],
+      response_format: { type: 'json_schema', json_schema: { name: 'weather', schema: weatherSchema } }
+    });
+
+    expect(result.choices[0].message.parsed).toBeNull();
+  });
+
+  it('should validate its parameters', async () => {
+    await expect(client.chat.parse({
+      messages: [{ role: 'user', content: 'Hi' }]
+    })).rejects.toThrow(InvalidRequestError);
+
+    await expect(client.chat.parse({
+      messages: [{ role: 'user', content: 'Hi' }],
+      response_format: { type: 'text' }
+    })).rejects.toThrow(InvalidRequestError);
+
+    await expect(client.chat.parse({
+      messages: [{ role: 'user', content: 'Hi' }],
+      response_format: { type: 'json_object' },
+      stream: true
+    })).rejects.toThrow('chat.parse does not support streaming');
+
+    expect(mock.history.post).toHaveLength(0);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Tests for the Server-Sent Events decoder
+ */
+
+const { SSEDecoder, iterateEvents, iterateNDJSONEvents } = require('../src/sse');
+const { APIConnectionError } = require('../src/errors');
+
+describe('SSEDecoder', () => {
+  let decoder;
+
+  beforeEach(() => {
+    decoder = new SSEDecoder();
+  });
+
+  it('should dispatch events on blank lines', () => {
+    const events = decoder.decode('data: first\n\ndata: second\n\n');
+
+    expect(events.map(event => event.data)).toEqual(['first', 'second']);
+    expect(events[0].event).toBe('message');
+  });
+
+  it('should join multi-line data fields with newlines', () => {
+    const events = decoder.decode('data: {"a":\ndata: 1}\n\n');
+
+    expect(events).toHaveLength(1);
+    expect(events[0].data).toBe('{"a":\n1}');
+  });
+
+  it('should read event, id and retry fields', () => {
+    const events = decoder.decode('event: error\nid: 42\nretry: 3000\ndata: boom\n\n');
+
+    expect(events[0]).toEqual({ event: 'error', data: 'boom', id: '42', retry: 3000 });
+  });
+
+  it('should ignore comments and unknown fields', () => {
+    const events = decoder.decode(': keep-alive\n\nfoo: bar\ndata: ok\n\n');
+
+    expect(events).toHaveLength(1);
+    expect(events[0].data).toBe('ok');
+  });
+
+  it('should handle CRLF and CR line endings, including CRLF split across chunks', () => {
+    const events = [
+      ...decoder.decode('data: one\r'),
+      ...decoder.decode('\n\r\ndata: two\r\r'),
+      ...decoder.decode('data: three\n\n')
+    ];
+
+    expect(events.map(event => event.data)).toEqual(['one', 'two', 'three']);
+  });
+
+  it('should strip only a single leading space from values', () => {
+    const events = decoder.decode('data:no-space\ndata:  two-spaces\n\n');
+
+    expect(events[0].data).toBe('no-space\n two-spaces');
+  });
+
+  it('should decode UTF-8 characters split across byte chunks', () => {
+    const bytes = Buffer.from('data: 日本\n\n');
+    const events = [
+      ...decoder.decode(bytes.subarray(0, 8)),
+      ...decoder.decode(bytes.subarray(8))
+    ];
+
+    expect(events[0].data).toBe('日本');
+  });
+
+  it('should discard a final event missing its blank line', () => {
+    expect(decoder.decode('data: complete\n\ndata: tail\n')).toHaveLength(1);
+    expect(decoder.flush()).toEqual([]);
+    expect(decoder.truncated).toBe(true);
+  });
+
+  it('should not count a trailing comment or [DONE] as truncated', () => {
+    decoder.decode('data: complete\n\n: keep-alive');
+    expect(decoder.flush()).toEqual([]);
+    expect(decoder.truncated).toBe(false);
+
+    decoder.decode('data: [DONE]\n');
+    expect(decoder.flush()).toEqual([]);
+    expect(decoder.truncated).toBe(false);
+  });
+
+  it('should throw a connection error when a stream ends in the middle of an event', async () => {
+    const stream = (async function* () {
+      yield Buffer.from('data: a\n\ndata: {"id":"b","cho');
+    })();
+
+    const events = [];
+    const error = await (async () => {
+      for await (const event of iterateEvents(stream)) {
+        events.push(event.data);
+      }
+    })().catch(err => err);
+
+    expect(events).toEqual(['a']);
+    expect(error).toBeInstanceOf(APIConnectionError);
+    expect(error.message).toBe('Connection error: Stream ended in the middle of an event');
+  });
+
+  it('should end quietly when a truncated stream had already finished', async () => {
+    const stream = (async function* () {
+      yield Buffer.from('data: a\n\ndata: {"usage":');
+    })();
+
+    const events = [];
+    for await (const event of iterateEvents(stream, { finished: () => true })) {
+      events.push(event.data);
+    }
+
+    expect(events).toEqual(['a']);
+  });
+
+  it('should iterate events of an async byte stream', async () => {
+    const stream = (async function* () {
+      yield Buffer.from('\uFEFFdata: a\n');
+      yield Buffer.from('\ndata: b\n\n');
+    })();
+
+    const events = [];
+    for await (const event of iterateEvents(stream)) {
+      events.push(event.data);
+    }
+
+    expect(events).toEqual(['a', 'b']);
+  });
+});
+
+describe('iterateNDJSONEvents', () => {
+  it('should yield one event per line across split chunks', async () => {
+    const bytes = Buffer.from('{"a":"é"}\r\n\n{"b":2}\n{"c":3}');
+    const stream = (async function* () {
+      for (let i = 0; i < bytes.length; i += 4) {
+        yield bytes.subarray(i, i + 4);
+      }
+    })();
+
+    const events = [];
+    for await (const event of iterateNDJSONEvents(stream)) {
+      events.push(event);
+    }
+
+    expect(events).toEqual([
+      { event: 'message', data: '{"a":"é"}' },
+      { event: 'message', data: '{"b":2}' },
+      { event: 'message', data: '{"c":3}' }
+    ]);
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Tests for the record/replay testing helpers
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ModelPilot = require('../src/index');
+const { record, replay, fixtureKey } = require('../src/testing');
+const { ModelPilotError, InternalServerError } = require('../src/errors');
+
+const messages = [{ role: 'user', content: 'Hello!' }];
+const completion = { id: 'chatcmpl-1', object: 'chat.completion', choices: [{ index: 0, message: { role: 'assistant', content: 'Hi' }, finish_reason: 'stop' }] };
+
+function bytes(chunks) {
+  return (async function* () {
+    for (const chunk of chunks) {
+      yield chunk;
+    }
+  })();
+}
+
+describe('testing', () => {
+  let directory;
+  let fixturePath;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'modelpilot-fixtures-'));
+    fixturePath = path.join(directory, '__fixtures__', 'chat.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  function recordingClient(transport, config = {}) {
+    return new ModelPilot({ apiKey: 'mp_live-key', routerId: 'test-router-id', transport, middleware: [record({ path: fixturePath })], ...config });
+  }
+
+  function replayingClient(config = {}) {
+    const network = jest.fn().mockRejectedValue(new Error('Network used during replay'));
+    return new ModelPilot({ apiKey: 'mp_test', routerId: 'test-router-id', transport: network, middleware: [replay({ path: fixturePath })], ...config });
+  }
+
+  it('should be exposed on the client module', () => {
+    expect(ModelPilot.testing.record).toBe(record);
+    expect(ModelPilot.testing.replay).toBe(replay);
+  });
+
+  it('should record a completion and replay it offline', async () => {
+    const transport = jest.fn().mockResolvedValue({ status: 200, headers: { 'x-request-id': 'req_1' }, data: completion });
+    await recordingClient(transport).chat.create({ messages, temperature: 0 });
+
+    const file = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    expect(file).toEqual({
+      version: 1,
+      fixtures: [{
+        request: { method: 'POST', url: '/router/test-router-id', body: { messages, routerId: 'test-router-id', temperature: 0 } },
+        response: { status: 200, headers: { 'x-request-id': 'req_1' }, body: completion }
+      }]
+    });
+    expect(fs.readFileSync(fixturePath, 'utf8')).not.toContain('mp_live-key');
+
+    const client = replayingClient();
+    expect(await client.chat.create({ temperature: 0, messages })).toEqual(completion);
+    expect(client.transport).not.toHaveBeenCalled();
+  });
+
+  it('should record and replay SSE streams chunk by chunk', async () => {
+    const euro = Buffer.from('€');
+    const transport = jest.fn().mockResolvedValue({
+      status: 200,
+      headers: { 'content-type': 'text/event-stream' },
+      data: bytes([
+        Buffer.concat([Buffer.from('data: {"choices":[{"index":0,"delta":{"content":"5 '), euro.subarray(0, 1)]),
+        Buffer.concat([euro.subarray(1), Buffer.from('"}}]}\n\n')]),
+        Buffer.from('data: {"choices":[{"index":0,"delta":{"content":"!"},"finish_reason":"stop"}]}\n\ndata: [DONE]\n\n')
+      ])
+    });
+
+    const live = await recordingClient(transport).chat.create({ messages, stream: true });
+    expect(fs.existsSync(fixturePath)).toBe(false);
+    expect(await live.getText()).toBe('5 €!');
+
+    const [fixture] = JSON.parse(fs.readFileSync(fixturePath, 'utf8')).fixtures;
+    expect(fixture.request.body.stream).toBe(true);
+    expect(fixture.response.stream).toHaveLength(3);
+    expect(fixture.response.stream.join('')).toContain('5 €');
+
+    const replayed = await replayingClient().chat.create({ messages, stream: true });
+    const chunks = await replayed.toArray();
+    expect(chunks).toHaveLength(2);
+    expect(await replayed.getText()).toBe('5 €!');
+  });
+
+  it('should not write streams that were not read to the end', async () => {
+    const transport = jest.fn().mockResolvedValue({ status: 200, headers: {}, data: bytes([Buffer.from('data: {"choices":[{"index":0,"delta":{"content":"Hi"}}]}\n\n')]) });
+
+    await recordingClient(transport).chat.create({ messages, stream: true });
+
+    expect(fs.existsSync(fixturePath)).toBe(false);
+  });
+
+  it('should replay same-request fixtures in recorded order and repeat the last', async () => {
+    const transport = jest.fn()
+      .mockResolvedValueOnce({ status: 503, headers: { 'retry-after-ms': '0' }, data: { error: { message: 'Router down' } } })
+      .mockResolvedValueOnce({ status: 200, headers: {}, data: completion });
+    await recordingClient(transport).chat.create({ messages });
+
+    const client = replayingClient();
+    expect(await client.chat.create({ messages })).toEqual(completion);
+    expect(await client.chat.create({ messages })).toEqual(completion);
+    await expect(replayingClient().chat.create({ messages }, { maxRetries: 0 })).rejects.toThrow(InternalServerError);
+  });
+
+  it('should fail loudly on requests without a fixture', async () => {
+    const transport = jest.fn().mockResolvedValue({ status: 200, headers: {}, data: completion });
+    await recordingClient(transport).chat.create({ messages });
+
+    const client = replayingClient();
+    const error = await client.chat.create({ messages, temperature: 1 }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(ModelPilotError);
+    expect(error.type).toBe('fixture_not_found');
+    expect(error.message).toContain('No fixture matches POST /router/test-router-id');
+    expect(error.message).toContain('"temperature":1');
+    expect(client.transport).not.toHaveBeenCalled();
+  });
+
+  it('should replay fixtures passed in directly', async () => {
+    const client = new ModelPilot({
+      apiKey: 'mp_test',
+      routerId: 'test-router-id',
+      middleware: [replay({
+        fixtures: {
+          version: 1,
+          fixtures: [{ request: { method: 'GET', url: '/getRouterConfig/test-router-id', body: null }, response: { status: 200, headers: {}, body: { routerId: 'test-router-id' } } }]
+        }
+      })]
+    });
+
+    expect(await client.getRouterConfig()).toEqual({ routerId: 'test-router-id' });
+  });
+
+  it('should match on method, URL, query and normalized body', () => {
+    const key = fixtureKey({ method: 'post', url: '/files', params: { limit: 1 }, body: { b: 1, a: 2 } });
+
+    expect(fixtureKey({ method: 'POST', url: '/files', params: { limit: 1 }, body: { a: 2, b: 1 } })).toBe(key);
+    expect(fixtureKey({ method: 'POST', url: '/files', params: { limit: 2 }, body: { a: 2, b: 1 } })).not.toBe(key);
+    expect(fixtureKey({ method: 'POST', url: '/files', body: Buffer.from('multipart') })).toBe(fixtureKey({ method: 'POST', url: '/files' }));
+  });
+
+  it('should validate its options', () => {
+    expect(() => record()).toThrow('path must be a non-empty string');
+    expect(() => replay()).toThrow('path or fixtures is required');
+    expect(() => replay({ fixtures: {} })).toThrow('fixtures is not a fixture file');
+  });
+
+  it('should read a fixture file on the first request', async () => {
+    const middleware = replay({ path: fixturePath });
+    const error = await replayingClient().chat.create({ messages }).catch(caught => caught);
+
+    expect(typeof middleware).toBe('function');
+    expect(error).toBeInstanceOf(ModelPilotError);
+    expect(error.type).toBe('fixture_not_found');
+    expect(error.message).toBe(`Fixture file ${fixturePath} does not exist; record it first with testing.record()`);
+  });
+});
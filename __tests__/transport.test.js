@@ -0,0 +1,195 @@
+/**
+ * Tests for the HTTP transports
+ */
+
+const ModelPilot = require('../src/index');
+const { detectRuntime, buildURL, createFetchTransport } = require('../src/transport');
+const {
+  AuthenticationError,
+  APIConnectionError,
+  APITimeoutError,
+  APIUserAbortError,
+  InternalServerError
+} = require('../src/errors');
+
+function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+}
+
+function streamResponse(chunks) {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    start(controller) {
+      for (const chunk of chunks) {
+        controller.enqueue(encoder.encode(chunk));
+      }
+      controller.close();
+    }
+  });
+  return new Response(body, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+// fetch that never answers until its signal aborts
+function hangingFetch() {
+  return jest.fn((url, init) => new Promise((resolve, reject) => {
+    init.signal.addEventListener('abort', () => {
+      const error = new Error('This operation was aborted');
+      error.name = 'AbortError';
+      reject(error);
+    });
+  }));
+}
+
+describe('detectRuntime', () => {
+  afterEach(() => {
+    delete globalThis.Deno;
+    delete globalThis.EdgeRuntime;
+  });
+
+  it('should detect Node', () => {
+    expect(detectRuntime()).toBe('node');
+  });
+
+  it('should detect Deno and edge runtimes', () => {
+    globalThis.Deno = {};
+    expect(detectRuntime()).toBe('deno');
+
+    delete globalThis.Deno;
+    globalThis.EdgeRuntime = 'edge-runtime';
+    expect(detectRuntime()).toBe('edge');
+  });
+
+  it('should pick the fetch transport outside Node', async () => {
+    globalThis.EdgeRuntime = 'edge-runtime';
+    const fetchSpy = jest.spyOn(globalThis, 'fetch').mockResolvedValue(jsonResponse([{ id: 'openai:gpt-4o' }]));
+
+    try {
+      const client = new ModelPilot({ apiKey: 'mp_test-api-key', routerId: 'test-router-id' });
+
+      expect(client.runtime).toBe('edge');
+      expect(await client.getModels()).toEqual([{ id: 'openai:gpt-4o' }]);
+      expect(fetchSpy).toHaveBeenCalledWith('https://modelpilot.co/api/getModels', expect.objectContaining({ method: 'GET' }));
+    } finally {
+      fetchSpy.mockRestore();
+    }
+  });
+});
+
+describe('buildURL', () => {
+  it('should join the base URL, path and query parameters', () => {
+    expect(buildURL('https://modelpilot.co/api/', '/router/r1', { limit: 10, after: undefined }))
+      .toBe('https://modelpilot.co/api/router/r1?limit=10');
+    expect(buildURL('https://modelpilot.co/api', 'https://other.example/v1?a=1', { b: 'x y' }))
+      .toBe('https://other.example/v1?a=1&b=x%20y');
+  });
+});
+
+describe('fetch transport', () => {
+  let fetch;
+  let client;
+
+  beforeEach(() => {
+    fetch = jest.fn();
+    client = new ModelPilot({
+      apiKey: 'mp_test-api-key',
+      routerId: 'test-router-id',
+      fetch,
+      maxRetries: 0
+    });
+  });
+
+  it('should send JSON requests through the injected fetch', async () => {
+    fetch.mockResolvedValue(jsonResponse({ id: 'chatcmpl-1', choices: [] }));
+
+    const completion = await client.chat.create(
+      { messages: [{ role: 'user', content: 'Hello!' }] },
+      { headers: { 'X-Trace': 'abc' }, idempotencyKey: 'key-1' }
+    );
+
+    expect(completion).toEqual({ id: 'chatcmpl-1', choices: [] });
+
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe('https://modelpilot.co/api/router/test-router-id');
+    expect(init.method).toBe('POST');
+    expect(init.headers).toMatchObject({
+      'Authorization': 'Bearer mp_test-api-key',
+      'Content-Type': 'application/json',
+      'X-Trace': 'abc',
+      'Idempotency-Key': 'key-1'
+    });
+    expect(JSON.parse(init.body)).toEqual({ messages: [{ role: 'user', content: 'Hello!' }], routerId: 'test-router-id' });
+  });
+
+  it('should map error statuses and retry retryable ones', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse({ error: { message: 'Invalid API key' } }, 401));
+    await expect(client.getModels()).rejects.toThrow(AuthenticationError);
+
+    fetch
+      .mockResolvedValueOnce(jsonResponse({ error: { message: 'Overloaded' } }, 503, { 'retry-after-ms': '0' }))
+      .mockResolvedValueOnce(jsonResponse([]));
+    expect(await client.getModels({ maxRetries: 1 })).toEqual([]);
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('should stream Server-Sent Events from a ReadableStream body', async () => {
+    fetch.mockResolvedValue(streamResponse([
+      'data: {"choices":[{"index":0,"delta":{"content":"Hel"}}]}\n\n',
+      'data: {"choices":[{"index":0,"delta":{"content":"lo"}}]}\n\ndata: [DONE]\n\n'
+    ]));
+
+    const stream = await client.chat.create({ messages: [{ role: 'user', content: 'Hi' }], stream: true });
+
+    expect(await stream.getText()).toBe('Hello');
+    expect(fetch.mock.calls[0][1].headers.Accept).toBe('text/event-stream');
+  });
+
+  it('should read the error body of a failed streaming request', async () => {
+    fetch.mockResolvedValue(jsonResponse({ error: { message: 'Router unavailable' } }, 503));
+
+    const error = await client.chat.create({ messages: [{ role: 'user', content: 'Hi' }], stream: true }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(InternalServerError);
+    expect(error.message).toBe('Router unavailable');
+  });
+
+  it('should report network failures as connection errors', async () => {
+    fetch.mockRejectedValue(new TypeError('fetch failed'));
+
+    await expect(client.getModels()).rejects.toThrow(APIConnectionError);
+  });
+
+  it('should time out and honor abort signals', async () => {
+    const transport = createFetchTransport({ fetch: hangingFetch(), baseURL: 'https://modelpilot.co/api' });
+
+    await expect(transport({ method: 'GET', url: '/getModels', timeout: 10 })).rejects.toThrow(APITimeoutError);
+
+    const controller = new AbortController();
+    const pending = transport({ method: 'GET', url: '/getModels', signal: controller.signal });
+    controller.abort();
+    await expect(pending).rejects.toThrow(APIUserAbortError);
+  });
+
+  it('should cancel the response body when the stream is aborted', async () => {
+    const cancel = jest.fn();
+    const body = new ReadableStream({
+      start(controller) {
+        controller.enqueue(new TextEncoder().encode('data: {"choices":[{"index":0,"delta":{"content":"Hi"}}]}\n\n'));
+      },
+      cancel
+    });
+    fetch.mockResolvedValue(new Response(body, { status: 200 }));
+
+    const stream = await client.chat.create({ messages: [{ role: 'user', content: 'Hi' }], stream: true });
+
+    await expect((async () => {
+      for await (const chunk of stream) {
+        expect(chunk.choices[0].delta.content).toBe('Hi');
+        stream.abort();
+      }
+    })()).rejects.toThrow(APIUserAbortError);
+    expect(cancel).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,298 @@
+/**
+ * Type tests for the public declarations (run with `npm run test:types`)
+ */
+
+import { expectAssignable, expectError, expectType } from 'tsd';
+import { z } from 'zod';
+import ModelPilot, {
+  APIConnectionError,
+  APIError,
+  APITimeoutError,
+  APIUserAbortError,
+  AuthenticationError,
+  Batch,
+  BatchResult,
+  ChatCompletionChunk,
+  ChatCompletionContentPartFile,
+  ChatCompletionContentPartImage,
+  ChatCompletionContentPartInputAudio,
+  ChatCompletionCreateParams,
+  ChatCompletionResponse,
+  ChatCompletionRunner,
+  ChatCompletionStream,
+  ChatMessage,
+  Completion,
+  ConflictError,
+  ContentParseError,
+  CreateEmbeddingResponse,
+  FileContent,
+  FileObject,
+  FinishReason,
+  InternalServerError,
+  InvalidRequestError,
+  Middleware,
+  Model,
+  ModelPilotError,
+  ModelPilotMeta,
+  NotFoundError,
+  ParsedChatCompletion,
+  ParsedToolCall,
+  PermissionDeniedError,
+  RateLimitError,
+  Response,
+  ResponseStream,
+  RouterConfig,
+  TextCompletionStream,
+  TokenBucket,
+  CircuitBreaker,
+  CircuitOpenError,
+  CircuitState,
+  MemoryCacheStore,
+  FileCacheStore,
+  ResponseCache,
+  Runtime,
+  Transport,
+  UnprocessableEntityError,
+  toFilePart,
+  testing
+} from '..';
+
+const client = new ModelPilot({ apiKey: 'mp_test', routerId: 'router' });
+
+expectError(new ModelPilot({ routerId: 'router' }));
+
+// Transports
+const fetchClient = new ModelPilot({ apiKey: 'mp_test', routerId: 'router', fetch: globalThis.fetch });
+expectType<Runtime>(fetchClient.runtime);
+expectType<Transport>(fetchClient.transport);
+expectError(new ModelPilot({ apiKey: 'mp_test', routerId: 'router', fetch: 'fetch' }));
+
+// Middleware and custom transports
+const tracing: Middleware = async (request, next) => {
+  const response = await next({ ...request, headers: { ...request.headers, 'X-Trace-Id': '1' } });
+  expectType<number>(response.status);
+  return response;
+};
+expectType<ModelPilot>(client.use(tracing).use((request, next) => next()));
+new ModelPilot({
+  apiKey: 'mp_test',
+  routerId: 'router',
+  transport: async request => ({ status: 200, headers: {}, data: { url: request.url, attempt: request.attempt } }),
+  middleware: [tracing]
+});
+expectError(client.use('logger'));
+
+// Non-streaming completions
+const completion = await client.chat.create({
+  messages: [{ role: 'user', content: 'Hello!' }],
+  max_tokens: 100
+});
+expectType<ChatCompletionResponse>(completion);
+expectType<ModelPilotMeta | undefined>(completion._meta);
+expectType<FinishReason>(completion.choices[0].finish_reason);
+
+// Streaming completions
+const stream = await client.chat.create({
+  messages: [{ role: 'user', content: 'Hello!' }],
+  stream: true
+});
+expectType<ChatCompletionStream>(stream);
+expectType<ChatCompletionStream>(await client.chat.create({ messages: [{ role: 'user', content: 'Hi' }], stream: true }, { resumeStream: true }));
+expectType<AsyncIterator<ChatCompletionChunk>>(stream[Symbol.asyncIterator]());
+expectType<ChatCompletionChunk[]>(await stream.toArray());
+expectType<string | null | undefined>((await stream.toArray())[0].choices[0].delta.content);
+expectType<ParsedToolCall[]>(await stream.getToolCalls());
+expectType<string | null>(stream.model);
+stream.on('content', (delta, snapshot) => expectType<string>(delta + snapshot));
+stream.on('toolCall', toolCall => expectType<string>(toolCall.function.name));
+stream.on('reconnect', ({ attempt, content }) => expectType<string>(content + attempt));
+expectError(stream.on('message', () => {}));
+expectType<ChatCompletionResponse>(await stream.finalChatCompletion());
+expectType<[ChatCompletionStream, ChatCompletionStream]>(stream.tee());
+expectType<ReadableStream<Uint8Array>>(stream.toReadableStream({ format: 'ndjson' }));
+expectError(stream.toReadableStream({ format: 'xml' }));
+expectType<ChatCompletionStream>(ChatCompletionStream.fromReadableStream(new Response('').body!));
+stream.abort();
+
+// Loosely typed params resolve to either result
+const params: ChatCompletionCreateParams = { messages: [{ role: 'user', content: 'Hi' }] };
+expectType<ChatCompletionResponse | ChatCompletionStream>(await client.chat.create(params));
+
+// Per-request options
+await client.chat.create(
+  { messages: [{ role: 'user', content: 'Hi' }] },
+  { routerId: 'other', timeout: 1000, maxRetries: 0, headers: { 'X-Trace': '1' }, idempotencyKey: 'k', signal: new AbortController().signal }
+);
+expectError(client.chat.create({ messages: [{ role: 'user', content: 'Hi' }] }, { timeout: '1s' }));
+
+// Fallbacks
+new ModelPilot({ apiKey: 'mp_x', fallbacks: [{ routerId: 'backup' }, { model: 'anthropic:claude-3-5-sonnet' }] });
+const fallbackCompletion = await client.chat.create(
+  { messages: [{ role: 'user', content: 'Hi' }] },
+  { fallbacks: [{ routerId: 'backup', model: 'openai:gpt-4o' }] }
+);
+expectType<number | undefined>(fallbackCompletion._meta?.fallbackAttempt);
+expectError(client.chat.create({ messages: [{ role: 'user', content: 'Hi' }] }, { fallbacks: [{}] }));
+
+// Messages, tools and response formats
+expectAssignable<ChatMessage>({
+  role: 'user',
+  content: [
+    { type: 'text', text: 'What is this?' },
+    { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA', detail: 'low' } }
+  ]
+});
+expectError<ChatMessage>({ role: 'robot', content: 'Hi' });
+await client.chat.create({
+  messages: [{ role: 'user', content: 'Weather?' }],
+  tools: [{ type: 'function', function: { name: 'get_weather', parameters: { type: 'object' } } }],
+  tool_choice: { type: 'function', function: { name: 'get_weather' } },
+  response_format: { type: 'json_schema', json_schema: { name: 'weather', schema: { type: 'object' }, strict: true } }
+});
+
+// Embeddings
+const embeddings = await client.embeddings.create({ input: ['a', 'b'], dimensions: 256 });
+expectType<CreateEmbeddingResponse>(embeddings);
+expectType<number[]>(embeddings.data[0].embedding);
+expectType<Float32Array>((await client.embeddings.create({ input: 'a', encoding_format: 'base64' })).data[0].embedding);
+expectType<number | undefined>(embeddings._meta?.cost);
+expectError(client.embeddings.create({ input: 'a', encoding_format: 'int8' }));
+
+// OpenAI parity
+expectType<ChatCompletionResponse>(await client.chat.completions.create({ messages: [{ role: 'user', content: 'Hi' }], n: 2 }));
+expectType<Completion>(await client.completions.create({ prompt: 'Say hi', max_tokens: 5, echo: true }));
+expectType<TextCompletionStream>(await client.completions.create({ prompt: 'Say hi', stream: true }));
+
+const response = await client.responses.create({
+  input: [{ role: 'user', content: [{ type: 'input_text', text: 'Hi' }] }],
+  instructions: 'Be brief.',
+  tools: [{ type: 'function', name: 'lookup' }],
+  text: { format: { type: 'json_schema', name: 'result', schema: { type: 'object' } } }
+});
+expectType<Response>(response);
+expectType<string>(response.output_text);
+const responseStream = await client.responses.create({ input: 'Hi', stream: true });
+expectType<ResponseStream>(responseStream);
+expectType<Response>(await responseStream.finalResponse());
+
+// Router information
+expectType<RouterConfig>(await client.getRouterConfig({ routerId: 'other' }));
+expectType<Model[]>(await client.getModels());
+
+// Errors
+expectType<typeof RateLimitError>(ModelPilot.RateLimitError);
+expectAssignable<APIError>(new AuthenticationError('bad key'));
+expectAssignable<APIError>(new InvalidRequestError('bad', 'messages'));
+expectAssignable<APIError>(new PermissionDeniedError('denied'));
+expectAssignable<APIError>(new NotFoundError('missing'));
+expectAssignable<APIError>(new ConflictError('conflict'));
+expectAssignable<APIError>(new UnprocessableEntityError('invalid'));
+expectAssignable<APIError>(new InternalServerError('down', null, null, 503));
+expectAssignable<APIConnectionError>(new APITimeoutError());
+expectAssignable<ModelPilotError>(new APIUserAbortError());
+
+const rateLimit = new RateLimitError('slow down');
+expectType<number | null>(rateLimit.retryAfter);
+expectType<Date | null>(rateLimit.resetAt);
+expectType<string | null>(rateLimit.requestId);
+
+// Tool runner
+const runner = client.chat.runTools({
+  messages: [{ role: 'user', content: 'Weather?' }],
+  tools: [{
+    function: { name: 'get_weather', parameters: { type: 'object' } },
+    parse: (args: string) => JSON.parse(args) as { location: string },
+    handler: ({ location }) => ({ location, temperature: 21 })
+  }],
+  maxIterations: 5
+});
+expectType<ChatCompletionRunner>(runner);
+runner.on('toolResult', ({ content }) => expectType<string>(content));
+runner.on('content', (delta, snapshot) => expectType<string>(delta + snapshot));
+expectType<string | null>(await runner.finalContent());
+expectError(runner.on('unknown', () => {}));
+
+// Structured outputs
+const Weather = z.object({ city: z.string(), temperature: z.number() });
+const parsedFromZod = await client.chat.parse({
+  messages: [{ role: 'user', content: 'Weather?' }],
+  response_format: Weather
+});
+expectType<{ city: string; temperature: number } | null>(parsedFromZod.choices[0].message.parsed);
+
+const parsedFromWrappedZod = await client.chat.parse({
+  messages: [{ role: 'user', content: 'Weather?' }],
+  response_format: { type: 'json_schema', json_schema: { name: 'weather', schema: Weather } },
+  maxRepairAttempts: 1
+});
+expectType<{ city: string; temperature: number } | null>(parsedFromWrappedZod.choices[0].message.parsed);
+
+const parsedFromJSONSchema = await client.chat.parse<{ city: string }>({
+  messages: [{ role: 'user', content: 'Weather?' }],
+  response_format: { type: 'json_schema', json_schema: { name: 'weather', schema: { type: 'object' } } }
+});
+expectType<ParsedChatCompletion<{ city: string }>>(parsedFromJSONSchema);
+expectError(client.chat.parse({ messages: [{ role: 'user', content: 'Hi' }], response_format: { type: 'json_object' }, stream: true }));
+expectType<string[]>(new ContentParseError('bad').errors);
+
+expectType<ChatCompletionContentPartImage>(await ModelPilot.toImagePart('photo.png', undefined, { detail: 'low' }));
+expectType<ChatCompletionContentPartInputAudio>(await ModelPilot.toAudioPart(new Uint8Array(4)));
+expectType<ChatCompletionContentPartFile>(await toFilePart(new Blob(['%PDF-']), 'application/pdf', { filename: 'a.pdf', maxBytes: 1024 }));
+expectError(ModelPilot.toImagePart(42));
+
+// Files
+expectType<FileObject>(await client.files.create({ file: './report.pdf', purpose: 'user_data' }));
+expectType<FileObject[]>((await client.files.list({ purpose: 'batch', limit: 20 })).data);
+const fileContent = await client.files.content('file-abc');
+expectType<FileContent>(fileContent);
+expectType<string>(await fileContent.text());
+expectType<boolean>((await client.files.del('file-abc')).deleted);
+expectError(client.files.create({ file: './report.pdf', purpose: 'training' }));
+
+// Batches
+const batch = await client.batches.createAndPoll({
+  requests: [{ custom_id: 'a', messages: [{ role: 'user', content: 'Hi' }] }]
+}, { pollInterval: 1000 });
+expectType<Batch>(batch);
+expectType<Map<string, BatchResult>>(await client.batches.results(batch));
+expectType<Map<string, BatchResult>>((await client.batches.run({ input_file_id: 'file-in' }, { pollInterval: 1000 })).results);
+expectType<Batch>(await client.batches.cancel('batch_1'));
+expectError(client.batches.create({ requests: [{ messages: [{ role: 'user', content: 'Hi' }], stream: true }] }));
+
+// Concurrency and rate limits
+const sharedBucket = new TokenBucket({ requestsPerSecond: 10, burst: 20 });
+const limitedClient = new ModelPilot({ apiKey: 'mp_test', routerId: 'router', rateLimit: sharedBucket });
+expectType<TokenBucket>(limitedClient.rateLimiter);
+
+// Circuit breaker
+const breaker = new CircuitBreaker({ failureThreshold: 0.5, cooldown: 10000 });
+breaker.on('stateChange', ({ key, from, to }) => expectType<string>(`${key} ${from} ${to}`));
+expectType<CircuitState>(breaker.state('/router/router'));
+expectType<CircuitBreaker | null>(new ModelPilot({ apiKey: 'mp_test', routerId: 'router', circuitBreaker: breaker }).circuitBreaker);
+new ModelPilot({ apiKey: 'mp_test', routerId: 'router', circuitBreaker: true });
+expectError(new ModelPilot({ apiKey: 'mp_test', routerId: 'router', circuitBreaker: 'on' }));
+expectType<number | null>(new CircuitOpenError('/router/router').retryAfter);
+
+// Response cache
+const cachedClient = new ModelPilot({ apiKey: 'mp_test', routerId: 'router', cache: { store: new MemoryCacheStore({ maxEntries: 100 }), ttl: 60000 } });
+expectType<ResponseCache | null>(cachedClient.cache);
+new ModelPilot({ apiKey: 'mp_test', routerId: 'router', cache: new FileCacheStore({ directory: '.cache' }) });
+new ModelPilot({ apiKey: 'mp_test', routerId: 'router', cache: { get: async (key: string) => key, set: async () => {} } });
+expectError(new ModelPilot({ apiKey: 'mp_test', routerId: 'router', cache: 'memory' }));
+const cachedCompletion = await cachedClient.chat.create({ messages: [{ role: 'user', content: 'Hi' }], temperature: 0 }, { cache: { ttl: 1000 } });
+expectType<boolean | undefined>(cachedCompletion._meta?.cached);
+expectType<ChatCompletionStream>(ChatCompletionStream.fromChatCompletion(cachedCompletion));
+
+// Record/replay fixtures
+new ModelPilot({ apiKey: 'mp_test', routerId: 'router', middleware: [testing.replay({ path: '__fixtures__/chat.json' })] });
+client.use(ModelPilot.testing.record({ path: '__fixtures__/chat.json' }));
+testing.replay({ fixtures: { version: 1, fixtures: [] } });
+expectError(testing.replay({}));
+expectType<string>(testing.fixtureKey({ method: 'POST', url: '/router/router', body: {} }));
+const many = await client.chat.createMany([{ messages: [{ role: 'user', content: 'Hi' }] }], {
+  concurrency: 4,
+  stopOnError: false,
+  onProgress: ({ completed, total }) => console.log(completed, total)
+});
+expectType<ChatCompletionResponse | null>(many[0].completion);
+expectError(client.chat.createMany([{ messages: [{ role: 'user', content: 'Hi' }], stream: true }]));
@@ -65,7 +65,7 @@ async function migrationExamples() {
 
   // 1. Basic chat completion (IDENTICAL API)
   console.log('1. Basic Chat Completion (same API):');
-  const completion = await client.chat.create({
+  const completion = await client.chat.completions.create({
     // model: 'gpt-4', // Optional with ModelPilot - intelligent routing!
     messages: [
       { role: 'system', content: 'You are a helpful assistant.' },
@@ -81,7 +81,7 @@ async function migrationExamples() {
 
   // 2. Streaming (IDENTICAL API)
   console.log('2. Streaming (same API):');
-  const stream = await client.chat.create({
+  const stream = await client.chat.completions.create({
     messages: [{ role: 'user', content: 'Write a haiku about code.' }],
     stream: true,
   });
@@ -94,7 +94,7 @@ async function migrationExamples() {
 
   // 3. Function calling (IDENTICAL API)
   console.log('3. Function Calling (same API):');
-  const functionCompletion = await client.chat.create({
+  const functionCompletion = await client.chat.completions.create({
     messages: [{ role: 'user', content: 'What\'s the weather in Tokyo?' }],
     functions: [
       {
@@ -118,18 +118,27 @@ async function migrationExamples() {
   }
   console.log();
 
-  // 4. ModelPilot-specific features
-  console.log('4. ModelPilot-Specific Features:');
+  // 4. Responses API (IDENTICAL API, served by the same router)
+  console.log('4. Responses API (same API):');
+  const response = await client.responses.create({
+    instructions: 'You are a helpful assistant.',
+    input: 'Give me one tip for writing readable code.'
+  });
+  console.log('Response:', response.output_text);
+  console.log();
+
+  // 5. ModelPilot-specific features
+  console.log('5. ModelPilot-Specific Features:');
   
   // Force a specific model (like OpenAI)
-  const specificModel = await client.chat.create({
+  const specificModel = await client.chat.completions.create({
     model: 'openai:gpt-4o', // Force specific model
     messages: [{ role: 'user', content: 'Hello from GPT-4!' }]
   });
   console.log('Forced model response:', specificModel.choices[0].message.content);
 
   // Let ModelPilot choose the best model
-  const smartRouted = await client.chat.create({
+  const smartRouted = await client.chat.completions.create({
     // No model specified - ModelPilot chooses best model for the task
     messages: [{ role: 'user', content: 'Analyze this complex data and provide insights.' }]
   });
@@ -157,9 +166,11 @@ console.log(`
    - const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
    + const client = new ModelPilot({ apiKey: process.env.MODELPILOT_API_KEY });
 
-4. Update method calls:
-   - openai.chat.completions.create(...)
-   + client.chat.create(...)
+4. Method calls stay the same:
+   client.chat.completions.create(...)  // or the shorter client.chat.create(...)
+   client.completions.create(...)       // legacy prompt completions
+   client.responses.create(...)         // Responses API (function tools only)
+   client.embeddings.create(...)
 
 5. Optional: Remove model specification to enable intelligent routing
    - model: 'gpt-4'  // Remove this line
@@ -5,6 +5,8 @@
 
 import ModelPilot, { 
   ChatCompletionCreateParams, 
+  ChatCompletionCreateParamsNonStreaming,
+  ChatCompletionCreateParamsStreaming,
   ChatCompletionResponse,
   ChatCompletionStream,
   ModelPilotConfig,
@@ -32,7 +34,7 @@ async function typescriptExample(): Promise<void> {
     // 1. Type-safe chat completion
     console.log('1. Type-safe Chat Completion:');
     
-    const params: ChatCompletionCreateParams = {
+    const params: ChatCompletionCreateParamsNonStreaming = {
       messages: [
         { role: 'system', content: 'You are a TypeScript expert.' },
         { role: 'user', content: 'Explain the benefits of TypeScript over JavaScript.' }
@@ -50,7 +52,7 @@ async function typescriptExample(): Promise<void> {
     // 2. Streaming with types
     console.log('2. Type-safe Streaming:');
     
-    const streamParams: ChatCompletionCreateParams = {
+    const streamParams: ChatCompletionCreateParamsStreaming = {
       messages: [
         { role: 'user', content: 'Write a short TypeScript function example.' }
       ],
@@ -71,7 +73,7 @@ async function typescriptExample(): Promise<void> {
     // 3. Function calling with types
     console.log('3. Type-safe Function Calling:');
     
-    const functionParams: ChatCompletionCreateParams = {
+    const functionParams: ChatCompletionCreateParamsNonStreaming = {
       messages: [
         { role: 'user', content: 'Calculate the factorial of 5' }
       ],
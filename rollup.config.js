@@ -2,8 +2,23 @@ const resolve = require('@rollup/plugin-node-resolve');
 const commonjs = require('@rollup/plugin-commonjs');
 const terser = require('@rollup/plugin-terser');
 
+const fs = require('fs');
+const path = require('path');
+
 const isProduction = process.env.NODE_ENV === 'production';
 
+// Ship the hand-written declarations next to the bundles
+const declarations = () => ({
+  name: 'declarations',
+  generateBundle() {
+    this.emitFile({
+      type: 'asset',
+      fileName: 'index.d.ts',
+      source: fs.readFileSync(path.join(__dirname, 'src/types.d.ts'), 'utf8')
+    });
+  }
+});
+
 module.exports = [
   // CommonJS build
   {
@@ -17,8 +32,10 @@ module.exports = [
       resolve({
         preferBuiltins: true
       }),
-      commonjs(),
-      isProduction && terser()
+      // fs and crypto are only loaded lazily, in Node, by the media helpers and the response cache
+      commonjs({ ignore: ['fs', 'crypto'] }),
+      isProduction && terser(),
+      declarations()
     ].filter(Boolean),
     external: ['axios', 'form-data']
   },
@@ -33,7 +50,8 @@ module.exports = [
       resolve({
         preferBuiltins: true
       }),
-      commonjs(),
+      // fs and crypto are only loaded lazily, in Node, by the media helpers and the response cache
+      commonjs({ ignore: ['fs', 'crypto'] }),
       isProduction && terser()
     ].filter(Boolean),
     external: ['axios', 'form-data']
@@ -0,0 +1,295 @@
+/**
+ * ModelPilot Batch API
+ * Run large sets of chat completions offline, outside the per-request rate limits
+ */
+
+const {ModelPilotError,InvalidRequestError,errorFromResponse}=require('./errors');
+const {validateRequestOptions,deriveIdempotencyKey,sleep}=require('./utils');
+
+// Batches in these states will not change any more
+const TERMINAL_STATUSES=['completed','failed','expired','cancelled'];
+const COMPLETION_WINDOWS=['24h'];
+const DEFAULT_POLL_INTERVAL=5000;
+
+/**
+ * Validate a batch ID and encode it for use in a URL path
+ * @private
+ */
+function batchIdPath(batchId) {
+  if(typeof batchId!=='string'||!batchId) {
+    throw new InvalidRequestError('batchId must be a non-empty string','batch_id');
+  }
+  return `/batches/${encodeURIComponent(batchId)}`;
+}
+
+/**
+ * Build the JSONL input file for a batch from chat.create parameters
+ * Each request is validated the same way chat.create validates it
+ * @param {Array<Object>} requests - chat.create parameters, each with an optional custom_id
+ * @param {ChatCompletions} chat - Chat API used to validate and build each request body
+ * @param {string} routerId - Router that serves the requests
+ * @returns {string} JSONL with one request per line
+ */
+function buildBatchInput(requests,chat,routerId) {
+  if(!Array.isArray(requests)||requests.length===0) {
+    throw new InvalidRequestError('requests must be a non-empty array','requests');
+  }
+
+  const customIds=new Set();
+
+  return requests.map((request,index) => {
+    const {custom_id: customId=`request-${index}`,...params}=request||{};
+
+    if(typeof customId!=='string'||!customId) {
+      throw new InvalidRequestError(`requests[${index}].custom_id must be a non-empty string`,'requests');
+    }
+    if(customIds.has(customId)) {
+      throw new InvalidRequestError(`requests[${index}].custom_id "${customId}" is used more than once`,'requests');
+    }
+    customIds.add(customId);
+
+    if(params.stream) {
+      throw new InvalidRequestError(`requests[${index}]: stream is not supported in batches`,'requests');
+    }
+
+    let body;
+    try {
+      body=chat._buildPayload(params,{routerId});
+    } catch(error) {
+      throw new InvalidRequestError(`requests[${index}]: ${error.message}`,'requests');
+    }
+
+    return JSON.stringify({custom_id: customId,method: 'POST',url: `/router/${routerId}`,body});
+  }).join('\n')+'\n';
+}
+
+/**
+ * Parse JSONL output into one result per custom_id
+ * @private
+ */
+function parseBatchOutput(text,results,fileId) {
+  for(const [index,line] of text.split('\n').entries()) {
+    if(!line.trim()) {
+      continue;
+    }
+
+    let item;
+    try {
+      item=JSON.parse(line);
+    } catch(error) {
+      throw new ModelPilotError(`Line ${index+1} of batch file ${fileId} is not valid JSON: ${error.message}`,{type: 'invalid_response'});
+    }
+    const status=item.response?.status_code??null;
+    const ok=status!==null&&status>=200&&status<300;
+
+    let error=null;
+    if(item.error) {
+      error=new ModelPilotError(item.error.message||'Batch request failed',{type: 'batch_error',code: item.error.code});
+    } else if(!ok) {
+      error=errorFromResponse(status,item.response?.body,{});
+    }
+
+    results.set(item.custom_id,{
+      custom_id: item.custom_id,
+      status_code: status,
+      completion: ok? item.response.body:null,
+      error
+    });
+  }
+}
+
+/**
+ * Batches API class
+ */
+class Batches {
+  constructor(client) {
+    this.client=client;
+  }
+
+  /**
+   * Create a batch
+   * Pass requests to build, validate and upload the JSONL input, or input_file_id for an already uploaded file
+   * @param {Object} params - Batch parameters
+   * @param {Array<Object>} [params.requests] - chat.create parameters, each with an optional custom_id (defaults to request-<index>)
+   * @param {string} [params.input_file_id] - ID of an uploaded JSONL file with purpose batch
+   * @param {string} [params.completion_window='24h'] - Time frame for the batch to complete
+   * @param {Object} [params.metadata] - Key-value pairs stored with the batch
+   * @param {Object} [options] - Per-request options
+   * @returns {Promise<Object>} Batch object
+   */
+  async create(params,options={}) {
+    validateRequestOptions(options);
+
+    const {requests,input_file_id: inputFileId,completion_window: completionWindow='24h',metadata}=params||{};
+    const routerId=options.routerId||this.client.routerId;
+
+    if(!requests&&!inputFileId) {
+      throw new InvalidRequestError('requests or input_file_id is required','requests');
+    }
+    if(requests&&inputFileId) {
+      throw new InvalidRequestError('pass either requests or input_file_id, not both','requests');
+    }
+    if(!COMPLETION_WINDOWS.includes(completionWindow)) {
+      throw new InvalidRequestError(`completion_window must be one of ${COMPLETION_WINDOWS.join(', ')}`,'completion_window');
+    }
+
+    let fileId=inputFileId;
+    if(requests) {
+      const input=buildBatchInput(requests,this.client.chat,routerId);
+
+      const uploadOptions={...options,idempotencyKey: deriveIdempotencyKey(options.idempotencyKey,'input')};
+      const file=await this.client.files.create({
+        file: new TextEncoder().encode(input),
+        filename: 'batch-input.jsonl',
+        contentType: 'application/jsonl',
+        purpose: 'batch'
+      },uploadOptions);
+      fileId=file.id;
+    }
+
+    return this.client.request('/batches',{
+      ...options,
+      method: 'POST',
+      data: {
+        input_file_id: fileId,
+        endpoint: `/router/${routerId}`,
+        completion_window: completionWindow,
+        ...(metadata? {metadata}:{})
+      }
+    });
+  }
+
+  /**
+   * Get a batch
+   * @param {string} batchId - Batch ID
+   * @param {Object} [options] - Per-request options
+   * @returns {Promise<Object>} Batch object
+   */
+  async retrieve(batchId,options={}) {
+    return this.client.request(batchIdPath(batchId),{
+      ...options,
+      method: 'GET'
+    });
+  }
+
+  /**
+   * List batches
+   * @param {Object} [params] - List parameters
+   * @param {number} [params.limit] - Page size
+   * @param {string} [params.after] - Cursor: ID of the last batch of the previous page
+   * @param {Object} [options] - Per-request options
+   * @returns {Promise<Object>} {object: 'list', data, has_more}
+   */
+  async list(params={},options={}) {
+    if(params.limit!==undefined&&(!Number.isInteger(params.limit)||params.limit<=0)) {
+      throw new InvalidRequestError('limit must be a positive integer','limit');
+    }
+
+    return this.client.request('/batches',{
+      ...options,
+      method: 'GET',
+      params: {
+        limit: params.limit,
+        after: params.after
+      }
+    });
+  }
+
+  /**
+   * Cancel a batch; requests already running still finish
+   * @param {string} batchId - Batch ID
+   * @param {Object} [options] - Per-request options
+   * @returns {Promise<Object>} Batch object, usually with status cancelling
+   */
+  async cancel(batchId,options={}) {
+    return this.client.request(`${batchIdPath(batchId)}/cancel`,{
+      ...options,
+      method: 'POST'
+    });
+  }
+
+  /**
+   * Wait until a batch completes, fails, expires or is cancelled
+   * @param {string} batchId - Batch ID
+   * @param {Object} [options] - Per-request options
+   * @param {number} [options.pollInterval=5000] - Milliseconds between status checks
+   * @param {AbortSignal} [options.signal] - Signal to stop polling
+   * @returns {Promise<Object>} Batch object in a final state
+   */
+  async poll(batchId,options={}) {
+    const {pollInterval=DEFAULT_POLL_INTERVAL,...requestOptions}=options;
+
+    if(typeof pollInterval!=='number'||pollInterval<0) {
+      throw new InvalidRequestError('pollInterval must be a non-negative number','pollInterval');
+    }
+
+    for(;;) {
+      const batch=await this.retrieve(batchId,requestOptions);
+      if(TERMINAL_STATUSES.includes(batch.status)) {
+        return batch;
+      }
+      await sleep(pollInterval,requestOptions.signal);
+    }
+  }
+
+  /**
+   * Create a batch and wait until it reaches a final state
+   * @param {Object} params - batches.create parameters
+   * @param {Object} [options] - Per-request options, plus pollInterval
+   * @returns {Promise<Object>} Batch object in a final state
+   */
+  async createAndPoll(params,options={}) {
+    const {pollInterval,...requestOptions}=options;
+    const batch=await this.create(params,requestOptions);
+
+    // Polling is read-only; the idempotency key only applies to creation
+    return this.poll(batch.id,{...requestOptions,idempotencyKey: undefined,pollInterval});
+  }
+
+  /**
+   * Create a batch, wait until it reaches a final state and download its results
+   * @param {Object} params - batches.create parameters
+   * @param {Object} [options] - Per-request options, plus pollInterval
+   * @returns {Promise<{batch: Object, results: Map<string, Object>}>} Final batch and its results keyed by custom_id;
+   *   results is empty when the batch ended without output, e.g. when its input failed validation
+   */
+  async run(params,options={}) {
+    const batch=await this.createAndPoll(params,options);
+    if(!batch.output_file_id&&!batch.error_file_id) {
+      return {batch,results: new Map()};
+    }
+
+    // Downloads are read-only, like polling
+    const requestOptions={...options,idempotencyKey: undefined};
+    delete requestOptions.pollInterval;
+    return {batch,results: await this.results(batch,requestOptions)};
+  }
+
+  /**
+   * Download a finished batch's output and error files
+   * @param {string|Object} batch - Batch ID or batch object
+   * @param {Object} [options] - Per-request options
+   * @returns {Promise<Map<string, Object>>} Results keyed by custom_id: {custom_id, status_code, completion, error}
+   */
+  async results(batch,options={}) {
+    const current=typeof batch==='string'? await this.retrieve(batch,options):batch;
+
+    if(!current?.output_file_id&&!current?.error_file_id) {
+      throw new InvalidRequestError(`Batch ${current?.id} has no results yet (status: ${current?.status})`,'batch_id');
+    }
+
+    const results=new Map();
+    for(const fileId of [current.output_file_id,current.error_file_id]) {
+      if(fileId) {
+        const content=await this.client.files.content(fileId,options);
+        parseBatchOutput(await content.text(),results,fileId);
+      }
+    }
+    return results;
+  }
+}
+
+module.exports={
+  Batches,
+  buildBatchInput
+};
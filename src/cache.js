@@ -0,0 +1,349 @@
+/**
+ * ModelPilot response cache
+ * Serves repeated chat completions (e.g. deterministic evaluation prompts) from a pluggable store
+ */
+
+const {ModelPilotError}=require('./errors');
+const {loadFS,loadCrypto}=require('./utils');
+
+const DEFAULT_MAX_ENTRIES=1000;
+
+// Bump to invalidate every stored entry when the key or value format changes
+const KEY_VERSION='v1';
+
+/**
+ * JSON with object keys sorted, so equal payloads always serialize the same way
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON
+ */
+function stableStringify(value) {
+  if(value&&typeof value.toJSON==='function') {
+    return stableStringify(value.toJSON());
+  }
+
+  if(Array.isArray(value)) {
+    return `[${value.map(item => (item===undefined? 'null':stableStringify(item))).join(',')}]`;
+  }
+
+  if(value&&typeof value==='object') {
+    const entries=Object.keys(value)
+      .sort()
+      .filter(key => value[key]!==undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Hex SHA-256 of a string, with Web Crypto where available and Node's crypto otherwise
+ * @private
+ */
+async function sha256(text) {
+  const subtle=globalThis.crypto?.subtle;
+  if(subtle) {
+    const digest=new Uint8Array(await subtle.digest('SHA-256',new TextEncoder().encode(text)));
+    return Array.from(digest,byte => byte.toString(16).padStart(2,'0')).join('');
+  }
+
+  const crypto=await loadCrypto();
+  if(crypto) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+  }
+
+  throw new ModelPilotError('Response caching needs SHA-256 from Web Crypto or Node crypto',{type: 'cache_error'});
+}
+
+/**
+ * Cache key of a chat completion payload
+ * Streaming flags are left out, so a streamed request and a plain one share an entry
+ * @param {Object} payload - Router payload: messages, routerId and the optional parameters
+ * @returns {Promise<string>} Hex SHA-256
+ */
+async function cacheKey(payload) {
+  const cacheable={...payload};
+  delete cacheable.stream;
+  delete cacheable.stream_options;
+  return sha256(`${KEY_VERSION}:${stableStringify(cacheable)}`);
+}
+
+/**
+ * In-memory store that evicts the least recently used entries
+ */
+class MemoryCacheStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {number} [options.maxEntries=1000] - Entries kept before the least recently used is evicted
+   */
+  constructor({maxEntries=DEFAULT_MAX_ENTRIES}={}) {
+    if(!Number.isInteger(maxEntries)||maxEntries<1) {
+      throw new Error('maxEntries must be a positive integer');
+    }
+
+    this.maxEntries=maxEntries;
+    // Map iteration order is insertion order, so the first key is the least recently used
+    this._entries=new Map();
+  }
+
+  /**
+   * Number of stored entries, including expired ones not yet evicted
+   * @returns {number} Entry count
+   */
+  get size() {
+    return this._entries.size;
+  }
+
+  /**
+   * Get a value
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} Stored value, or undefined when missing or expired
+   */
+  async get(key) {
+    const entry=this._entries.get(key);
+    if(!entry) {
+      return undefined;
+    }
+
+    this._entries.delete(key);
+    if(entry.expiresAt!==null&&entry.expiresAt<=Date.now()) {
+      return undefined;
+    }
+
+    this._entries.set(key,entry);
+    return entry.value;
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {*} value - Value to store
+   * @param {number} [ttl] - Milliseconds until the entry expires; never when omitted
+   */
+  async set(key,value,ttl) {
+    this._entries.delete(key);
+    this._entries.set(key,{value,expiresAt: ttl===undefined? null:Date.now()+ttl});
+
+    while(this._entries.size>this.maxEntries) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Cache key
+   */
+  async delete(key) {
+    this._entries.delete(key);
+  }
+
+  /**
+   * Remove every value
+   */
+  async clear() {
+    this._entries.clear();
+  }
+}
+
+/**
+ * Store that keeps one JSON file per entry in a directory (Node only), e.g. to share a cache between test runs
+ */
+class FileCacheStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.directory - Directory for the entries; created when missing
+   */
+  constructor({directory}={}) {
+    if(typeof directory!=='string'||!directory) {
+      throw new Error('directory must be a non-empty string');
+    }
+
+    this.directory=directory;
+    this._fs=null;
+  }
+
+  /**
+   * Node's fs promises API, loaded on first use
+   * @private
+   */
+  async _files() {
+    if(!this._fs) {
+      const fs=await loadFS();
+      if(!fs) {
+        throw new Error('FileCacheStore needs the Node fs module');
+      }
+      this._fs=fs.promises;
+    }
+    return this._fs;
+  }
+
+  /**
+   * Path of an entry; keys are hex hashes, anything else is encoded
+   * @private
+   */
+  _path(key) {
+    return `${this.directory}/${encodeURIComponent(key)}.json`;
+  }
+
+  /**
+   * Get a value
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} Stored value, or undefined when missing or expired
+   */
+  async get(key) {
+    const fs=await this._files();
+
+    let text;
+    try {
+      text=await fs.readFile(this._path(key),'utf8');
+    } catch(error) {
+      if(error.code==='ENOENT') {
+        return undefined;
+      }
+      throw error;
+    }
+
+    const entry=JSON.parse(text);
+    if(entry.expiresAt!==null&&entry.expiresAt<=Date.now()) {
+      await this.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {*} value - JSON-compatible value to store
+   * @param {number} [ttl] - Milliseconds until the entry expires; never when omitted
+   */
+  async set(key,value,ttl) {
+    const fs=await this._files();
+    await fs.mkdir(this.directory,{recursive: true});
+
+    // Write then rename, so readers never see a half-written entry
+    const path=this._path(key);
+    const temporary=`${path}.${Date.now()}-${Math.random().toString(36).slice(2)}.tmp`;
+    await fs.writeFile(temporary,JSON.stringify({expiresAt: ttl===undefined? null:Date.now()+ttl,value}));
+    await fs.rename(temporary,path);
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Cache key
+   */
+  async delete(key) {
+    const fs=await this._files();
+    await fs.rm(this._path(key),{force: true});
+  }
+
+  /**
+   * Remove every entry in the directory
+   */
+  async clear() {
+    const fs=await this._files();
+
+    let names;
+    try {
+      names=await fs.readdir(this.directory);
+    } catch(error) {
+      if(error.code==='ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    await Promise.all(names.filter(name => name.endsWith('.json')).map(name => fs.rm(`${this.directory}/${name}`,{force: true})));
+  }
+}
+
+/**
+ * Whether a value implements the store interface: get(key) and set(key, value, ttl), sync or async
+ * @private
+ */
+function isCacheStore(value) {
+  return Boolean(value)&&typeof value.get==='function'&&typeof value.set==='function';
+}
+
+/**
+ * Response cache used by chat completions
+ * Wraps a store, copies values in and out so callers cannot mutate stored responses,
+ * and treats store failures as misses so an unavailable cache never fails a request
+ */
+class ResponseCache {
+  /**
+   * @param {Object} [options] - Cache options
+   * @param {Object} [options.store] - Store with get(key) and set(key, value, ttl); a MemoryCacheStore by default
+   * @param {number} [options.ttl] - Milliseconds entries live; forever when omitted
+   */
+  constructor({store=new MemoryCacheStore(),ttl}={}) {
+    if(!isCacheStore(store)) {
+      throw new Error('cache store must implement get(key) and set(key, value, ttl)');
+    }
+
+    if(ttl!==undefined&&(typeof ttl!=='number'||ttl<=0)) {
+      throw new Error('cache ttl must be a positive number');
+    }
+
+    this.store=store;
+    this.ttl=ttl;
+  }
+
+  /**
+   * Look up a response
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|undefined>} Copy of the stored response
+   */
+  async get(key) {
+    try {
+      const value=await this.store.get(key);
+      return value===undefined||value===null? undefined:JSON.parse(JSON.stringify(value));
+    } catch(error) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Store a response
+   * @param {string} key - Cache key
+   * @param {Object} value - Response to store
+   * @param {number} [ttl] - Overrides the cache TTL
+   */
+  async set(key,value,ttl=this.ttl) {
+    try {
+      await this.store.set(key,JSON.parse(JSON.stringify(value)),ttl);
+    } catch(error) {
+      // Caching is best effort
+    }
+  }
+}
+
+/**
+ * Build the client's response cache from the cache config option
+ * @param {boolean|Object} [config] - true, {store, ttl}, or a store
+ * @returns {ResponseCache|null} Cache, or null when caching is off
+ */
+function createResponseCache(config) {
+  if(!config) {
+    return null;
+  }
+  if(config instanceof ResponseCache) {
+    return config;
+  }
+  if(config===true) {
+    return new ResponseCache();
+  }
+  if(isCacheStore(config)) {
+    return new ResponseCache({store: config});
+  }
+  return new ResponseCache(config);
+}
+
+module.exports={
+  stableStringify,
+  cacheKey,
+  MemoryCacheStore,
+  FileCacheStore,
+  ResponseCache,
+  createResponseCache
+};
@@ -3,8 +3,76 @@
  * OpenAI-compatible chat completions with intelligent model routing
  */
 
-const {validateMessages,validateFunctions,validateTools,extractStreamingText}=require('./utils');
-const {InvalidRequestError}=require('./errors');
+const {validateMessages,validateFunctions,validateTools,parseStreamingChunk,accumulateDelta,parseToolCalls,linkAbortSignal,validateRequestOptions,deriveIdempotencyKey,teeAsyncIterable,sleep,validateFallbacks}=require('./utils');
+const {ModelPilotError,APIError,APIConnectionError,InvalidRequestError,APIUserAbortError,CircuitOpenError,ContentParseError,errorFromResponse}=require('./errors');
+const {isRetryableError,calculateRetryDelay}=require('./retry');
+const {iterateEvents,iterateNDJSONEvents}=require('./sse');
+const {iterateReadableStream}=require('./transport');
+const {cacheKey}=require('./cache');
+const {EventEmitter}=require('./emitter');
+const {ChatCompletionRunner}=require('./runner');
+const {isZodSchema,zodToJSONSchema,validateWithSchema}=require('./schema');
+
+// Wire formats a stream can be re-encoded to and read back from
+const STREAM_CONTENT_TYPES={
+  sse: 'text/event-stream',
+  ndjson: 'application/x-ndjson'
+};
+
+/**
+ * Whether a failed attempt moves on to the next fallback: retryable errors, and routers whose circuit is open
+ * @private
+ */
+function shouldFallBack(error) {
+  return isRetryableError(error)||error instanceof CircuitOpenError;
+}
+
+/**
+ * Copy of a completion to store in the response cache, without the flags that describe one particular call
+ * @private
+ */
+function toCacheEntry(completion) {
+  const meta={...completion._meta};
+  delete meta.cached;
+  delete meta.fallbackAttempt;
+  return {...completion,_meta: Object.keys(meta).length? meta:undefined};
+}
+
+/**
+ * Validate a stream wire format
+ * @private
+ */
+function streamFormat(format='sse') {
+  if(!Object.prototype.hasOwnProperty.call(STREAM_CONTENT_TYPES,format)) {
+    throw new InvalidRequestError(`format must be one of ${Object.keys(STREAM_CONTENT_TYPES).join(', ')}`,'format');
+  }
+  return format;
+}
+
+/**
+ * Encode a chunk as one frame of the wire format
+ * @private
+ */
+function encodeFrame(format,chunk) {
+  const json=JSON.stringify(chunk);
+  return format==='sse'? `data: ${json}\n\n`:`${json}\n`;
+}
+
+/**
+ * Encode an error so the reading side rethrows it; SSE uses an error event, NDJSON an error line
+ * @private
+ */
+function encodeErrorFrame(format,error) {
+  const body={
+    error: {
+      message: error.message,
+      type: error.type||'stream_error',
+      code: error.code||null,
+      ...(error.status? {status: error.status}:{})
+    }
+  };
+  return format==='sse'? `event: error\ndata: ${JSON.stringify(body)}\n\n`:`${JSON.stringify(body)}\n`;
+}
 
 /**
  * Chat Completions API class
@@ -14,6 +82,14 @@ class ChatCompletions {
     this.client=client;
   }
 
+  /**
+   * OpenAI-style alias, so client.chat.completions.create() works unchanged
+   * @returns {ChatCompletions} This API
+   */
+  get completions() {
+    return this;
+  }
+
   /**
    * Create a chat completion
    * @param {Object} params - Chat completion parameters
@@ -25,16 +101,208 @@ class ChatCompletions {
    * @param {number} [params.frequency_penalty] - Frequency penalty
    * @param {number} [params.presence_penalty] - Presence penalty
    * @param {Array} [params.stop] - Stop sequences
+   * @param {number} [params.n] - Number of choices to generate
    * @param {boolean} [params.stream] - Enable streaming
+   * @param {Object} [params.stream_options] - Streaming options, e.g. {include_usage: true}
    * @param {Array} [params.functions] - Function definitions (deprecated, use tools)
    * @param {string} [params.function_call] - Function call behavior
    * @param {Array} [params.tools] - Tool definitions
    * @param {Object} [params.tool_choice] - Tool choice behavior
    * @param {Object} [params.response_format] - Response format specification
    * @param {string} [params.user] - User identifier
+   * @param {Object} [options] - Per-request options overriding the client defaults
+   * @param {string} [options.routerId] - Router to use for this call
+   * @param {number} [options.timeout] - Timeout in milliseconds
+   * @param {number} [options.maxRetries] - Maximum number of retries
+   * @param {Object} [options.headers] - Extra headers
+   * @param {string} [options.idempotencyKey] - Idempotency key sent with every attempt
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request or a running stream
+   * @param {boolean} [options.resumeStream=false] - When a stream drops after content has arrived, continue it
+   *   from the partial text instead of failing (text-only, single-choice streams)
+   * @param {Array<Object>} [options.fallbacks] - {routerId} and/or {model} entries tried in order when the request
+   *   still fails with a retryable error after its retries; overrides the client fallbacks, [] disables them
+   * @param {boolean|Object} [options.cache] - false skips the client's response cache; {ttl} overrides its TTL
    * @returns {Promise<Object>} Chat completion response
    */
-  async create(params) {
+  async create(params,options={}) {
+    validateRequestOptions(options);
+
+    const {fallbacks=this.client.fallbacks,cache: cacheOptions,...requestOptions}=options;
+    validateFallbacks(fallbacks);
+
+    if(cacheOptions!==undefined&&typeof cacheOptions!=='boolean'&&(typeof cacheOptions!=='object'||cacheOptions===null)) {
+      throw new InvalidRequestError('cache must be a boolean or an object','cache');
+    }
+
+    if(cacheOptions?.ttl!==undefined&&(typeof cacheOptions.ttl!=='number'||cacheOptions.ttl<=0)) {
+      throw new InvalidRequestError('cache.ttl must be a positive number','cache');
+    }
+
+    // The request itself, then each fallback with its router or model swapped in and its own idempotency key
+    const attempts=[{},...fallbacks].map(({routerId,model},index) => {
+      const attemptOptions=index===0? requestOptions:{
+        ...requestOptions,
+        ...(routerId? {routerId}:{}),
+        idempotencyKey: deriveIdempotencyKey(requestOptions.idempotencyKey,`fallback-${index}`)
+      };
+      return {
+        payload: this._buildPayload(model? {...params,model}:params,attemptOptions),
+        options: attemptOptions
+      };
+    });
+
+    const cache=cacheOptions===false? null:this.client.cache;
+    if(cache) {
+      return this._createCachedCompletion(cache,attempts,{stream: Boolean(params.stream),ttl: cacheOptions?.ttl});
+    }
+
+    // Handle streaming vs non-streaming
+    if(params.stream) {
+      return this._createStreamingCompletion(attempts);
+    } else {
+      return this._createCompletion(attempts);
+    }
+  }
+
+  /**
+   * Serve a completion from the response cache, or create it and store it
+   * The key covers the payload of the request itself, not its fallbacks, so only responses
+   * from the requested router and model are stored; a cached response can be replayed as a stream
+   * @private
+   */
+  async _createCachedCompletion(cache,attempts,{stream,ttl}) {
+    const key=await cacheKey(attempts[0].payload);
+    const cached=await cache.get(key);
+
+    if(cached) {
+      cached._meta={...cached._meta,cached: true};
+      if(!stream) {
+        return cached;
+      }
+
+      const replay=ChatCompletionStream.fromChatCompletion(cached);
+      linkAbortSignal(replay.controller,attempts[0].options.signal);
+      replay.meta={...cached._meta};
+      return replay;
+    }
+
+    if(!stream) {
+      const response=await this._createCompletion(attempts);
+      if(!response._meta?.fallbackAttempt) {
+        await cache.set(key,toCacheEntry(response),ttl);
+      }
+      response._meta={...response._meta,cached: false};
+      return response;
+    }
+
+    const live=await this._createStreamingCompletion(attempts);
+    live.meta={...live.meta,cached: false};
+
+    // Stored once the body has been read to the end, by whoever reads it; partial streams are not
+    live._ended.then(async () => {
+      const completion=await live.finalChatCompletion();
+      if(!completion._meta?.fallbackAttempt) {
+        await cache.set(key,toCacheEntry(completion),ttl);
+      }
+    },() => {});
+
+    return live;
+  }
+
+  /**
+   * Create many chat completions in parallel, with a bounded number of requests in flight
+   * Requests share the client's rate limiter, so a 429 on one pauses the others
+   * @param {Array<Object>} paramsArray - chat.create parameters (non-streaming)
+   * @param {Object} [options] - Per-request options applied to every request, plus:
+   * @param {number} [options.concurrency=5] - Maximum requests in flight
+   * @param {Function} [options.onProgress] - Called after each request with {completed, failed, total, index, result}
+   * @param {boolean} [options.stopOnError=false] - Reject with the first error and abort the requests still running
+   * @returns {Promise<Array<Object>>} One {index, completion, error} per params, in input order
+   */
+  async createMany(paramsArray,options={}) {
+    const {concurrency=5,onProgress,stopOnError=false,...requestOptions}=options;
+
+    if(!Array.isArray(paramsArray)) {
+      throw new InvalidRequestError('paramsArray must be an array','params');
+    }
+
+    if(!Number.isInteger(concurrency)||concurrency<1) {
+      throw new InvalidRequestError('concurrency must be a positive integer','concurrency');
+    }
+
+    if(onProgress!==undefined&&typeof onProgress!=='function') {
+      throw new InvalidRequestError('onProgress must be a function','onProgress');
+    }
+
+    for(const [index,params] of paramsArray.entries()) {
+      if(params?.stream) {
+        throw new InvalidRequestError(`params[${index}]: createMany does not support streaming`,'stream');
+      }
+    }
+
+    validateRequestOptions(requestOptions);
+
+    // Cancels the requests still in flight when stopOnError trips or the caller aborts
+    const controller=new AbortController();
+    linkAbortSignal(controller,requestOptions.signal);
+
+    const total=paramsArray.length;
+    const results=new Array(total);
+    let next=0;
+    let completed=0;
+    let failed=0;
+    let firstError=null;
+
+    const worker=async () => {
+      while(next<total&&!controller.signal.aborted) {
+        const index=next++;
+
+        const itemOptions={
+          ...requestOptions,
+          signal: controller.signal,
+          idempotencyKey: deriveIdempotencyKey(requestOptions.idempotencyKey,index)
+        };
+
+        try {
+          results[index]={index,completion: await this.create(paramsArray[index],itemOptions),error: null};
+        } catch(error) {
+          if(firstError) {
+            // Aborted because another request failed first
+            return;
+          }
+
+          results[index]={index,completion: null,error};
+          failed++;
+
+          if(stopOnError) {
+            firstError=error;
+            controller.abort();
+          }
+        }
+
+        completed++;
+        onProgress?.({completed,failed,total,index,result: results[index]});
+      }
+    };
+
+    await Promise.all(Array.from({length: Math.min(concurrency,total)},worker));
+
+    if(firstError) {
+      throw firstError;
+    }
+
+    if(requestOptions.signal?.aborted) {
+      throw new APIUserAbortError();
+    }
+
+    return results;
+  }
+
+  /**
+   * Validate chat.create parameters and build the router request payload
+   * @private
+   */
+  _buildPayload(params,options={}) {
     // Validate required parameters
     if(!params.messages) {
       throw new InvalidRequestError('messages is required','messages');
@@ -63,19 +331,160 @@ class ChatCompletions {
       throw new InvalidRequestError('top_p must be between 0 and 1','top_p');
     }
 
-    // Build request payload
-    const requestPayload={
+    if(params.n!==undefined&&(!Number.isInteger(params.n)||params.n<1)) {
+      throw new InvalidRequestError('n must be a positive integer','n');
+    }
+
+    return {
       messages: params.messages,
-      routerId: this.client.routerId,
+      routerId: options.routerId||this.client.routerId,
       ...this._buildOptionalParams(params)
     };
+  }
 
-    // Handle streaming vs non-streaming
-    if(params.stream) {
-      return this._createStreamingCompletion(requestPayload);
-    } else {
-      return this._createCompletion(requestPayload);
+  /**
+   * Run a chat completion with automatic tool execution
+   * Calls the model, runs the requested tools locally, appends their results and repeats
+   * until the model answers without tool calls
+   * @param {Object} params - chat.create parameters, with runnable tools
+   * @param {Array} params.tools - Tools of the form {function, parse, handler}
+   * @param {number} [params.maxIterations=10] - Maximum number of model calls
+   * @param {Object} [options] - Request options passed to every model call
+   * @returns {ChatCompletionRunner} Runner emitting message, toolCall, toolResult and finalContent events
+   */
+  runTools(params,options={}) {
+    if(!params||!params.messages) {
+      throw new InvalidRequestError('messages is required','messages');
+    }
+
+    validateMessages(params.messages);
+    validateRequestOptions(options);
+
+    return new ChatCompletionRunner(this,params,options);
+  }
+
+  /**
+   * Create a chat completion and parse its structured output
+   * Each choice's message gets a `parsed` field holding the validated object
+   * @param {Object} params - chat.create parameters
+   * @param {Object} params.response_format - {type: 'json_schema', json_schema: {name, schema}}, {type: 'json_object'} or a Zod schema
+   * @param {number} [params.maxRepairAttempts=0] - How many times to ask the model to fix invalid output
+   * @param {Object} [options] - Request options
+   * @returns {Promise<Object>} Chat completion with choices[].message.parsed
+   */
+  async parse(params,options={}) {
+    const {maxRepairAttempts=0,...createParams}=params||{};
+    const {responseFormat,schema}=this._prepareResponseFormat(createParams.response_format);
+
+    if(createParams.stream) {
+      throw new InvalidRequestError('chat.parse does not support streaming','stream');
+    }
+
+    if(typeof maxRepairAttempts!=='number'||maxRepairAttempts<0) {
+      throw new InvalidRequestError('maxRepairAttempts must be a non-negative number','maxRepairAttempts');
+    }
+
+    let messages=createParams.messages;
+
+    for(let attempt=0;;attempt++) {
+      const completion=await this.create({...createParams,messages,response_format: responseFormat},options);
+
+      try {
+        return this._parseCompletion(completion,schema);
+      } catch(error) {
+        if(!(error instanceof ContentParseError)||attempt>=maxRepairAttempts) {
+          throw error;
+        }
+
+        // Show the model its invalid answer and what was wrong with it
+        messages=[
+          ...messages,
+          {role: 'assistant',content: error.content??''},
+          {role: 'user',content: `Your previous response was not valid: ${error.errors.join('; ')}. Reply again with only JSON that satisfies the requested schema.`}
+        ];
+      }
+    }
+  }
+
+  /**
+   * Normalize response_format for parse(), converting Zod schemas to JSON Schema
+   * @private
+   */
+  _prepareResponseFormat(format) {
+    if(!format) {
+      throw new InvalidRequestError('response_format is required','response_format');
+    }
+
+    // A Zod schema passed in directly
+    if(isZodSchema(format)) {
+      return this._prepareResponseFormat({type: 'json_schema',json_schema: {name: 'response',schema: format}});
+    }
+
+    if(format.type==='json_object') {
+      return {responseFormat: format,schema: null};
+    }
+
+    if(format.type!=='json_schema'||!format.json_schema||typeof format.json_schema.name!=='string') {
+      throw new InvalidRequestError('response_format must be {type: "json_schema", json_schema: {name, schema}}, {type: "json_object"} or a Zod schema','response_format');
+    }
+
+    const schema=format.json_schema.schema;
+    if(!isZodSchema(schema)) {
+      return {responseFormat: format,schema};
     }
+
+    let jsonSchema;
+    try {
+      jsonSchema=zodToJSONSchema(schema);
+    } catch(error) {
+      throw new InvalidRequestError(error.message,'response_format');
+    }
+
+    return {
+      responseFormat: {...format,json_schema: {...format.json_schema,schema: jsonSchema}},
+      schema
+    };
+  }
+
+  /**
+   * Parse and validate the content of every choice
+   * @private
+   */
+  _parseCompletion(completion,schema) {
+    const choices=(completion.choices||[]).map((choice) => {
+      const message=choice.message||{};
+
+      // Refusals carry no structured content
+      if(message.refusal) {
+        return {...choice,message: {...message,parsed: null}};
+      }
+
+      const content=message.content;
+      let value;
+      try {
+        value=JSON.parse(content);
+      } catch(error) {
+        const reason=choice.finish_reason==='length'? 'output was truncated (finish_reason: length)':error.message;
+        throw new ContentParseError(`Model output is not valid JSON: ${reason}`,{
+          content,
+          errors: [`invalid JSON: ${reason}`],
+          completion
+        });
+      }
+
+      const result=validateWithSchema(value,schema);
+      if(!result.valid) {
+        throw new ContentParseError(`Model output does not match the schema: ${result.errors.join('; ')}`,{
+          content,
+          errors: result.errors,
+          completion
+        });
+      }
+
+      return {...choice,message: {...message,parsed: result.value}};
+    });
+
+    return {...completion,choices};
   }
 
   /**
@@ -97,6 +506,7 @@ class ChatCompletions {
     if(params.frequency_penalty!==undefined) optional.frequency_penalty=params.frequency_penalty;
     if(params.presence_penalty!==undefined) optional.presence_penalty=params.presence_penalty;
     if(params.stop!==undefined) optional.stop=params.stop;
+    if(params.n!==undefined) optional.n=params.n;
 
     // Function calling (legacy)
     if(params.functions!==undefined) optional.functions=params.functions;
@@ -114,120 +524,678 @@ class ChatCompletions {
 
     // Streaming
     if(params.stream!==undefined) optional.stream=params.stream;
+    if(params.stream_options!==undefined) optional.stream_options=params.stream_options;
 
     return optional;
   }
 
   /**
-   * Create a standard (non-streaming) completion
+   * Create a standard (non-streaming) completion, moving down the fallback chain on retryable errors
    * @private
    */
-  async _createCompletion(payload) {
-    // ModelPilot router expects routerId in the URL path
-    const endpoint=`/router/${this.client.routerId}`;
+  async _createCompletion(attempts) {
+    for(let index=0;;index++) {
+      const {payload,options}=attempts[index];
 
-    const response=await this.client.request(endpoint,{
-      method: 'POST',
-      data: payload
-    });
+      try {
+        // ModelPilot router expects routerId in the URL path
+        const response=await this.client.request(`/router/${payload.routerId}`,{
+          ...options,
+          method: 'POST',
+          data: payload
+        });
 
-    return response;
+        if(attempts.length>1) {
+          response._meta={...response._meta,fallbackAttempt: index};
+        }
+        return response;
+      } catch(error) {
+        if(index===attempts.length-1||!shouldFallBack(error)) {
+          throw error;
+        }
+      }
+    }
   }
 
   /**
    * Create a streaming completion
+   * Falls back like _createCompletion until the first token has arrived
    * @private
    */
-  async _createStreamingCompletion(payload) {
-    // ModelPilot router expects routerId in the URL path
-    const endpoint=`/router/${this.client.routerId}`;
+  async _createStreamingCompletion(attempts) {
+    const {resumeStream=false,signal,maxRetries}=attempts[0].options;
 
-    const response=await this.client.httpClient({
-      url: endpoint,
+    if(typeof resumeStream!=='boolean') {
+      throw new InvalidRequestError('resumeStream must be a boolean','resumeStream');
+    }
+
+    // Owned by the stream so stream.abort() can tear down the socket
+    const controller=new AbortController();
+    linkAbortSignal(controller,signal);
+
+    // Retried like any request until the response headers arrive
+    const send=({payload,options},data=payload,idempotencyKey=options.idempotencyKey) => this.client.request(`/router/${payload.routerId}`,{
+      ...options,
+      resumeStream: undefined,
+      idempotencyKey,
       method: 'POST',
-      data: payload,
-      responseType: 'stream',
+      data,
+      stream: true,
+      signal: controller.signal,
       headers: {
         'Accept': 'text/event-stream',
-        'Cache-Control': 'no-cache'
+        'Cache-Control': 'no-cache',
+        ...options.headers
+      }
+    });
+
+    // Open the current target, moving down the fallback chain on retryable errors
+    let target=0;
+    const open=async () => {
+      for(;;) {
+        try {
+          return await send(attempts[target]);
+        } catch(error) {
+          if(target===attempts.length-1||!shouldFallBack(error)) {
+            throw error;
+          }
+          target++;
+        }
       }
+    };
+
+    const body=await open();
+
+    const stream=new ChatCompletionStream(body,controller,{
+      maxRetries: maxRetries!==undefined? maxRetries:this.client.maxRetries,
+      resume: resumeStream,
+      // No content yet: send the same request again. Otherwise ask the model to carry on from the partial text
+      reconnect: ({attempt,content}) => {
+        // One HTTP attempt per reconnect, so the stream's retry budget is not multiplied by the request's
+        const current={...attempts[target],options: {...attempts[target].options,maxRetries: 0}};
+        if(!content) {
+          return send(current);
+        }
+        const continuation={...current.payload,messages: [...current.payload.messages,{role: 'assistant',content}]};
+        return send(current,continuation,deriveIdempotencyKey(current.options.idempotencyKey,`resume-${attempt}`));
+      },
+      fallback: attempts.length>1? async () => {
+        if(target===attempts.length-1) {
+          return null;
+        }
+        target++;
+        const next=await open();
+        stream.meta={...stream.meta,fallbackAttempt: target};
+        return next;
+      }:null
     });
 
-    return new ChatCompletionStream(response.data);
+    if(attempts.length>1) {
+      stream.meta={fallbackAttempt: target};
+    }
+    return stream;
   }
 }
 
 /**
  * Chat Completion Stream class for handling streaming responses
+ * The body is read once, either by iterating the stream or by the helpers; events fire either way:
+ * chunk, content (delta, snapshot), toolCall, reconnect, end and error
  */
-class ChatCompletionStream {
-  constructor(stream) {
+class ChatCompletionStream extends EventEmitter {
+  /**
+   * @param {AsyncIterable} stream - Raw event stream body
+   * @param {AbortController} [controller] - Controller that cancels the underlying request
+   * @param {Object} [options] - Stream options
+   * @param {string} [options.format='sse'] - Wire format of the body: sse or ndjson
+   * @param {Function} [options.reconnect] - Opens a new body after a drop: ({attempt, error, content}) => Promise<AsyncIterable>
+   * @param {number} [options.maxRetries=0] - Reconnects allowed; reconnect() should make a single attempt, failures use up the next
+   * @param {boolean} [options.resume=false] - Reconnect after content has arrived, continuing from the partial text
+   * @param {Function} [options.fallback] - Opens the next fallback once reconnects are used up and no content has arrived;
+   *   resolves with the new body, or null when there is none
+   */
+  constructor(stream,controller=new AbortController(),options={}) {
+    super();
+
     this.stream=stream;
-    this._buffer='';
+    this.controller=controller;
+    this.format=streamFormat(options.format);
+    this._reconnect=options.reconnect||null;
+    this._maxRetries=options.maxRetries||0;
+    this._resume=options.resume||false;
+    this._fallback=options.fallback||null;
+    this._attempts=0;
+    this._resumed=false;
+    this._choices=[];
+    this._consumed=false;
+    this._iterated=false;
+    this._readStarted=false;
+    this._emittedToolCalls=0;
+
+    // Settles when the body has been read to the end, whoever reads it
+    this._ended=new Promise((resolve,reject) => {
+      this._resolveEnded=resolve;
+      this._rejectEnded=reject;
+    });
+    this._ended.catch(() => {});
+
+    // Populated from upstream chunks as they arrive
+    this.id=null;
+    this.model=null;
+    this.created=null;
+    this.usage=null;
+    this.meta=null;
+  }
+
+  /**
+   * Finish reason of the first choice, once the upstream has sent one
+   * @returns {string|null} stop, length, tool_calls, function_call, content_filter or null
+   */
+  get finishReason() {
+    return this._choices[0]?.finish_reason||null;
   }
 
   /**
    * Async iterator for streaming chunks
+   * Yields upstream chunks as they arrive, including tool_calls and function_call deltas
    */
   async *[Symbol.asyncIterator]() {
-    for await(const chunk of this.stream) {
-      this._buffer+=chunk.toString();
-
-      // Process complete lines
-      const lines=this._buffer.split('\n');
-      this._buffer=lines.pop()||''; // Keep incomplete line in buffer
-
-      for(const line of lines) {
-        if(line.trim()) {
-          const text=extractStreamingText(line);
-          if(text!==null) {
-            yield {
-              choices: [{
-                delta: {content: text},
-                index: 0,
-                finish_reason: null
-              }],
-              created: Math.floor(Date.now()/1000),
-              model: 'modelpilot-routed',
-              object: 'chat.completion.chunk'
-            };
-          }
+    this._assertNotIterated();
+    this._iterated=true;
+
+    try {
+      for(;;) {
+        try {
+          yield* this._readBody();
+          break;
+        } catch(error) {
+          // Read failures arrive normalized; a listener's exception is passed on as it is and never retried
+          this.stream=await this._reopen(error);
         }
       }
+
+      this._emitToolCalls();
+      this._end();
+    } catch(error) {
+      this._rejectEnded(error);
+      this.emit('error',error);
+      throw error;
+    } finally {
+      if(!this._consumed) {
+        // The consumer stopped early (break or return)
+        this._rejectEnded(new ModelPilotError('The stream was not read to the end',{type: 'stream_incomplete'}));
+      }
     }
+  }
 
-    // Process any remaining buffer content
-    if(this._buffer.trim()) {
-      const text=extractStreamingText(this._buffer);
-      if(text!==null) {
-        yield {
-          choices: [{
-            delta: {content: text},
-            index: 0,
-            finish_reason: null
-          }],
-          created: Math.floor(Date.now()/1000),
-          model: 'modelpilot-routed',
-          object: 'chat.completion.chunk'
-        };
+  /**
+   * Read the chunks of the current body
+   * @private
+   */
+  async *_readBody() {
+    if(this.controller.signal.aborted) {
+      throw new APIUserAbortError();
+    }
+
+    for await(const event of this._bodyEvents()) {
+      if(this.controller.signal.aborted) {
+        throw new APIUserAbortError();
+      }
+
+      if(event.event==='error') {
+        throw this._errorFromData(event.data);
+      }
+
+      const chunk=parseStreamingChunk(event.data);
+      if(!chunk) {
+        // [DONE] marker
+        return;
+      }
+
+      if(chunk.error&&!chunk.choices) {
+        throw this._errorFromData(event.data);
+      }
+
+      if(this._resumed) {
+        // Continuation chunks carry their own ID; keep the stream looking like one completion
+        if(this.id) chunk.id=this.id;
+        if(this.created) chunk.created=this.created;
+      }
+
+      this._accumulate(chunk);
+      this._emitChunk(chunk);
+      yield chunk;
+    }
+  }
+
+  /**
+   * Events of the current body, with read failures mapped to the error reported to the consumer
+   * @private
+   */
+  async *_bodyEvents() {
+    // Once every choice has its finish_reason, a body cut off before [DONE] lost nothing
+    const finished=() => this._choices.length>0&&this._choices.every(choice => choice?.finish_reason);
+    const events=this.format==='ndjson'? iterateNDJSONEvents(this.stream):iterateEvents(this.stream,{finished});
+    try {
+      yield* events;
+    } catch(error) {
+      throw this._normalizeError(error);
+    }
+  }
+
+  /**
+   * Map a failure while reading to the error reported to the consumer
+   * @private
+   */
+  _normalizeError(error) {
+    // Destroying the socket surfaces as a premature-close error; report the abort instead
+    if(this.controller.signal.aborted) {
+      return error instanceof APIUserAbortError? error:new APIUserAbortError();
+    }
+
+    // Anything else that is not ours came from the body: the connection dropped
+    if(!(error instanceof ModelPilotError)) {
+      return new APIConnectionError(`Connection error: ${error?.message||'Stream ended unexpectedly'}`,error);
+    }
+
+    return error;
+  }
+
+  /**
+   * Open a new body after a retryable failure, or throw the last error when the stream cannot recover
+   * Before any content the request is simply sent again; after content only in resume mode,
+   * by continuing from the text received so far
+   * @private
+   */
+  async _reopen(error) {
+    for(;;) {
+      if(!this._reconnect||!isRetryableError(error)) {
+        throw error;
+      }
+
+      const choices=this._choices.filter(Boolean);
+      const hasContent=choices.some(choice => choice.message.content||choice.message.tool_calls||choice.message.function_call);
+      const content=choices[0]?.message.content||'';
+
+      // Partial tool calls and several choices cannot be continued from text
+      if(hasContent&&(!this._resume||choices.length>1||content===''||choices[0].message.tool_calls||choices[0].message.function_call)) {
+        throw error;
+      }
+
+      if(this._attempts>=this._maxRetries) {
+        // Out of reconnects; before the first token the next fallback can still take over
+        if(hasContent||!this._fallback) {
+          throw error;
+        }
+        this.emit('reconnect',{attempt: this._attempts+1,error,content});
+        const next=await this._fallback(error);
+        if(!next) {
+          throw error;
+        }
+        return next;
+      }
+
+      const delay=calculateRetryDelay(this._attempts,error);
+      if(delay===null) {
+        throw error;
+      }
+      await sleep(delay,this.controller.signal);
+
+      this._attempts++;
+      this.emit('reconnect',{attempt: this._attempts,error,content});
+      try {
+        const body=await this._reconnect({attempt: this._attempts,error,content});
+        this._resumed=this._resumed||hasContent;
+        return body;
+      } catch(reconnectError) {
+        // A reconnect is a single attempt; when it fails too, the next one comes out of the same budget
+        error=reconnectError;
+      }
+    }
+  }
+
+  /**
+   * Register a listener; the first stream listener starts reading the body on the next tick
+   * unless it is iterated first
+   * @param {string} event - chunk, content, toolCall, end or error
+   * @param {Function} listener - Called with the event arguments
+   * @returns {this} The stream, for chaining
+   */
+  on(event,listener) {
+    super.on(event,listener);
+    this._startReadingSoon();
+    return this;
+  }
+
+  /**
+   * Register a listener that is removed after its first call
+   * @param {string} event - chunk, content, toolCall, end or error
+   * @param {Function} listener - Called with the event arguments
+   * @returns {this} The stream, for chaining
+   */
+  once(event,listener) {
+    super.once(event,listener);
+    this._startReadingSoon();
+    return this;
+  }
+
+  /**
+   * Read the body on the next tick if nobody has started iterating it by then
+   * @private
+   */
+  _startReadingSoon() {
+    if(this._readStarted) {
+      return;
+    }
+    this._readStarted=true;
+
+    Promise.resolve().then(() => {
+      if(!this._iterated) {
+        // Failures are reported through the error event and the helpers
+        this.done().catch(() => {});
+      }
+    });
+  }
+
+  /**
+   * Wait until the body has been read to the end, reading it if nobody is iterating it
+   * @returns {Promise<void>} Resolves at the end of the stream, rejects with the stream error
+   */
+  async done() {
+    if(!this._iterated) {
+      // Drain the chunks; they are accumulated and emitted while reading
+      const iterator=this[Symbol.asyncIterator]();
+      while(!(await iterator.next()).done);
+    }
+    return this._ended;
+  }
+
+  /**
+   * Split the stream into two independent streams that each see every chunk, e.g. for a UI and a logger
+   * Chunks are buffered until both have read them; aborting the original cancels both.
+   * The branches keep the original's meta but not its recovery: if the connection drops they fail
+   * instead of reconnecting, resuming or falling back
+   * @returns {Array<ChatCompletionStream>} Two streams
+   */
+  tee() {
+    if(this._iterated) {
+      throw new ModelPilotError('Cannot tee a stream that has already been read',{type: 'stream_consumed'});
+    }
+    this._iterated=true;
+
+    // The branches read the body from now on; the original's helpers would otherwise wait forever
+    this._rejectEnded(new ModelPilotError('The stream was split with tee(); read the branches instead',{type: 'stream_consumed'}));
+
+    return teeAsyncIterable(this.stream).map((branch) => {
+      const controller=new AbortController();
+      linkAbortSignal(controller,this.controller.signal);
+      const stream=new ChatCompletionStream(branch,controller,{format: this.format});
+      stream.meta=this.meta&&{...this.meta};
+      return stream;
+    });
+  }
+
+  /**
+   * Rebuild a stream from a body that toReadableStream() or pipeTo() produced, e.g. in a browser
+   * reading a backend route that proxies a ModelPilot stream
+   * @param {ReadableStream|AsyncIterable} body - Response body, such as fetch's response.body
+   * @param {Object} [options] - Stream options
+   * @param {string} [options.format='sse'] - Wire format of the body: sse or ndjson
+   * @returns {ChatCompletionStream} Stream with the same events and helpers as one from chat.create
+   */
+  static fromReadableStream(body,options={}) {
+    const format=streamFormat(options.format);
+    const controller=new AbortController();
+    const source=typeof body?.getReader==='function'? iterateReadableStream(body,controller.signal):body;
+
+    if(!source||typeof source[Symbol.asyncIterator]!=='function') {
+      throw new InvalidRequestError('body must be a ReadableStream or an async iterable','body');
+    }
+
+    return new ChatCompletionStream(source,controller,{format});
+  }
+
+  /**
+   * Replay a complete chat completion as a stream, e.g. one served from the response cache
+   * Each choice becomes one chunk holding its whole message; a last chunk carries usage and _meta
+   * @param {Object} completion - Chat completion as returned by a non-streaming request
+   * @returns {ChatCompletionStream} Stream with the same events and helpers as one from chat.create
+   */
+  static fromChatCompletion(completion) {
+    const {id,created,model,usage,_meta}=completion;
+    const base={id,object: 'chat.completion.chunk',created,model};
+
+    const chunks=(completion.choices||[]).map((choice) => {
+      const {tool_calls: toolCalls,...message}=choice.message||{};
+      const delta=toolCalls? {...message,tool_calls: toolCalls.map((toolCall,index) => ({index,...toolCall}))}:message;
+      return {...base,choices: [{index: choice.index||0,delta,finish_reason: choice.finish_reason??null}]};
+    });
+    chunks.push({...base,choices: [],...(usage? {usage}:{}),...(_meta? {_meta}:{})});
+
+    async function* frames() {
+      for(const chunk of chunks) {
+        yield encodeFrame('sse',chunk);
+      }
+      yield 'data: [DONE]\n\n';
+    }
+
+    return new ChatCompletionStream(frames());
+  }
+
+  /**
+   * Re-encode the stream as a WHATWG ReadableStream of bytes, e.g. to return from a route handler
+   * Upstream errors are sent as a final error frame; cancelling the ReadableStream aborts this stream
+   * @param {Object} [options] - Encoding options
+   * @param {string} [options.format='sse'] - sse (ending with data: [DONE]) or ndjson
+   * @returns {ReadableStream<Uint8Array>} Encoded stream
+   */
+  toReadableStream(options={}) {
+    const format=streamFormat(options.format);
+    this._assertNotIterated();
+
+    const encoder=new TextEncoder();
+    const iterator=this[Symbol.asyncIterator]();
+
+    return new ReadableStream({
+      pull: async (controller) => {
+        try {
+          const {value,done}=await iterator.next();
+          if(!done) {
+            controller.enqueue(encoder.encode(encodeFrame(format,value)));
+            return;
+          }
+          if(format==='sse') {
+            controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+          }
+        } catch(error) {
+          controller.enqueue(encoder.encode(encodeErrorFrame(format,error)));
+        }
+        controller.close();
+      },
+      cancel: () => {
+        this.abort();
+      }
+    });
+  }
+
+  /**
+   * Write the stream to a Node ServerResponse (Express, Fastify's reply.raw, Next.js API routes)
+   * Sets the content type unless headers were already sent, and aborts this stream if the client disconnects
+   * @param {Object} res - Node ServerResponse or another writable with write(), end() and on()
+   * @param {Object} [options] - Encoding options
+   * @param {string} [options.format='sse'] - sse (ending with data: [DONE]) or ndjson
+   * @returns {Promise<void>} Resolves once the response has ended or the client has gone;
+   *   rejects with the stream error after sending it as an error frame
+   */
+  async pipeTo(res,options={}) {
+    const format=streamFormat(options.format);
+    this._assertNotIterated();
+
+    if(!res.headersSent&&typeof res.setHeader==='function') {
+      res.setHeader('Content-Type',`${STREAM_CONTENT_TYPES[format]}; charset=utf-8`);
+      res.setHeader('Cache-Control','no-cache');
+      if(typeof res.flushHeaders==='function') {
+        res.flushHeaders();
       }
     }
 
-    // Send final chunk with finish_reason
-    yield {
-      choices: [{
-        delta: {},
-        index: 0,
-        finish_reason: 'stop'
-      }],
-      created: Math.floor(Date.now()/1000),
-      model: 'modelpilot-routed',
-      object: 'chat.completion.chunk'
+    let closed=false;
+    const onClose=() => {
+      closed=true;
+      if(!this._consumed) {
+        this.abort();
+      }
     };
+    res.on('close',onClose);
+
+    try {
+      for await(const chunk of this) {
+        if(!res.write(encodeFrame(format,chunk))) {
+          await waitForDrain(res);
+        }
+      }
+      if(format==='sse') {
+        res.write('data: [DONE]\n\n');
+      }
+    } catch(error) {
+      if(closed) {
+        // The client went away; there is nobody left to tell
+        return;
+      }
+      res.write(encodeErrorFrame(format,error));
+      throw error;
+    } finally {
+      if(typeof res.off==='function') {
+        res.off('close',onClose);
+      }
+      if(!closed) {
+        res.end();
+      }
+    }
+  }
+
+  /**
+   * Throw if the body has already been read
+   * @private
+   */
+  _assertNotIterated() {
+    if(this._iterated) {
+      throw new ModelPilotError('The stream has already been read; use the helpers such as finalChatCompletion(), or tee() for several consumers',{
+        type: 'stream_consumed'
+      });
+    }
+  }
+
+  /**
+   * Emit the events for one chunk
+   * @private
+   */
+  _emitChunk(chunk) {
+    this.emit('chunk',chunk);
+
+    const choice=chunk.choices?.find(item => (item.index||0)===0);
+    if(!choice) {
+      return;
+    }
+
+    if(choice.delta?.content) {
+      this.emit('content',choice.delta.content,this._choices[0].message.content);
+    }
+
+    // A new tool call index means the previous ones are complete
+    const toolCalls=this._choices[0].message.tool_calls||[];
+    if(choice.finish_reason) {
+      this._emitToolCalls();
+    } else if(toolCalls.length>1) {
+      this._emitToolCalls(toolCalls.length-1);
+    }
+  }
+
+  /**
+   * Emit toolCall for the completed tool calls of the first choice that have not been emitted yet
+   * @private
+   */
+  _emitToolCalls(count) {
+    const toolCalls=this._choices[0]?.message.tool_calls||[];
+    const end=count??toolCalls.length;
+
+    for(;this._emittedToolCalls<end;this._emittedToolCalls++) {
+      if(toolCalls[this._emittedToolCalls]) {
+        this.emit('toolCall',toolCalls[this._emittedToolCalls]);
+      }
+    }
+  }
+
+  /**
+   * Mark the body as fully read
+   * @private
+   */
+  _end() {
+    this._consumed=true;
+    this._resolveEnded();
+    this.emit('end');
+  }
+
+  /**
+   * Abort the stream and tear down the underlying connection
+   */
+  abort() {
+    this.controller.abort();
+
+    if(typeof this.stream.destroy==='function') {
+      this.stream.destroy();
+    }
+  }
+
+  /**
+   * Fold a chunk into the accumulated stream state
+   * @private
+   */
+  _accumulate(chunk) {
+    if(chunk.id) this.id=chunk.id;
+    if(chunk.model) this.model=chunk.model;
+    if(chunk.created) this.created=chunk.created;
+    if(chunk.usage) this.usage=chunk.usage;
+    if(chunk._meta) this.meta={...this.meta,...chunk._meta};
+
+    for(const choice of chunk.choices||[]) {
+      const index=choice.index||0;
+      if(!this._choices[index]) {
+        this._choices[index]={index,message: {role: 'assistant',content: null},finish_reason: null};
+      }
+      accumulateDelta(this._choices[index].message,choice.delta);
+      if(choice.finish_reason) {
+        this._choices[index].finish_reason=choice.finish_reason;
+      }
+    }
+  }
+
+  /**
+   * Build an APIError from the data of an upstream error frame
+   * @private
+   */
+  _errorFromData(data) {
+    let parsed=null;
+    try {
+      parsed=JSON.parse(data);
+    } catch(error) {
+      // Plain-text error frame
+    }
+
+    const body=parsed&&typeof parsed==='object'? parsed:{error: {message: data}};
+    const message=body.error?.message||body.message||data||'Stream error';
+    const status=Number(body.error?.status||body.status)||undefined;
+
+    // A frame with a status maps like an HTTP response, e.g. 429 to RateLimitError; frames have no headers
+    if(status) {
+      return errorFromResponse(status,body,{});
+    }
+    return new APIError(message,status,body);
   }
 
   /**
    * Convert stream to array of chunks
+   * Reads the stream, so it cannot be combined with iterating it
    */
   async toArray() {
     const chunks=[];
@@ -239,16 +1207,90 @@ class ChatCompletionStream {
 
   /**
    * Get the final completion text
+   * Reads the stream if it has not been read yet; works after iterating it too
+   * @returns {Promise<string>} Content of the first choice
    */
   async getText() {
-    let text='';
-    for await(const chunk of this) {
-      if(chunk.choices[0].delta.content) {
-        text+=chunk.choices[0].delta.content;
-      }
-    }
-    return text;
+    await this.done();
+    return this._choices[0]?.message.content||'';
   }
+
+  /**
+   * Get the assistant message assembled from the streamed deltas
+   * Reads the stream if it has not been read yet
+   * @param {number} [choiceIndex=0] - Choice to read the message from
+   * @returns {Promise<Object>} Message with role, content and any tool_calls or function_call
+   */
+  async finalMessage(choiceIndex=0) {
+    await this.done();
+    return this._messageOf(this._choices[choiceIndex]);
+  }
+
+  /**
+   * Get the response a non-streaming request would have returned, assembled from the chunks
+   * Reads the stream if it has not been read yet
+   * @returns {Promise<Object>} Chat completion with every choice, usage and _meta
+   */
+  async finalChatCompletion() {
+    await this.done();
+
+    return {
+      id: this.id,
+      object: 'chat.completion',
+      created: this.created,
+      model: this.model,
+      choices: this._choices.filter(Boolean).map(choice => ({
+        index: choice.index,
+        message: this._messageOf(choice),
+        finish_reason: choice.finish_reason
+      })),
+      usage: this.usage,
+      _meta: this.meta
+    };
+  }
+
+  /**
+   * Get the tool calls assembled from the streamed fragments
+   * Reads the stream if it has not been read yet
+   * @param {number} [choiceIndex=0] - Choice to read tool calls from
+   * @returns {Promise<Array>} Complete tool calls with parsed arguments
+   */
+  async getToolCalls(choiceIndex=0) {
+    await this.done();
+
+    const choice=this._choices[choiceIndex];
+    return parseToolCalls(choice?.message.tool_calls);
+  }
+
+  /**
+   * Copy an accumulated message, dropping holes left by sparse tool call indexes
+   * @private
+   */
+  _messageOf(choice) {
+    const message=choice?.message||{role: 'assistant',content: null};
+    return {
+      ...message,
+      ...(message.tool_calls? {tool_calls: message.tool_calls.filter(Boolean)}:{})
+    };
+  }
+}
+
+/**
+ * Wait until a writable wants more data or closes
+ * @private
+ */
+function waitForDrain(res) {
+  return new Promise((resolve) => {
+    const done=() => {
+      if(typeof res.off==='function') {
+        res.off('drain',done);
+        res.off('close',done);
+      }
+      resolve();
+    };
+    res.once('drain',done);
+    res.once('close',done);
+  });
 }
 
 module.exports={
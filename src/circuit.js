@@ -0,0 +1,221 @@
+/**
+ * ModelPilot circuit breaker
+ * Fails fast while a router or endpoint keeps failing, instead of letting every caller retry into it
+ */
+
+const {CircuitOpenError}=require('./errors');
+const {EventEmitter}=require('./emitter');
+
+const CLOSED='closed';
+const OPEN='open';
+const HALF_OPEN='half-open';
+
+// Collections whose second path segment is a resource ID, not a router ID
+const RESOURCE_COLLECTIONS=['files','batches'];
+
+/**
+ * Circuit key of a request endpoint: the route, with the router ID kept and resource IDs left out
+ * e.g. /router/abc stays as it is, /files/file-1/content becomes /files/:id/content
+ * @param {string} endpoint - Request endpoint
+ * @returns {string} Circuit key
+ */
+function circuitKey(endpoint) {
+  const segments=endpoint.split('?')[0].split('/');
+  if(RESOURCE_COLLECTIONS.includes(segments[1])&&segments.length>2) {
+    segments[2]=':id';
+  }
+  return segments.join('/');
+}
+
+/**
+ * Whether an error counts against the circuit: the server is down or unreachable, not the request at fault
+ * @private
+ */
+function isCircuitFailure(error) {
+  if(typeof error.status==='number') {
+    return error.status===408||error.status>=500;
+  }
+  return error.type==='connection_error'||error.type==='timeout_error';
+}
+
+/**
+ * Circuit breaker with one circuit per key (the route of a request, which includes the router ID)
+ * closed: requests flow and outcomes are tracked over a sliding window of recent requests
+ * open: requests throw CircuitOpenError until the cooldown has passed
+ * half-open: a few trial requests go through; success closes the circuit, failure opens it again
+ * Emits stateChange with {key, from, to} on every transition
+ */
+class CircuitBreaker extends EventEmitter {
+  /**
+   * @param {Object} [options] - Breaker options
+   * @param {number} [options.failureThreshold=0.5] - Failure rate (0-1] over the window that opens the circuit
+   * @param {number} [options.minimumRequests=5] - Requests in the window before the rate is considered
+   * @param {number} [options.windowSize=20] - Number of recent requests the rate is computed over
+   * @param {number} [options.cooldown=30000] - Milliseconds the circuit stays open before trial requests
+   * @param {number} [options.halfOpenRequests=1] - Trial requests that must succeed to close the circuit
+   */
+  constructor({failureThreshold=0.5,minimumRequests=5,windowSize=20,cooldown=30000,halfOpenRequests=1}={}) {
+    super();
+
+    if(typeof failureThreshold!=='number'||!(failureThreshold>0&&failureThreshold<=1)) {
+      throw new Error('failureThreshold must be a number between 0 and 1');
+    }
+
+    for(const [name,value] of Object.entries({minimumRequests,windowSize,halfOpenRequests})) {
+      if(!Number.isInteger(value)||value<1) {
+        throw new Error(`${name} must be a positive integer`);
+      }
+    }
+
+    if(minimumRequests>windowSize) {
+      throw new Error('minimumRequests cannot be larger than windowSize');
+    }
+
+    if(typeof cooldown!=='number'||cooldown<0) {
+      throw new Error('cooldown must be a non-negative number');
+    }
+
+    this.failureThreshold=failureThreshold;
+    this.minimumRequests=minimumRequests;
+    this.windowSize=windowSize;
+    this.cooldown=cooldown;
+    this.halfOpenRequests=halfOpenRequests;
+    this._circuits=new Map();
+  }
+
+  /**
+   * Get the circuit of a key, creating it closed
+   * @private
+   */
+  _circuit(key) {
+    let circuit=this._circuits.get(key);
+    if(!circuit) {
+      circuit={state: CLOSED,outcomes: [],openedAt: 0,trials: 0,successes: 0};
+      this._circuits.set(key,circuit);
+    }
+    return circuit;
+  }
+
+  /**
+   * Move a circuit to another state and emit stateChange
+   * @private
+   */
+  _transition(key,circuit,to) {
+    const from=circuit.state;
+    circuit.state=to;
+    circuit.trials=0;
+    circuit.successes=0;
+
+    if(to===OPEN) {
+      circuit.openedAt=Date.now();
+    }
+    if(to===CLOSED) {
+      circuit.outcomes=[];
+    }
+
+    this.emit('stateChange',{key,from,to});
+  }
+
+  /**
+   * Current state of a key's circuit
+   * @param {string} key - Circuit key
+   * @returns {string} closed, open or half-open
+   */
+  state(key) {
+    const circuit=this._circuits.get(key);
+    if(circuit?.state===OPEN&&Date.now()-circuit.openedAt>=this.cooldown) {
+      this._transition(key,circuit,HALF_OPEN);
+    }
+    return circuit?.state||CLOSED;
+  }
+
+  /**
+   * Let a request through or fail fast
+   * @param {string} key - Circuit key
+   * @throws {CircuitOpenError} While the circuit is open, or half-open with every trial slot taken
+   */
+  acquire(key) {
+    const state=this.state(key);
+    if(state===CLOSED) {
+      return;
+    }
+
+    const circuit=this._circuit(key);
+    if(state===OPEN) {
+      throw new CircuitOpenError(key,Math.max(0,circuit.openedAt+this.cooldown-Date.now()));
+    }
+
+    if(circuit.trials>=this.halfOpenRequests) {
+      throw new CircuitOpenError(key,null);
+    }
+    circuit.trials++;
+  }
+
+  /**
+   * Record the outcome of a request let through by acquire()
+   * @param {string} key - Circuit key
+   * @param {Error} [error] - Error the request failed with; omit for a success
+   */
+  record(key,error) {
+    // A success on a key without a circuit changes nothing, so it does not create one
+    const circuit=error? this._circuit(key):this._circuits.get(key);
+    if(!circuit) {
+      return;
+    }
+
+    if(circuit.state===HALF_OPEN&&circuit.trials>0) {
+      circuit.trials--;
+    }
+
+    // Aborted by the caller: says nothing about the server
+    if(error?.type==='user_abort') {
+      return;
+    }
+
+    const failed=Boolean(error)&&isCircuitFailure(error);
+
+    if(circuit.state===HALF_OPEN) {
+      if(failed) {
+        this._transition(key,circuit,OPEN);
+      } else if(++circuit.successes>=this.halfOpenRequests) {
+        this._transition(key,circuit,CLOSED);
+      }
+      return;
+    }
+
+    if(circuit.state===OPEN) {
+      // A request that started before the circuit opened
+      return;
+    }
+
+    circuit.outcomes.push(failed);
+    if(circuit.outcomes.length>this.windowSize) {
+      circuit.outcomes.shift();
+    }
+
+    const failures=circuit.outcomes.filter(Boolean).length;
+    if(circuit.outcomes.length>=this.minimumRequests&&failures/circuit.outcomes.length>=this.failureThreshold) {
+      this._transition(key,circuit,OPEN);
+    }
+  }
+
+  /**
+   * Close one circuit, or every circuit, and forget their history
+   * @param {string} [key] - Circuit key; all circuits when omitted
+   */
+  reset(key) {
+    const keys=key===undefined? [...this._circuits.keys()]:[key];
+    for(const circuitKey of keys) {
+      const circuit=this._circuits.get(circuitKey);
+      if(circuit&&circuit.state!==CLOSED) {
+        this._transition(circuitKey,circuit,CLOSED);
+      }
+      this._circuits.delete(circuitKey);
+    }
+  }
+}
+
+module.exports={
+  CircuitBreaker,
+  circuitKey
+};
@@ -0,0 +1,209 @@
+/**
+ * ModelPilot Completions API
+ * Legacy prompt-style completions, served by the chat router endpoint
+ */
+
+const {InvalidRequestError}=require('./errors');
+const {deriveIdempotencyKey}=require('./utils');
+
+// Legacy parameters with no chat equivalent
+const UNSUPPORTED_PARAMS=['suffix','logprobs','best_of','logit_bias'];
+
+/**
+ * Convert a chat completion into a text completion
+ * @private
+ */
+function toTextCompletion(completion,prompt,echo) {
+  return {
+    id: completion.id,
+    object: 'text_completion',
+    created: completion.created,
+    model: completion.model,
+    choices: (completion.choices||[]).map(choice => ({
+      index: choice.index||0,
+      text: (echo? prompt:'')+(choice.message?.content||''),
+      logprobs: null,
+      finish_reason: choice.finish_reason||null
+    })),
+    usage: completion.usage,
+    _meta: completion._meta
+  };
+}
+
+/**
+ * Sum a numeric field across objects, or undefined if no object has it
+ * @private
+ */
+function sumField(objects,field) {
+  const values=objects.map(object => object?.[field]).filter(value => typeof value==='number');
+  return values.length? values.reduce((total,value) => total+value,0):undefined;
+}
+
+/**
+ * Merge the text completions of several prompts into one response
+ * @private
+ */
+function mergeTextCompletions(completions) {
+  const [first]=completions;
+  let index=0;
+
+  const usages=completions.map(completion => completion.usage).filter(Boolean);
+  const metas=completions.map(completion => completion._meta).filter(Boolean);
+
+  return {
+    ...first,
+    choices: completions.flatMap(completion => completion.choices.map(choice => ({...choice,index: index++}))),
+    usage: usages.length? {
+      prompt_tokens: sumField(usages,'prompt_tokens'),
+      completion_tokens: sumField(usages,'completion_tokens'),
+      total_tokens: sumField(usages,'total_tokens')
+    }:first.usage,
+    _meta: metas.length? {
+      ...metas[0],
+      cost: sumField(metas,'cost'),
+      tokensUsed: sumField(metas,'tokensUsed')
+    }:first._meta
+  };
+}
+
+/**
+ * Streaming text completion - yields text_completion chunks converted from chat chunks
+ */
+class TextCompletionStream {
+  /**
+   * @param {ChatCompletionStream} stream - Underlying chat completion stream
+   * @param {string} prompt - Prompt, emitted first when echo is set
+   * @param {boolean} [echo=false] - Echo the prompt before the completion
+   */
+  constructor(stream,prompt,echo=false) {
+    this.stream=stream;
+    this.controller=stream.controller;
+    this._prompt=prompt;
+    this._echo=echo;
+  }
+
+  /**
+   * Async iterator for text completion chunks
+   */
+  async *[Symbol.asyncIterator]() {
+    let echoed=!this._echo;
+
+    for await(const chunk of this.stream) {
+      const choices=(chunk.choices||[]).map((choice) => {
+        let text=choice.delta?.content||'';
+        if(!echoed) {
+          text=this._prompt+text;
+          echoed=true;
+        }
+        return {index: choice.index||0,text,logprobs: null,finish_reason: choice.finish_reason||null};
+      });
+
+      yield {
+        id: chunk.id,
+        object: 'text_completion',
+        created: chunk.created,
+        model: chunk.model,
+        choices,
+        ...(chunk.usage? {usage: chunk.usage}:{}),
+        ...(chunk._meta? {_meta: chunk._meta}:{})
+      };
+    }
+  }
+
+  /**
+   * Abort the stream and tear down the underlying connection
+   */
+  abort() {
+    this.stream.abort();
+  }
+
+  /**
+   * Convert stream to array of chunks
+   */
+  async toArray() {
+    const chunks=[];
+    for await(const chunk of this) {
+      chunks.push(chunk);
+    }
+    return chunks;
+  }
+
+  /**
+   * Get the final completion text
+   */
+  async getText() {
+    let text='';
+    for await(const chunk of this) {
+      text+=chunk.choices[0]?.text||'';
+    }
+    return text;
+  }
+}
+
+/**
+ * Completions API class
+ */
+class Completions {
+  constructor(client) {
+    this.client=client;
+  }
+
+  /**
+   * Create a text completion for a prompt
+   * Each prompt is sent to the router as a single user message
+   * @param {Object} params - Completion parameters
+   * @param {string|Array<string>} params.prompt - Prompt, or prompts (one request each, not with stream)
+   * @param {string} [params.model] - Model to use (optional with ModelPilot routing)
+   * @param {number} [params.max_tokens] - Maximum tokens to generate
+   * @param {number} [params.temperature] - Sampling temperature
+   * @param {number} [params.top_p] - Nucleus sampling parameter
+   * @param {number} [params.n] - Completions per prompt
+   * @param {string|Array} [params.stop] - Stop sequences
+   * @param {boolean} [params.echo] - Prefix the completion with the prompt
+   * @param {boolean} [params.stream] - Enable streaming
+   * @param {Object} [options] - Per-request options
+   * @returns {Promise<Object|TextCompletionStream>} Text completion, or a stream
+   */
+  async create(params,options={}) {
+    const {prompt,echo=false,...rest}=params||{};
+
+    if(prompt===undefined||prompt===null) {
+      throw new InvalidRequestError('prompt is required','prompt');
+    }
+
+    const prompts=Array.isArray(prompt)? prompt:[prompt];
+    if(prompts.length===0||prompts.some(item => typeof item!=='string'||!item)) {
+      throw new InvalidRequestError('prompt must be a non-empty string or array of non-empty strings; token prompts are not supported','prompt');
+    }
+
+    for(const param of UNSUPPORTED_PARAMS) {
+      if(rest[param]!==undefined&&rest[param]!==null) {
+        throw new InvalidRequestError(`${param} is not supported by ModelPilot completions`,param);
+      }
+    }
+
+    if(rest.stream&&prompts.length>1) {
+      throw new InvalidRequestError('stream does not support multiple prompts','prompt');
+    }
+
+    const toParams=text => ({...rest,messages: [{role: 'user',content: text}]});
+
+    if(rest.stream) {
+      const stream=await this.client.chat.create(toParams(prompts[0]),options);
+      return new TextCompletionStream(stream,prompts[0],echo);
+    }
+
+    const completions=await Promise.all(prompts.map(async (text,index) => {
+      const requestOptions=prompts.length>1? {...options,idempotencyKey: deriveIdempotencyKey(options.idempotencyKey,index)}:options;
+      const completion=await this.client.chat.create(toParams(text),requestOptions);
+      return toTextCompletion(completion,text,echo);
+    }));
+
+    return completions.length===1? completions[0]:mergeTextCompletions(completions);
+  }
+}
+
+module.exports={
+  Completions,
+  TextCompletionStream
+};
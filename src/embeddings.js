@@ -0,0 +1,136 @@
+/**
+ * ModelPilot Embeddings API
+ * OpenAI-compatible embeddings routed through the ModelPilot router
+ */
+
+const {validateRequestOptions}=require('./utils');
+const {ModelPilotError,InvalidRequestError}=require('./errors');
+
+const ENCODING_FORMATS=['float','base64'];
+
+/**
+ * Decode a base64 embedding of little-endian float32 values
+ * @param {string} data - Base64-encoded embedding
+ * @returns {Float32Array} Embedding vector
+ */
+function decodeBase64Embedding(data) {
+  // The vector comes from the server's response, so a malformed one is a response error
+  let binary;
+  try {
+    binary=atob(data);
+  } catch(error) {
+    throw new ModelPilotError('Embedding in the response is not valid base64',{type: 'invalid_response'});
+  }
+
+  const bytes=new Uint8Array(binary.length);
+  for(let i=0;i<binary.length;i++) {
+    bytes[i]=binary.charCodeAt(i);
+  }
+
+  if(bytes.length%4!==0) {
+    throw new ModelPilotError('base64 embedding in the response is not a multiple of 4 bytes long',{type: 'invalid_response'});
+  }
+
+  return new Float32Array(bytes.buffer);
+}
+
+/**
+ * Validate embedding input: a string, an array of strings, a token array or an array of token arrays
+ * @private
+ */
+function validateInput(input) {
+  if(typeof input==='string') {
+    if(!input) {
+      throw new InvalidRequestError('input cannot be an empty string','input');
+    }
+    return;
+  }
+
+  if(!Array.isArray(input)||input.length===0) {
+    throw new InvalidRequestError('input must be a non-empty string or array','input');
+  }
+
+  const isTokens=value => Array.isArray(value)&&value.length>0&&value.every(Number.isInteger);
+
+  if(input.every(Number.isInteger)) {
+    return;
+  }
+
+  for(const [index,item] of input.entries()) {
+    if(!(typeof item==='string'&&item)&&!isTokens(item)) {
+      throw new InvalidRequestError(`input[${index}] must be a non-empty string or token array`,'input');
+    }
+  }
+}
+
+/**
+ * Embeddings API class
+ */
+class Embeddings {
+  constructor(client) {
+    this.client=client;
+  }
+
+  /**
+   * Create embeddings
+   * @param {Object} params - Embedding parameters
+   * @param {string|Array} params.input - Text, array of texts, token array or array of token arrays
+   * @param {string} [params.model] - Model to use (optional with ModelPilot routing)
+   * @param {number} [params.dimensions] - Number of dimensions of the output vectors
+   * @param {string} [params.encoding_format] - float (default) or base64; base64 vectors are decoded into Float32Array
+   * @param {string} [params.user] - User identifier
+   * @param {Object} [options] - Per-request options (routerId, timeout, maxRetries, headers, idempotencyKey, signal)
+   * @returns {Promise<Object>} Embedding list with data[].embedding, usage and _meta
+   */
+  async create(params,options={}) {
+    validateRequestOptions(options);
+
+    if(!params||params.input===undefined) {
+      throw new InvalidRequestError('input is required','input');
+    }
+
+    validateInput(params.input);
+
+    if(params.model!==undefined&&typeof params.model!=='string') {
+      throw new InvalidRequestError('model must be a string','model');
+    }
+
+    if(params.dimensions!==undefined&&(!Number.isInteger(params.dimensions)||params.dimensions<=0)) {
+      throw new InvalidRequestError('dimensions must be a positive integer','dimensions');
+    }
+
+    if(params.encoding_format!==undefined&&!ENCODING_FORMATS.includes(params.encoding_format)) {
+      throw new InvalidRequestError(`encoding_format must be one of ${ENCODING_FORMATS.join(', ')}`,'encoding_format');
+    }
+
+    const routerId=options.routerId||this.client.routerId;
+    const payload={
+      input: params.input,
+      routerId
+    };
+
+    if(params.model) payload.model=params.model;
+    if(params.dimensions) payload.dimensions=params.dimensions;
+    if(params.encoding_format) payload.encoding_format=params.encoding_format;
+    if(params.user) payload.user=params.user;
+
+    const response=await this.client.request(`/router/${routerId}/embeddings`,{
+      ...options,
+      method: 'POST',
+      data: payload
+    });
+
+    // Keep results in input order even if the upstream returns them shuffled
+    const data=[...(response.data||[])].sort((a,b) => (a.index||0)-(b.index||0)).map(item => ({
+      ...item,
+      embedding: typeof item.embedding==='string'? decodeBase64Embedding(item.embedding):item.embedding
+    }));
+
+    return {...response,data};
+  }
+}
+
+module.exports={
+  Embeddings,
+  decodeBase64Embedding
+};
@@ -0,0 +1,78 @@
+/**
+ * ModelPilot Event Emitter
+ * Minimal listener registry that works in Node, browsers and edge runtimes
+ */
+
+class EventEmitter {
+  constructor() {
+    this._listeners={};
+  }
+
+  /**
+   * Register a listener
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event arguments
+   * @returns {this} The emitter, for chaining
+   */
+  on(event,listener) {
+    (this._listeners[event]||(this._listeners[event]=[])).push({listener,once: false});
+    return this;
+  }
+
+  /**
+   * Register a listener that is removed after its first call
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event arguments
+   * @returns {this} The emitter, for chaining
+   */
+  once(event,listener) {
+    (this._listeners[event]||(this._listeners[event]=[])).push({listener,once: true});
+    return this;
+  }
+
+  /**
+   * Remove a listener
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener passed to on() or once()
+   * @returns {this} The emitter, for chaining
+   */
+  off(event,listener) {
+    const listeners=this._listeners[event];
+    if(listeners) {
+      this._listeners[event]=listeners.filter(entry => entry.listener!==listener);
+    }
+    return this;
+  }
+
+  /**
+   * Call the listeners of an event
+   * @param {string} event - Event name
+   * @param {...*} args - Arguments passed to the listeners
+   * @returns {boolean} True if the event had listeners
+   */
+  emit(event,...args) {
+    const listeners=this._listeners[event];
+    if(!listeners||listeners.length===0) {
+      return false;
+    }
+
+    this._listeners[event]=listeners.filter(entry => !entry.once);
+    for(const {listener} of listeners) {
+      listener.apply(this,args);
+    }
+    return true;
+  }
+
+  /**
+   * Count the listeners of an event
+   * @param {string} event - Event name
+   * @returns {number} Number of listeners
+   */
+  listenerCount(event) {
+    return this._listeners[event]?.length||0;
+  }
+}
+
+module.exports={
+  EventEmitter
+};
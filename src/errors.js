@@ -3,6 +3,8 @@
  * OpenAI-compatible error handling
  */
 
+const { getHeader, parseRetryAfter, parseRateLimitHeaders } = require('./retry');
+
 /**
  * Base ModelPilot error class
  */
@@ -20,11 +22,13 @@ class ModelPilotError extends Error {
  * API error - for HTTP errors from the ModelPilot API
  */
 class APIError extends ModelPilotError {
-  constructor(message, status, response = null) {
+  constructor(message, status, response = null, headers = null) {
     super(message, { type: 'api_error' });
     this.name = 'APIError';
     this.status = status;
     this.response = response;
+    this.headers = headers || {};
+    this.requestId = getHeader(headers, 'x-request-id') || response?._meta?.requestId || null;
     this.code = response?.error?.code;
     this.param = response?.error?.param;
   }
@@ -34,8 +38,8 @@ class APIError extends ModelPilotError {
  * Authentication error - for invalid API keys
  */
 class AuthenticationError extends APIError {
-  constructor(message) {
-    super(message, 401);
+  constructor(message, response = null, headers = null) {
+    super(message, 401, response, headers);
     this.name = 'AuthenticationError';
     this.type = 'authentication_error';
   }
@@ -43,12 +47,22 @@ class AuthenticationError extends APIError {
 
 /**
  * Rate limit error - for rate limiting
+ * Exposes the server's rate-limit state so callers can schedule work themselves
  */
 class RateLimitError extends APIError {
-  constructor(message) {
-    super(message, 429);
+  constructor(message, response = null, headers = null) {
+    super(message, 429, response, headers);
     this.name = 'RateLimitError';
     this.type = 'rate_limit_exceeded';
+
+    const { limit, remaining, resetAt } = parseRateLimitHeaders(headers);
+    const retryAfter = parseRetryAfter(headers);
+
+    /** Milliseconds to wait before retrying, from Retry-After or the reset time */
+    this.retryAfter = retryAfter !== null ? retryAfter : (resetAt ? Math.max(0, resetAt.getTime() - Date.now()) : null);
+    this.limit = limit;
+    this.remaining = remaining;
+    this.resetAt = resetAt;
   }
 }
 
@@ -56,11 +70,11 @@ class RateLimitError extends APIError {
  * Invalid request error - for malformed requests
  */
 class InvalidRequestError extends APIError {
-  constructor(message, param = null) {
-    super(message, 400);
+  constructor(message, param = null, response = null, headers = null) {
+    super(message, 400, response, headers);
     this.name = 'InvalidRequestError';
     this.type = 'invalid_request_error';
-    this.param = param;
+    this.param = param || response?.error?.param || null;
   }
 }
 
@@ -68,8 +82,8 @@ class InvalidRequestError extends APIError {
  * Permission denied error - for insufficient permissions
  */
 class PermissionDeniedError extends APIError {
-  constructor(message) {
-    super(message, 403);
+  constructor(message, response = null, headers = null) {
+    super(message, 403, response, headers);
     this.name = 'PermissionDeniedError';
     this.type = 'permission_denied';
   }
@@ -79,8 +93,8 @@ class PermissionDeniedError extends APIError {
  * Not found error - for missing resources
  */
 class NotFoundError extends APIError {
-  constructor(message) {
-    super(message, 404);
+  constructor(message, response = null, headers = null) {
+    super(message, 404, response, headers);
     this.name = 'NotFoundError';
     this.type = 'not_found_error';
   }
@@ -90,8 +104,8 @@ class NotFoundError extends APIError {
  * Conflict error - for resource conflicts
  */
 class ConflictError extends APIError {
-  constructor(message) {
-    super(message, 409);
+  constructor(message, response = null, headers = null) {
+    super(message, 409, response, headers);
     this.name = 'ConflictError';
     this.type = 'conflict_error';
   }
@@ -101,24 +115,118 @@ class ConflictError extends APIError {
  * Unprocessable entity error - for validation errors
  */
 class UnprocessableEntityError extends APIError {
-  constructor(message) {
-    super(message, 422);
+  constructor(message, response = null, headers = null) {
+    super(message, 422, response, headers);
     this.name = 'UnprocessableEntityError';
     this.type = 'unprocessable_entity';
   }
 }
 
 /**
- * Internal server error - for server-side errors
+ * Internal server error - for server-side errors (any 5xx status)
  */
 class InternalServerError extends APIError {
-  constructor(message) {
-    super(message, 500);
+  constructor(message, response = null, headers = null, status = 500) {
+    super(message, status, response, headers);
     this.name = 'InternalServerError';
     this.type = 'internal_server_error';
   }
 }
 
+/**
+ * Connection error - for requests that never received a response
+ */
+class APIConnectionError extends APIError {
+  constructor(message = 'Connection error.', cause = null) {
+    super(message, undefined);
+    this.name = 'APIConnectionError';
+    this.type = 'connection_error';
+    this.code = cause?.code;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Timeout error - for requests that exceeded their timeout
+ */
+class APITimeoutError extends APIConnectionError {
+  constructor(message = 'Request timed out.', cause = null) {
+    super(message, cause);
+    this.name = 'APITimeoutError';
+    this.type = 'timeout_error';
+  }
+}
+
+/**
+ * User abort error - for requests cancelled through an AbortSignal
+ */
+class APIUserAbortError extends ModelPilotError {
+  constructor(message = 'Request was aborted.') {
+    super(message, { type: 'user_abort' });
+    this.name = 'APIUserAbortError';
+  }
+}
+
+/**
+ * Circuit open error - thrown without sending the request while a circuit breaker is open
+ */
+class CircuitOpenError extends ModelPilotError {
+  constructor(key, retryAfter = null) {
+    super(`Circuit open for ${key}; requests are failing fast`, { type: 'circuit_open' });
+    this.name = 'CircuitOpenError';
+    this.key = key;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Content parse error - for structured output that is not valid JSON or fails its schema
+ */
+class ContentParseError extends ModelPilotError {
+  constructor(message, { content = null, errors = [], completion = null } = {}) {
+    super(message, { type: 'content_parse_error' });
+    this.name = 'ContentParseError';
+    this.content = content;
+    this.errors = errors;
+    this.completion = completion;
+  }
+}
+
+/**
+ * Build the error for an HTTP error response
+ * Reads the OpenAI-style envelope {error: {message, code, param}} and falls back to {message}
+ * @param {number} status - HTTP status
+ * @param {Object|string} data - Response body
+ * @param {Object} headers - Response headers
+ * @returns {APIError} Error instance matching the status
+ */
+function errorFromResponse(status, data, headers) {
+  const body = data && typeof data === 'object' ? data : (data ? { error: { message: String(data) } } : null);
+  const message = body?.error?.message || body?.message || (typeof body?.error === 'string' ? body.error : null);
+
+  switch (status) {
+    case 400:
+      return new InvalidRequestError(message || 'Bad request', null, body, headers);
+    case 401:
+      return new AuthenticationError(message || 'Invalid API key', body, headers);
+    case 403:
+      return new PermissionDeniedError(message || 'Permission denied', body, headers);
+    case 404:
+      return new NotFoundError(message || 'Not found', body, headers);
+    case 409:
+      return new ConflictError(message || 'Conflict', body, headers);
+    case 422:
+      return new UnprocessableEntityError(message || 'Unprocessable entity', body, headers);
+    case 429:
+      return new RateLimitError(message || 'Rate limit exceeded', body, headers);
+    default:
+      if (status >= 500) {
+        return new InternalServerError(message || 'Internal server error', body, headers, status);
+      }
+      return new APIError(message || 'API error', status, body, headers);
+  }
+}
+
 module.exports = {
   ModelPilotError,
   APIError,
@@ -129,5 +237,11 @@ module.exports = {
   NotFoundError,
   ConflictError,
   UnprocessableEntityError,
-  InternalServerError
+  InternalServerError,
+  APIConnectionError,
+  APITimeoutError,
+  APIUserAbortError,
+  CircuitOpenError,
+  ContentParseError,
+  errorFromResponse
 };
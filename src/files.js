@@ -0,0 +1,271 @@
+/**
+ * ModelPilot Files API
+ * Upload documents once and reference them from routed chat requests and batch jobs
+ */
+
+const NodeFormData=require('form-data');
+const {InvalidRequestError,APIUserAbortError}=require('./errors');
+const {validateRequestOptions,linkAbortSignal}=require('./utils');
+const {readFileInput,resolveMimeType}=require('./media');
+
+const PURPOSES=['assistants','batch','fine-tune','vision','user_data','evals'];
+const LIST_ORDERS=['asc','desc'];
+
+// Upstream providers reject larger uploads
+const MAX_UPLOAD_BYTES=512*1024*1024;
+
+/**
+ * Validate a file ID and encode it for use in a URL path
+ * @private
+ */
+function fileIdPath(fileId) {
+  if(typeof fileId!=='string'||!fileId) {
+    throw new InvalidRequestError('fileId must be a non-empty string','file_id');
+  }
+  return `/files/${encodeURIComponent(fileId)}`;
+}
+
+/**
+ * Build the multipart body for an upload
+ * Bodies are fully buffered so retries can send them again
+ * @private
+ */
+function buildMultipartBody({bytes,filename,contentType},purpose) {
+  // form-data in Node; its browser build is the global FormData, which has no getBuffer
+  if(typeof Buffer!=='undefined'&&typeof NodeFormData.prototype?.getBuffer==='function') {
+    const form=new NodeFormData();
+    form.append('purpose',purpose);
+    form.append('file',Buffer.from(bytes.buffer,bytes.byteOffset,bytes.byteLength),{filename,contentType});
+
+    // Replaces the client's default JSON content type
+    return {body: form.getBuffer(),headers: {'Content-Type': form.getHeaders()['content-type']}};
+  }
+
+  const form=new FormData();
+  form.append('purpose',purpose);
+  form.append('file',new Blob([bytes],{type: contentType}),filename);
+
+  // The fetch transport drops the JSON content type so fetch can set the multipart boundary
+  return {body: form,headers: {}};
+}
+
+/**
+ * Downloaded file contents - an async iterable of byte chunks read straight from the response
+ */
+class FileContent {
+  /**
+   * @param {AsyncIterable} body - Response body stream
+   * @param {AbortController} [controller] - Controller that cancels the underlying request
+   */
+  constructor(body,controller=new AbortController()) {
+    this.body=body;
+    this.controller=controller;
+  }
+
+  /**
+   * Async iterator for Uint8Array chunks
+   */
+  async *[Symbol.asyncIterator]() {
+    const encoder=new TextEncoder();
+
+    try {
+      for await(const chunk of this.body) {
+        if(this.controller.signal.aborted) {
+          throw new APIUserAbortError();
+        }
+        yield typeof chunk==='string'? encoder.encode(chunk):chunk;
+      }
+    } catch(error) {
+      if(this.controller.signal.aborted&&!(error instanceof APIUserAbortError)) {
+        throw new APIUserAbortError();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Abort the download and tear down the underlying connection
+   */
+  abort() {
+    this.controller.abort();
+
+    if(typeof this.body.destroy==='function') {
+      this.body.destroy();
+    }
+  }
+
+  /**
+   * Read the whole file into memory
+   * @returns {Promise<Uint8Array>} File contents
+   */
+  async bytes() {
+    const chunks=[];
+    let length=0;
+    for await(const chunk of this) {
+      chunks.push(chunk);
+      length+=chunk.byteLength;
+    }
+
+    const bytes=new Uint8Array(length);
+    let offset=0;
+    for(const chunk of chunks) {
+      bytes.set(chunk,offset);
+      offset+=chunk.byteLength;
+    }
+    return bytes;
+  }
+
+  /**
+   * Read the whole file as UTF-8 text
+   * @returns {Promise<string>} File contents
+   */
+  async text() {
+    return new TextDecoder('utf-8').decode(await this.bytes());
+  }
+}
+
+/**
+ * Files API class
+ */
+class Files {
+  constructor(client) {
+    this.client=client;
+  }
+
+  /**
+   * Upload a file
+   * @param {Object} params - Upload parameters
+   * @param {string|Uint8Array|ArrayBuffer|Blob} params.file - File path (Node only), bytes or Blob/File
+   * @param {string} params.purpose - assistants, batch, fine-tune, vision, user_data or evals
+   * @param {string} [params.filename] - File name (defaults to the path's or File's name)
+   * @param {string} [params.contentType] - MIME type (detected from the contents or name when omitted)
+   * @param {Object} [options] - Per-request options
+   * @returns {Promise<Object>} File object
+   */
+  async create(params,options={}) {
+    validateRequestOptions(options);
+
+    if(!params||params.file===undefined||params.file===null) {
+      throw new InvalidRequestError('file is required','file');
+    }
+
+    if(!PURPOSES.includes(params.purpose)) {
+      throw new InvalidRequestError(`purpose must be one of ${PURPOSES.join(', ')}`,'purpose');
+    }
+
+    const file=await readFileInput(params.file,MAX_UPLOAD_BYTES);
+    const filename=params.filename||file.filename;
+    if(!filename) {
+      throw new InvalidRequestError('filename is required when file is not a path or a named File','filename');
+    }
+
+    const {body,headers}=buildMultipartBody({
+      bytes: file.bytes,
+      filename,
+      contentType: resolveMimeType(params.contentType,{...file,filename})||'application/octet-stream'
+    },params.purpose);
+
+    return this.client.request('/files',{
+      ...options,
+      method: 'POST',
+      data: body,
+      headers: {
+        ...headers,
+        ...options.headers
+      }
+    });
+  }
+
+  /**
+   * List uploaded files
+   * @param {Object} [params] - List parameters
+   * @param {string} [params.purpose] - Only return files with this purpose
+   * @param {number} [params.limit] - Page size
+   * @param {string} [params.after] - Cursor: ID of the last file of the previous page
+   * @param {string} [params.order] - asc or desc by creation time
+   * @param {Object} [options] - Per-request options
+   * @returns {Promise<Object>} {object: 'list', data, has_more}
+   */
+  async list(params={},options={}) {
+    validateRequestOptions(options);
+
+    if(params.limit!==undefined&&(!Number.isInteger(params.limit)||params.limit<=0)) {
+      throw new InvalidRequestError('limit must be a positive integer','limit');
+    }
+
+    if(params.order!==undefined&&!LIST_ORDERS.includes(params.order)) {
+      throw new InvalidRequestError(`order must be one of ${LIST_ORDERS.join(', ')}`,'order');
+    }
+
+    return this.client.request('/files',{
+      ...options,
+      method: 'GET',
+      params: {
+        purpose: params.purpose,
+        limit: params.limit,
+        after: params.after,
+        order: params.order
+      }
+    });
+  }
+
+  /**
+   * Get a file's metadata
+   * @param {string} fileId - File ID
+   * @param {Object} [options] - Per-request options
+   * @returns {Promise<Object>} File object
+   */
+  async retrieve(fileId,options={}) {
+    validateRequestOptions(options);
+
+    return this.client.request(fileIdPath(fileId),{
+      ...options,
+      method: 'GET'
+    });
+  }
+
+  /**
+   * Download a file's contents as a stream
+   * @param {string} fileId - File ID
+   * @param {Object} [options] - Per-request options
+   * @returns {Promise<FileContent>} Async iterable of byte chunks, with bytes() and text()
+   */
+  async content(fileId,options={}) {
+    validateRequestOptions(options);
+
+    const endpoint=`${fileIdPath(fileId)}/content`;
+
+    // Owned by the download so content.abort() can tear down the socket
+    const controller=new AbortController();
+    linkAbortSignal(controller,options.signal);
+
+    const body=await this.client.request(endpoint,{
+      ...options,
+      method: 'GET',
+      stream: true,
+      signal: controller.signal
+    });
+
+    return new FileContent(body,controller);
+  }
+
+  /**
+   * Delete a file
+   * @param {string} fileId - File ID
+   * @param {Object} [options] - Per-request options
+   * @returns {Promise<Object>} {id, object: 'file', deleted}
+   */
+  async del(fileId,options={}) {
+    validateRequestOptions(options);
+
+    return this.client.request(fileIdPath(fileId),{
+      ...options,
+      method: 'DELETE'
+    });
+  }
+}
+
+module.exports={
+  Files,
+  FileContent
+};
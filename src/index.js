@@ -4,9 +4,42 @@
  */
 
 const axios=require('axios');
-const {ChatCompletions}=require('./chat');
-const {ModelPilotError,APIError,AuthenticationError,RateLimitError}=require('./errors');
-const {validateConfig,buildHeaders,handleResponse}=require('./utils');
+const {ChatCompletions,ChatCompletionStream}=require('./chat');
+const {ChatCompletionRunner}=require('./runner');
+const {Embeddings}=require('./embeddings');
+const {Completions,TextCompletionStream}=require('./completions');
+const {Responses,ResponseStream}=require('./responses');
+const {Files,FileContent}=require('./files');
+const {Batches}=require('./batches');
+const {
+  ModelPilotError,
+  APIError,
+  AuthenticationError,
+  RateLimitError,
+  InvalidRequestError,
+  PermissionDeniedError,
+  NotFoundError,
+  ConflictError,
+  UnprocessableEntityError,
+  InternalServerError,
+  APIConnectionError,
+  APITimeoutError,
+  APIUserAbortError,
+  CircuitOpenError,
+  ContentParseError,
+  errorFromResponse
+}=require('./errors');
+const {validateConfig,validateRequestOptions,buildHeaders,handleResponse,sleep}=require('./utils');
+const {isRetryableError,calculateRetryDelay}=require('./retry');
+const {TokenBucket}=require('./ratelimit');
+const {CircuitBreaker,circuitKey}=require('./circuit');
+const {MemoryCacheStore,FileCacheStore,ResponseCache,createResponseCache}=require('./cache');
+const {detectRuntime,createAxiosTransport,createFetchTransport,readResponseData}=require('./transport');
+const {toImagePart,toAudioPart,toFilePart}=require('./media');
+const testing=require('./testing');
+
+// Error codes raised when the connection fails before a response arrives
+const CONNECTION_ERROR_CODES=['ECONNRESET','ECONNREFUSED','ECONNABORTED','ETIMEDOUT','EPIPE','ENOTFOUND','EAI_AGAIN','ERR_NETWORK'];
 
 /**
  * Main ModelPilot client class
@@ -22,6 +55,15 @@ class ModelPilot {
    * @param {number} [config.timeout] - Request timeout in milliseconds
    * @param {Object} [config.defaultHeaders] - Default headers to include
    * @param {number} [config.maxRetries] - Maximum number of retries
+   * @param {Function} [config.fetch] - fetch implementation; requests go through fetch instead of axios
+   * @param {Function} [config.transport] - Replaces the network layer: (request) => Promise<{status, headers, data}>
+   * @param {Array<Function>} [config.middleware] - Middleware to register, as with use()
+   * @param {Object|TokenBucket} [config.rateLimit] - {requestsPerSecond, burst}, or a TokenBucket shared with other clients
+   * @param {Array<Object>} [config.fallbacks] - {routerId} and/or {model} entries chat completions fall back to, in order
+   * @param {boolean|Object|CircuitBreaker} [config.circuitBreaker] - true or breaker options to fail fast on failing
+   *   endpoints, or a CircuitBreaker shared with other clients
+   * @param {boolean|Object} [config.cache] - Cache chat completions: true for an in-memory store, {store, ttl},
+   *   or a store with get(key) and set(key, value, ttl) such as a FileCacheStore or a Redis adapter
    */
   constructor(config={}) {
     // Validate configuration
@@ -32,7 +74,8 @@ class ModelPilot {
     this.routerId=validatedConfig.routerId;
     this.timeout=validatedConfig.timeout||30000;
     this.defaultHeaders=validatedConfig.defaultHeaders||{};
-    this.maxRetries=validatedConfig.maxRetries||3;
+    this.maxRetries=validatedConfig.maxRetries!==undefined? validatedConfig.maxRetries:3;
+    this.fallbacks=validatedConfig.fallbacks||[];
 
     // Validate API key format
     if(!this.apiKey.startsWith('mp_')) {
@@ -46,6 +89,11 @@ class ModelPilot {
 
     // Initialize API sections
     this.chat=new ChatCompletions(this);
+    this.embeddings=new Embeddings(this);
+    this.completions=new Completions(this);
+    this.responses=new Responses(this);
+    this.files=new Files(this);
+    this.batches=new Batches(this);
 
     // Create axios instance with default configuration
     this.httpClient=axios.create({
@@ -68,76 +116,198 @@ class ModelPilot {
       (response) => handleResponse(response),
       (error) => this._handleError(error)
     );
+
+    // axios in Node; fetch in browsers, Deno, Bun and edge runtimes, or whenever one is injected
+    this.runtime=detectRuntime();
+    if(validatedConfig.transport) {
+      this.transport=validatedConfig.transport;
+    } else if(validatedConfig.fetch||this.runtime!=='node') {
+      this.transport=createFetchTransport({fetch: validatedConfig.fetch,baseURL: this.baseURL});
+    } else {
+      this.transport=createAxiosTransport(this.httpClient);
+    }
+
+    this.middleware=[...(validatedConfig.middleware||[])];
+
+    // Every attempt takes a token; without limits the bucket only coordinates 429 backoff
+    this.rateLimiter=validatedConfig.rateLimit instanceof TokenBucket?
+      validatedConfig.rateLimit:
+      new TokenBucket(validatedConfig.rateLimit);
+
+    // Optional; keyed by route, so each router gets its own circuit
+    if(validatedConfig.circuitBreaker instanceof CircuitBreaker) {
+      this.circuitBreaker=validatedConfig.circuitBreaker;
+    } else if(validatedConfig.circuitBreaker) {
+      this.circuitBreaker=new CircuitBreaker(validatedConfig.circuitBreaker===true? {}:validatedConfig.circuitBreaker);
+    } else {
+      this.circuitBreaker=null;
+    }
+
+    // Opt-in; identical chat completion payloads are answered from the store
+    this.cache=createResponseCache(validatedConfig.cache);
+  }
+
+  /**
+   * Register middleware that runs around every HTTP attempt, including retries and streaming requests
+   * Middleware receives the transport request and next(), and returns the response from next()
+   * (or its own); responses arrive before error statuses are mapped to errors
+   * @param {Function} middleware - async (request, next) => response
+   * @returns {ModelPilot} The client, for chaining
+   */
+  use(middleware) {
+    if(typeof middleware!=='function') {
+      throw new Error('middleware must be a function');
+    }
+
+    this.middleware.push(middleware);
+    return this;
   }
 
   /**
    * Handle HTTP errors and convert to ModelPilot errors
    * @private
    */
-  // 
   _handleError(error) {
+    if(axios.isCancel(error)||error.code==='ERR_CANCELED') {
+      throw new APIUserAbortError();
+    }
+
     if(error.response) {
-      const {status,data}=error.response;
-
-      switch(status) {
-        case 401:
-          throw new AuthenticationError(data.message||'Invalid API key');
-        case 429:
-          throw new RateLimitError(data.message||'Rate limit exceeded');
-        case 400:
-          throw new APIError(data.message||'Bad request',status,data);
-        case 422:
-          throw new APIError(data.message||'Bad request',status,data);
-        default:
-          throw new APIError(data.message||'API error',status,data);
-      }
-    } else if(error.request) {
-      throw new ModelPilotError('Network error: No response received');
+      const {status,data,headers}=error.response;
+      throw errorFromResponse(status,data,headers);
+    } else if(error.code==='ETIMEDOUT'||(error.code==='ECONNABORTED'&&/timeout/i.test(error.message))) {
+      throw new APITimeoutError(undefined,error);
+    } else if(error.request||CONNECTION_ERROR_CODES.includes(error.code)) {
+      throw new APIConnectionError(`Connection error: ${error.message||'No response received'}`,error);
     } else {
       throw new ModelPilotError(`Request error: ${error.message}`);
     }
   }
 
+  /**
+   * Build the transport request, applying per-request overrides
+   * @private
+   */
+  _buildRequest(endpoint,options={},attempt=0) {
+    const {timeout,idempotencyKey,headers}=options;
+
+    return {
+      method: options.method||'POST',
+      url: endpoint,
+      headers: buildHeaders(this.apiKey,{
+        ...this.defaultHeaders,
+        ...headers,
+        ...(idempotencyKey? {'Idempotency-Key': idempotencyKey}:{})
+      }),
+      body: options.data,
+      params: options.params,
+      timeout: timeout!==undefined? timeout:this.timeout,
+      signal: options.signal,
+      stream: !!options.stream,
+      attempt
+    };
+  }
+
+  /**
+   * Run a request through the middleware chain and the transport
+   * @private
+   */
+  _dispatch(request) {
+    const run=(index,current) => {
+      if(index===this.middleware.length) {
+        return this.transport(current);
+      }
+
+      return Promise.resolve(this.middleware[index](current,(next=current) => run(index+1,next)));
+    };
+
+    return run(0,request);
+  }
+
+  /**
+   * Send one attempt through the transport and map error statuses to ModelPilot errors
+   * @private
+   */
+  async _send(endpoint,options={},attempt=0) {
+    const response=await this._dispatch(this._buildRequest(endpoint,options,attempt));
+
+    if(!response||typeof response.status!=='number') {
+      throw new ModelPilotError('Transport or middleware did not return a response',{type: 'invalid_response'});
+    }
+
+    if(response.status<200||response.status>=300) {
+      // Streaming requests may receive the error body as a stream; read it before mapping
+      const data=await readResponseData(response.data);
+      throw errorFromResponse(response.status,data,response.headers);
+    }
+
+    return response;
+  }
+
   /**
    * Make authenticated request to ModelPilot API
    * @param {string} endpoint - API endpoint
    * @param {Object} options - Request options
+   * @param {string} [options.method] - HTTP method (default POST)
+   * @param {Object} [options.data] - Request body
+   * @param {Object} [options.params] - Query parameters
+   * @param {Object} [options.headers] - Extra headers for this request
+   * @param {number} [options.timeout] - Timeout override in milliseconds
+   * @param {number} [options.maxRetries] - Retry count override
+   * @param {string} [options.idempotencyKey] - Sent as the Idempotency-Key header on every attempt
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request and any pending retries
+   * @param {boolean} [options.stream] - Resolve with the response body as a byte stream
    * @returns {Promise<Object>} Response data
    */
   async request(endpoint,options={}) {
-    const config={
-      url: endpoint,
-      method: options.method||'POST',
-      data: options.data,
-      params: options.params,
-      headers: options.headers,
-      ...options
-    };
+    validateRequestOptions(options);
+
+    const maxRetries=options.maxRetries!==undefined? options.maxRetries:this.maxRetries;
 
+    const circuit=circuitKey(endpoint);
     let lastError;
 
     // Retry logic
-    for(let attempt=0;attempt<=this.maxRetries;attempt++) {
+    for(let attempt=0;attempt<=maxRetries;attempt++) {
+      if(options.signal?.aborted) {
+        throw new APIUserAbortError();
+      }
+
+      await this.rateLimiter.acquire(options.signal);
+
+      // An open circuit throws CircuitOpenError here, so retries stop instead of backing off into a failing router
+      this.circuitBreaker?.acquire(circuit);
+
       try {
-        const response=await this.httpClient(config);
+        const response=await this._send(endpoint,options,attempt);
+        this.circuitBreaker?.record(circuit);
         return response.data;
       } catch(error) {
         lastError=error;
+        this.circuitBreaker?.record(circuit,error);
 
-        // Don't retry on authentication or client errors
-        if(error instanceof AuthenticationError||
-          (error instanceof APIError&&error.status<500)) {
+        // Only retry timeouts, conflicts, rate limits, server errors and dropped connections
+        if(!isRetryableError(error)) {
           throw error;
         }
 
+        // Retry-After when the server sent one, otherwise jittered exponential backoff
+        const delay=calculateRetryDelay(attempt,error);
+
+        // The router's rate limit covers the whole client, so every call sharing the bucket backs off
+        if(error instanceof RateLimitError&&delay!==null) {
+          this.rateLimiter.pause(delay);
+        }
+
         // Don't retry on last attempt
-        if(attempt===this.maxRetries) {
+        if(attempt===maxRetries) {
           break;
         }
 
-        // Exponential backoff
-        const delay=Math.min(1000*Math.pow(2,attempt),10000);
-        await new Promise(resolve => setTimeout(resolve,delay));
+        if(delay===null) {
+          throw error;
+        }
+        await sleep(delay,options.signal);
       }
     }
 
@@ -146,22 +316,26 @@ class ModelPilot {
 
   /**
    * Get router configuration
+   * @param {Object} [options] - Request options (routerId, timeout, maxRetries, headers, signal)
    * @returns {Promise<Object>} Router configuration
    */
-  async getRouterConfig() {
-    const endpoint=`/getRouterConfig/${this.routerId}`;
+  async getRouterConfig(options={}) {
+    const endpoint=`/getRouterConfig/${options.routerId||this.routerId}`;
     return this.request(endpoint,{
+      ...options,
       method: 'GET'
     });
   }
 
   /**
    * Get available models
+   * @param {Object} [options] - Request options (timeout, maxRetries, headers, signal)
    * @returns {Promise<Array>} Available models
    */
-  async getModels() {
+  async getModels(options={}) {
     const endpoint='/getModels';
     return this.request(endpoint,{
+      ...options,
       method: 'GET'
     });
   }
@@ -169,7 +343,39 @@ class ModelPilot {
 
 module.exports=ModelPilot;
 module.exports.ModelPilot=ModelPilot;
+module.exports.default=ModelPilot;
+module.exports.ChatCompletions=ChatCompletions;
+module.exports.ChatCompletionStream=ChatCompletionStream;
+module.exports.ChatCompletionRunner=ChatCompletionRunner;
+module.exports.Embeddings=Embeddings;
+module.exports.Completions=Completions;
+module.exports.TextCompletionStream=TextCompletionStream;
+module.exports.Responses=Responses;
+module.exports.ResponseStream=ResponseStream;
+module.exports.Files=Files;
+module.exports.FileContent=FileContent;
+module.exports.Batches=Batches;
+module.exports.TokenBucket=TokenBucket;
+module.exports.CircuitBreaker=CircuitBreaker;
+module.exports.MemoryCacheStore=MemoryCacheStore;
+module.exports.FileCacheStore=FileCacheStore;
+module.exports.ResponseCache=ResponseCache;
 module.exports.ModelPilotError=ModelPilotError;
 module.exports.APIError=APIError;
 module.exports.AuthenticationError=AuthenticationError;
 module.exports.RateLimitError=RateLimitError;
+module.exports.InvalidRequestError=InvalidRequestError;
+module.exports.PermissionDeniedError=PermissionDeniedError;
+module.exports.NotFoundError=NotFoundError;
+module.exports.ConflictError=ConflictError;
+module.exports.UnprocessableEntityError=UnprocessableEntityError;
+module.exports.InternalServerError=InternalServerError;
+module.exports.APIConnectionError=APIConnectionError;
+module.exports.APITimeoutError=APITimeoutError;
+module.exports.APIUserAbortError=APIUserAbortError;
+module.exports.CircuitOpenError=CircuitOpenError;
+module.exports.ContentParseError=ContentParseError;
+module.exports.toImagePart=toImagePart;
+module.exports.toAudioPart=toAudioPart;
+module.exports.toFilePart=toFilePart;
+module.exports.testing=testing;
@@ -0,0 +1,205 @@
+/**
+ * ModelPilot media helpers
+ * Turn local files, buffers and blobs into image_url, input_audio and file content parts
+ */
+
+const {InvalidRequestError}=require('./errors');
+const {loadFS}=require('./utils');
+
+const MB=1024*1024;
+
+// Default size limits, matching what the upstream providers accept
+const MAX_IMAGE_BYTES=20*MB;
+const MAX_AUDIO_BYTES=25*MB;
+const MAX_FILE_BYTES=32*MB;
+
+const IMAGE_TYPES=['image/png','image/jpeg','image/gif','image/webp'];
+const AUDIO_FORMATS={'audio/wav': 'wav','audio/mpeg': 'mp3'};
+
+const EXTENSION_TYPES={
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  wav: 'audio/wav',
+  mp3: 'audio/mpeg',
+  pdf: 'application/pdf',
+  txt: 'text/plain',
+  md: 'text/markdown',
+  csv: 'text/csv',
+  json: 'application/json'
+};
+
+/**
+ * Detect a MIME type from the first bytes of a file
+ * @param {Uint8Array} bytes - File contents
+ * @returns {string|null} MIME type, or null if not recognized
+ */
+function sniffMimeType(bytes) {
+  const startsWith=(signature,offset=0) => signature.every((byte,index) => bytes[offset+index]===byte);
+  const ascii=text => Array.from(text,char => char.charCodeAt(0));
+
+  if(startsWith([0x89,0x50,0x4e,0x47,0x0d,0x0a,0x1a,0x0a])) return 'image/png';
+  if(startsWith([0xff,0xd8,0xff])) return 'image/jpeg';
+  if(startsWith(ascii('GIF87a'))||startsWith(ascii('GIF89a'))) return 'image/gif';
+  if(startsWith(ascii('RIFF'))&&startsWith(ascii('WEBP'),8)) return 'image/webp';
+  if(startsWith(ascii('RIFF'))&&startsWith(ascii('WAVE'),8)) return 'audio/wav';
+  if(startsWith(ascii('ID3'))||(bytes[0]===0xff&&(bytes[1]&0xe0)===0xe0)) return 'audio/mpeg';
+  if(startsWith(ascii('%PDF-'))) return 'application/pdf';
+  return null;
+}
+
+/**
+ * Base64-encode bytes
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 string
+ */
+function toBase64(bytes) {
+  if(typeof Buffer!=='undefined') {
+    return Buffer.from(bytes.buffer,bytes.byteOffset,bytes.byteLength).toString('base64');
+  }
+
+  // btoa takes a binary string; build it in slices to stay under argument limits
+  let binary='';
+  for(let i=0;i<bytes.length;i+=0x8000) {
+    binary+=String.fromCharCode.apply(null,bytes.subarray(i,i+0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Read a file input into bytes
+ * @param {string|Uint8Array|ArrayBuffer|Blob} input - File path (Node only), bytes or Blob/File
+ * @param {number} maxBytes - Size limit
+ * @returns {Promise<{bytes: Uint8Array, filename: string|null, type: string|null}>} File contents and hints
+ */
+async function readFileInput(input,maxBytes) {
+  let bytes;
+  let filename=null;
+  let type=null;
+
+  if(typeof input==='string') {
+    const fs=await loadFS();
+    if(!fs) {
+      throw new InvalidRequestError('File paths can only be read in Node.js; pass a Uint8Array, ArrayBuffer or Blob instead','file');
+    }
+
+    const stats=await fs.promises.stat(input);
+    if(stats.size>maxBytes) {
+      throw new InvalidRequestError(`${input} is ${stats.size} bytes, over the ${maxBytes} byte limit`,'file');
+    }
+
+    bytes=new Uint8Array(await fs.promises.readFile(input));
+    filename=input.split(/[\\/]/).pop();
+  } else if(input instanceof Uint8Array) {
+    bytes=input;
+  } else if(input instanceof ArrayBuffer) {
+    bytes=new Uint8Array(input);
+  } else if(input&&typeof input.arrayBuffer==='function') {
+    // Blob or File
+    bytes=new Uint8Array(await input.arrayBuffer());
+    filename=input.name||null;
+    type=input.type||null;
+  } else {
+    throw new InvalidRequestError('file must be a path, Uint8Array, Buffer, ArrayBuffer or Blob','file');
+  }
+
+  if(bytes.byteLength>maxBytes) {
+    throw new InvalidRequestError(`File is ${bytes.byteLength} bytes, over the ${maxBytes} byte limit`,'file');
+  }
+
+  return {bytes,filename,type};
+}
+
+/**
+ * Pick the MIME type: explicit, then sniffed from the contents, then the Blob type, then the extension
+ * @param {string} [mime] - Explicit MIME type
+ * @param {Object} file - Result of readFileInput
+ * @returns {string|null} MIME type, or null if unknown
+ */
+function resolveMimeType(mime,{bytes,filename,type}) {
+  const extension=filename?.includes('.')? filename.split('.').pop().toLowerCase():null;
+  return mime||sniffMimeType(bytes)||type||EXTENSION_TYPES[extension]||null;
+}
+
+/**
+ * Build an image_url content part from a local image
+ * @param {string|Uint8Array|ArrayBuffer|Blob} input - Image path (Node only), bytes or Blob
+ * @param {string} [mime] - MIME type; detected from the contents when omitted
+ * @param {Object} [options] - Options
+ * @param {string} [options.detail] - auto, low or high
+ * @param {number} [options.maxBytes=20MB] - Size limit
+ * @returns {Promise<Object>} {type: 'image_url', image_url: {url, detail}}
+ */
+async function toImagePart(input,mime,options={}) {
+  const file=await readFileInput(input,options.maxBytes||MAX_IMAGE_BYTES);
+  const type=resolveMimeType(mime,file);
+
+  if(!IMAGE_TYPES.includes(type)) {
+    throw new InvalidRequestError(`Unsupported image type ${type||'(unknown)'}; expected one of ${IMAGE_TYPES.join(', ')}`,'file');
+  }
+
+  return {
+    type: 'image_url',
+    image_url: {
+      url: `data:${type};base64,${toBase64(file.bytes)}`,
+      ...(options.detail? {detail: options.detail}:{})
+    }
+  };
+}
+
+/**
+ * Build an input_audio content part from a local WAV or MP3 file
+ * @param {string|Uint8Array|ArrayBuffer|Blob} input - Audio path (Node only), bytes or Blob
+ * @param {string} [mime] - MIME type; detected from the contents when omitted
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxBytes=25MB] - Size limit
+ * @returns {Promise<Object>} {type: 'input_audio', input_audio: {data, format}}
+ */
+async function toAudioPart(input,mime,options={}) {
+  const file=await readFileInput(input,options.maxBytes||MAX_AUDIO_BYTES);
+  const type=resolveMimeType(mime,file);
+  const format=AUDIO_FORMATS[type];
+
+  if(!format) {
+    throw new InvalidRequestError(`Unsupported audio type ${type||'(unknown)'}; expected audio/wav or audio/mpeg`,'file');
+  }
+
+  return {
+    type: 'input_audio',
+    input_audio: {data: toBase64(file.bytes),format}
+  };
+}
+
+/**
+ * Build a file content part (e.g. a PDF) from a local file
+ * @param {string|Uint8Array|ArrayBuffer|Blob} input - File path (Node only), bytes or Blob
+ * @param {string} [mime] - MIME type; detected from the contents or name when omitted
+ * @param {Object} [options] - Options
+ * @param {string} [options.filename] - File name sent to the model
+ * @param {number} [options.maxBytes=32MB] - Size limit
+ * @returns {Promise<Object>} {type: 'file', file: {filename, file_data}}
+ */
+async function toFilePart(input,mime,options={}) {
+  const file=await readFileInput(input,options.maxBytes||MAX_FILE_BYTES);
+  const type=resolveMimeType(mime,file)||'application/octet-stream';
+
+  return {
+    type: 'file',
+    file: {
+      filename: options.filename||file.filename||'file',
+      file_data: `data:${type};base64,${toBase64(file.bytes)}`
+    }
+  };
+}
+
+module.exports={
+  sniffMimeType,
+  toBase64,
+  readFileInput,
+  resolveMimeType,
+  toImagePart,
+  toAudioPart,
+  toFilePart
+};
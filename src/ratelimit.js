@@ -0,0 +1,77 @@
+/**
+ * ModelPilot client-side rate limiting
+ * A token bucket shared by every request of a client (or of several clients)
+ */
+
+const {sleep}=require('./utils');
+
+/**
+ * Token bucket - each HTTP attempt takes a token, and a rate limit from the router pauses
+ * the whole bucket so parallel calls back off together instead of each retrying on its own
+ */
+class TokenBucket {
+  /**
+   * @param {Object} [options] - Bucket options
+   * @param {number} [options.requestsPerSecond] - Sustained request rate; unlimited when omitted
+   * @param {number} [options.burst] - Requests allowed at once (defaults to requestsPerSecond, at least 1)
+   */
+  constructor({requestsPerSecond=Infinity,burst}={}) {
+    if(typeof requestsPerSecond!=='number'||!(requestsPerSecond>0)) {
+      throw new Error('requestsPerSecond must be a positive number');
+    }
+
+    if(burst!==undefined&&(typeof burst!=='number'||!(burst>=1))) {
+      throw new Error('burst must be a number of at least 1');
+    }
+
+    this.requestsPerSecond=requestsPerSecond;
+    this.capacity=burst??Math.max(1,requestsPerSecond);
+    this.tokens=this.capacity;
+    this.pausedUntil=0;
+    this._updatedAt=Date.now();
+  }
+
+  /**
+   * Milliseconds until a token is available
+   * @private
+   */
+  _waitTime(now) {
+    if(now<this.pausedUntil) {
+      return this.pausedUntil-now;
+    }
+
+    const refill=this.requestsPerSecond===Infinity? Infinity:(now-this._updatedAt)/1000*this.requestsPerSecond;
+    this.tokens=Math.min(this.capacity,this.tokens+refill);
+    this._updatedAt=now;
+
+    return this.tokens>=1? 0:Math.ceil((1-this.tokens)/this.requestsPerSecond*1000);
+  }
+
+  /**
+   * Wait for a token and take it
+   * @param {AbortSignal} [signal] - Signal to stop waiting
+   * @returns {Promise<void>} Resolves once the request may be sent
+   */
+  async acquire(signal) {
+    for(;;) {
+      const wait=this._waitTime(Date.now());
+      if(wait<=0) {
+        this.tokens-=1;
+        return;
+      }
+      await sleep(wait,signal);
+    }
+  }
+
+  /**
+   * Hold back every acquire() for a while, e.g. after a 429
+   * @param {number} ms - Milliseconds to pause for
+   */
+  pause(ms) {
+    this.pausedUntil=Math.max(this.pausedUntil,Date.now()+ms);
+  }
+}
+
+module.exports={
+  TokenBucket
+};
@@ -0,0 +1,352 @@
+/**
+ * ModelPilot Responses API
+ * OpenAI Responses-style interface, served by the chat router endpoint
+ */
+
+const {InvalidRequestError}=require('./errors');
+
+/**
+ * Convert Responses content parts to chat content parts
+ * @private
+ */
+function toChatContent(content,path) {
+  if(typeof content==='string') {
+    return content;
+  }
+
+  if(!Array.isArray(content)) {
+    throw new InvalidRequestError(`${path} must be a string or an array of content parts`,'input');
+  }
+
+  return content.map((part,index) => {
+    switch(part?.type) {
+      case 'input_text':
+      case 'output_text':
+        return {type: 'text',text: part.text};
+      case 'refusal':
+        return {type: 'text',text: part.refusal};
+      case 'input_image':
+        return {type: 'image_url',image_url: {url: part.image_url,...(part.detail? {detail: part.detail}:{})}};
+      default:
+        throw new InvalidRequestError(`${path}[${index}].type "${part?.type}" is not supported`,'input');
+    }
+  });
+}
+
+/**
+ * Convert Responses input items to chat messages
+ * @private
+ */
+function toChatMessages(input,instructions) {
+  const messages=instructions? [{role: 'system',content: instructions}]:[];
+
+  if(typeof input==='string') {
+    messages.push({role: 'user',content: input});
+    return messages;
+  }
+
+  if(!Array.isArray(input)||input.length===0) {
+    throw new InvalidRequestError('input must be a non-empty string or array','input');
+  }
+
+  for(const [index,item] of input.entries()) {
+    const type=item?.type||(item?.role? 'message':undefined);
+
+    if(type==='message') {
+      messages.push({
+        role: item.role==='developer'? 'system':item.role,
+        content: toChatContent(item.content,`input[${index}].content`)
+      });
+    } else if(type==='function_call') {
+      const toolCall={id: item.call_id,type: 'function',function: {name: item.name,arguments: item.arguments||''}};
+      const last=messages[messages.length-1];
+
+      // Consecutive calls are parallel calls from one assistant turn
+      if(last?.role==='assistant'&&last.tool_calls&&!last.content) {
+        last.tool_calls.push(toolCall);
+      } else {
+        messages.push({role: 'assistant',content: null,tool_calls: [toolCall]});
+      }
+    } else if(type==='function_call_output') {
+      messages.push({
+        role: 'tool',
+        tool_call_id: item.call_id,
+        content: typeof item.output==='string'? item.output:JSON.stringify(item.output)
+      });
+    } else {
+      throw new InvalidRequestError(`input[${index}].type "${type}" is not supported`,'input');
+    }
+  }
+
+  return messages;
+}
+
+/**
+ * Convert Responses function tools to chat tools
+ * @private
+ */
+function toChatTools(tools) {
+  return tools.map((tool,index) => {
+    if(tool?.type!=='function') {
+      throw new InvalidRequestError(`tools[${index}].type "${tool?.type}" is not supported; only function tools are`,'tools');
+    }
+
+    const {type,...definition}=tool;
+    return {type,function: definition};
+  });
+}
+
+/**
+ * Convert Responses parameters to chat.create parameters
+ * @private
+ */
+function toChatParams(params) {
+  if(!params||params.input===undefined) {
+    throw new InvalidRequestError('input is required','input');
+  }
+
+  if(params.previous_response_id) {
+    throw new InvalidRequestError('previous_response_id is not supported; pass the whole conversation in input','previous_response_id');
+  }
+
+  const chatParams={messages: toChatMessages(params.input,params.instructions)};
+
+  if(params.model) chatParams.model=params.model;
+  if(params.max_output_tokens!==undefined) chatParams.max_tokens=params.max_output_tokens;
+  if(params.temperature!==undefined) chatParams.temperature=params.temperature;
+  if(params.top_p!==undefined) chatParams.top_p=params.top_p;
+  if(params.user!==undefined) chatParams.user=params.user;
+  if(params.tools) chatParams.tools=toChatTools(params.tools);
+
+  if(params.tool_choice!==undefined) {
+    chatParams.tool_choice=typeof params.tool_choice==='string'?
+      params.tool_choice:
+      {type: 'function',function: {name: params.tool_choice.name}};
+  }
+
+  const format=params.text?.format;
+  if(format) {
+    if(format.type==='json_schema') {
+      const {type,...jsonSchema}=format;
+      chatParams.response_format={type,json_schema: jsonSchema};
+    } else {
+      chatParams.response_format={type: format.type};
+    }
+  }
+
+  return chatParams;
+}
+
+/**
+ * Convert a chat completion into a Responses-style response
+ * @param {Object} completion - Chat completion
+ * @param {Object} [params] - Original Responses parameters
+ * @returns {Object} Response with output items and output_text
+ */
+function toResponse(completion,params={}) {
+  const choice=completion.choices?.[0]||{};
+  const message=choice.message||{};
+  const output=[];
+
+  if(message.refusal) {
+    output.push({
+      type: 'message',
+      id: `msg_${completion.id}`,
+      status: 'completed',
+      role: 'assistant',
+      content: [{type: 'refusal',refusal: message.refusal}]
+    });
+  } else if(message.content) {
+    output.push({
+      type: 'message',
+      id: `msg_${completion.id}`,
+      status: 'completed',
+      role: 'assistant',
+      content: [{type: 'output_text',text: message.content,annotations: []}]
+    });
+  }
+
+  for(const toolCall of message.tool_calls||[]) {
+    output.push({
+      type: 'function_call',
+      id: `fc_${toolCall.id}`,
+      call_id: toolCall.id,
+      name: toolCall.function?.name,
+      arguments: toolCall.function?.arguments||'',
+      status: 'completed'
+    });
+  }
+
+  const incompleteReason={length: 'max_output_tokens',content_filter: 'content_filter'}[choice.finish_reason];
+  const usage=completion.usage;
+
+  return {
+    id: completion.id,
+    object: 'response',
+    created_at: completion.created,
+    model: completion.model,
+    status: incompleteReason? 'incomplete':'completed',
+    incomplete_details: incompleteReason? {reason: incompleteReason}:null,
+    instructions: params.instructions??null,
+    output,
+    output_text: message.refusal? '':(message.content||''),
+    usage: usage? {
+      input_tokens: usage.prompt_tokens,
+      output_tokens: usage.completion_tokens,
+      total_tokens: usage.total_tokens
+    }:null,
+    _meta: completion._meta
+  };
+}
+
+/**
+ * Streaming response - yields Responses-style events converted from chat chunks
+ */
+class ResponseStream {
+  /**
+   * @param {ChatCompletionStream} stream - Underlying chat completion stream
+   * @param {Object} [params] - Original Responses parameters
+   */
+  constructor(stream,params={}) {
+    this.stream=stream;
+    this.controller=stream.controller;
+    this._params=params;
+    this._response=null;
+  }
+
+  /**
+   * Async iterator for response events: response.created, response.output_item.added,
+   * response.output_text.delta, response.function_call_arguments.delta, response.output_item.done
+   * and response.completed
+   */
+  async *[Symbol.asyncIterator]() {
+    let sequence=0;
+    const event=(type,fields) => ({type,sequence_number: sequence++,...fields});
+
+    const items=[];
+    let messageItem=null;
+    const toolItems={};
+    let created=false;
+
+    for await(const chunk of this.stream) {
+      if(!created) {
+        created=true;
+        yield event('response.created',{
+          response: {id: chunk.id,object: 'response',created_at: chunk.created,model: chunk.model,status: 'in_progress',output: []}
+        });
+      }
+
+      const delta=chunk.choices?.[0]?.delta||{};
+
+      if(delta.content) {
+        if(!messageItem) {
+          messageItem={type: 'message',id: `msg_${chunk.id}`,status: 'in_progress',role: 'assistant',content: []};
+          items.push(messageItem);
+          yield event('response.output_item.added',{output_index: items.length-1,item: messageItem});
+        }
+        yield event('response.output_text.delta',{
+          item_id: messageItem.id,
+          output_index: items.indexOf(messageItem),
+          content_index: 0,
+          delta: delta.content
+        });
+      }
+
+      for(const toolCall of delta.tool_calls||[]) {
+        let item=toolItems[toolCall.index];
+        if(!item) {
+          item={type: 'function_call',id: `fc_${toolCall.id}`,call_id: toolCall.id,name: toolCall.function?.name,arguments: '',status: 'in_progress'};
+          toolItems[toolCall.index]=item;
+          items.push(item);
+          yield event('response.output_item.added',{output_index: items.length-1,item});
+        }
+        if(toolCall.function?.arguments) {
+          yield event('response.function_call_arguments.delta',{
+            item_id: item.id,
+            output_index: items.indexOf(item),
+            delta: toolCall.function.arguments
+          });
+        }
+      }
+    }
+
+    const message=await this.stream.finalMessage();
+    this._response=toResponse({
+      id: this.stream.id,
+      created: this.stream.created,
+      model: this.stream.model,
+      choices: [{index: 0,message,finish_reason: this.stream.finishReason}],
+      usage: this.stream.usage,
+      _meta: this.stream.meta
+    },this._params);
+
+    for(const [index,item] of this._response.output.entries()) {
+      yield event('response.output_item.done',{output_index: index,item});
+    }
+
+    yield event(this._response.status==='incomplete'? 'response.incomplete':'response.completed',{response: this._response});
+  }
+
+  /**
+   * Abort the stream and tear down the underlying connection
+   */
+  abort() {
+    this.stream.abort();
+  }
+
+  /**
+   * Get the completed response, consuming the stream if it has not been iterated yet
+   * @returns {Promise<Object>} Response
+   */
+  async finalResponse() {
+    if(!this._response) {
+      // Drain the events; the response is assembled at the end
+      const iterator=this[Symbol.asyncIterator]();
+      while(!(await iterator.next()).done);
+    }
+    return this._response;
+  }
+}
+
+/**
+ * Responses API class
+ */
+class Responses {
+  constructor(client) {
+    this.client=client;
+  }
+
+  /**
+   * Create a response
+   * @param {Object} params - Responses parameters
+   * @param {string|Array} params.input - Text, or message, function_call and function_call_output items
+   * @param {string} [params.instructions] - System instructions
+   * @param {string} [params.model] - Model to use (optional with ModelPilot routing)
+   * @param {number} [params.max_output_tokens] - Maximum tokens to generate
+   * @param {number} [params.temperature] - Sampling temperature
+   * @param {number} [params.top_p] - Nucleus sampling parameter
+   * @param {Array} [params.tools] - Function tools ({type: 'function', name, description, parameters})
+   * @param {string|Object} [params.tool_choice] - auto, none, required or {type: 'function', name}
+   * @param {Object} [params.text] - Output format, e.g. {format: {type: 'json_schema', name, schema}}
+   * @param {boolean} [params.stream] - Stream response events
+   * @param {Object} [options] - Per-request options
+   * @returns {Promise<Object|ResponseStream>} Response, or a stream of response events
+   */
+  async create(params,options={}) {
+    const chatParams=toChatParams(params);
+
+    if(params.stream) {
+      const stream=await this.client.chat.create({...chatParams,stream: true,stream_options: {include_usage: true}},options);
+      return new ResponseStream(stream,params);
+    }
+
+    const completion=await this.client.chat.create(chatParams,options);
+    return toResponse(completion,params);
+  }
+}
+
+module.exports={
+  Responses,
+  ResponseStream,
+  toResponse
+};
@@ -0,0 +1,175 @@
+/**
+ * ModelPilot Retry Policy
+ * Decides which failures are retried and how long to wait between attempts
+ */
+
+const INITIAL_RETRY_DELAY=1000;
+const MAX_RETRY_DELAY=10000;
+
+// Server-requested waits longer than this are not slept through; the error is surfaced instead
+const MAX_RETRY_AFTER=60000;
+
+const RETRYABLE_STATUSES=[408,409,429];
+
+/**
+ * Read a header case-insensitively from a plain object, AxiosHeaders or fetch Headers
+ * @param {Object} headers - Response headers
+ * @param {string} name - Header name
+ * @returns {string|null} Header value or null
+ */
+function getHeader(headers,name) {
+  if(!headers) {
+    return null;
+  }
+
+  if(typeof headers.get==='function') {
+    const value=headers.get(name);
+    if(value!==undefined&&value!==null) {
+      return String(value);
+    }
+  }
+
+  const lowerName=name.toLowerCase();
+  for(const key of Object.keys(headers)) {
+    if(key.toLowerCase()===lowerName&&headers[key]!==undefined&&headers[key]!==null) {
+      return String(headers[key]);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a duration such as "20ms", "1.5s" or "6m0s" into milliseconds
+ * @param {string} value - Duration string
+ * @returns {number|null} Milliseconds or null when not a duration
+ */
+function parseDuration(value) {
+  const pattern=/(\d+(?:\.\d+)?)(ms|h|m|s)/g;
+  let total=0;
+  let matched='';
+  let match;
+
+  while((match=pattern.exec(value))!==null) {
+    const amount=parseFloat(match[1]);
+    const unit={ms: 1,s: 1000,m: 60000,h: 3600000}[match[2]];
+    total+=amount*unit;
+    matched+=match[0];
+  }
+
+  return matched&&matched===value.trim()? total:null;
+}
+
+/**
+ * Parse Retry-After style headers
+ * @param {Object} headers - Response headers
+ * @returns {number|null} Milliseconds to wait, or null when the server did not say
+ */
+function parseRetryAfter(headers) {
+  const retryAfterMs=getHeader(headers,'retry-after-ms');
+  if(retryAfterMs!==null&&!isNaN(parseFloat(retryAfterMs))) {
+    return Math.max(0,parseFloat(retryAfterMs));
+  }
+
+  const retryAfter=getHeader(headers,'retry-after');
+  if(retryAfter===null) {
+    return null;
+  }
+
+  // Either delay-seconds or an HTTP date
+  if(/^\s*\d+(\.\d+)?\s*$/.test(retryAfter)) {
+    return parseFloat(retryAfter)*1000;
+  }
+
+  const date=Date.parse(retryAfter);
+  return isNaN(date)? null:Math.max(0,date-Date.now());
+}
+
+/**
+ * Parse a rate-limit reset header into a Date
+ * Accepts durations ("6m0s"), epoch seconds/milliseconds and seconds from now
+ * @private
+ */
+function parseReset(value,now) {
+  const duration=parseDuration(value);
+  if(duration!==null) {
+    return new Date(now+duration);
+  }
+
+  const number=parseFloat(value);
+  if(isNaN(number)) {
+    return null;
+  }
+
+  if(number>1e12) {
+    return new Date(number);
+  }
+  if(number>1e9) {
+    return new Date(number*1000);
+  }
+  return new Date(now+number*1000);
+}
+
+/**
+ * Parse x-ratelimit-* headers
+ * Both the plain (x-ratelimit-limit) and per-requests (x-ratelimit-limit-requests) forms are read
+ * @param {Object} headers - Response headers
+ * @returns {{limit: number|null, remaining: number|null, resetAt: Date|null}} Rate limit state
+ */
+function parseRateLimitHeaders(headers) {
+  const read=(name) => getHeader(headers,`${name}-requests`)??getHeader(headers,name);
+  const toNumber=(value) => (value===null||isNaN(parseFloat(value))? null:parseFloat(value));
+
+  const reset=read('x-ratelimit-reset');
+
+  return {
+    limit: toNumber(read('x-ratelimit-limit')),
+    remaining: toNumber(read('x-ratelimit-remaining')),
+    resetAt: reset===null? null:parseReset(reset,Date.now())
+  };
+}
+
+/**
+ * Whether a failed request should be retried
+ * Retries 408, 409, 429, 5xx, timeouts and connection failures; never user aborts
+ * @param {Error} error - Error thrown for the attempt
+ * @returns {boolean} True if the request may be retried
+ */
+function isRetryableError(error) {
+  if(!error||error.type==='user_abort') {
+    return false;
+  }
+
+  if(typeof error.status==='number') {
+    return RETRYABLE_STATUSES.includes(error.status)||error.status>=500;
+  }
+
+  return error.type==='connection_error'||error.type==='timeout_error';
+}
+
+/**
+ * Compute how long to wait before the next attempt
+ * Honors server-provided Retry-After, otherwise uses exponential backoff with full jitter
+ * @param {number} attempt - Zero-based attempt that just failed
+ * @param {Error} error - Error thrown for the attempt
+ * @returns {number|null} Milliseconds to wait, or null if the server asked for longer than we wait
+ */
+function calculateRetryDelay(attempt,error) {
+  const retryAfter=typeof error?.retryAfter==='number'? error.retryAfter:parseRetryAfter(error?.headers);
+
+  if(retryAfter!==null) {
+    return retryAfter<=MAX_RETRY_AFTER? retryAfter:null;
+  }
+
+  const ceiling=Math.min(INITIAL_RETRY_DELAY*Math.pow(2,attempt),MAX_RETRY_DELAY);
+  return Math.random()*ceiling;
+}
+
+module.exports={
+  getHeader,
+  parseDuration,
+  parseRetryAfter,
+  parseRateLimitHeaders,
+  isRetryableError,
+  calculateRetryDelay
+};
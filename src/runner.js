@@ -0,0 +1,238 @@
+/**
+ * ModelPilot Tool Runner
+ * Runs the call-model / execute-tools loop until the model produces a final answer
+ */
+
+const {EventEmitter}=require('./emitter');
+const {ModelPilotError,InvalidRequestError}=require('./errors');
+const {validateTools,linkAbortSignal}=require('./utils');
+
+const DEFAULT_MAX_ITERATIONS=10;
+
+/**
+ * Split runnable tools into API definitions and local implementations
+ * @param {Array} tools - Tools of the form {function, parse, handler}
+ * @returns {{definitions: Array, implementations: Object}} Tool definitions and handlers by name
+ */
+function prepareTools(tools) {
+  if(!Array.isArray(tools)||tools.length===0) {
+    throw new InvalidRequestError('tools must be a non-empty array','tools');
+  }
+
+  const definitions=tools.map(tool => ({type: tool?.type||'function',function: tool?.function}));
+  validateTools(definitions);
+
+  const implementations={};
+  for(const [index,tool] of tools.entries()) {
+    if(typeof tool.handler!=='function') {
+      throw new InvalidRequestError(`tools[${index}].handler must be a function`,'tools');
+    }
+
+    if(tool.parse!==undefined&&typeof tool.parse!=='function') {
+      throw new InvalidRequestError(`tools[${index}].parse must be a function`,'tools');
+    }
+
+    implementations[tool.function.name]={
+      parse: tool.parse||(args => (args? JSON.parse(args):{})),
+      handler: tool.handler
+    };
+  }
+
+  return {definitions,implementations};
+}
+
+/**
+ * Tool runner - emits message, toolCall, toolResult, content, chatCompletion, finalContent, error and end
+ */
+class ChatCompletionRunner extends EventEmitter {
+  /**
+   * @param {ChatCompletions} chat - Chat completions API used for each model call
+   * @param {Object} params - chat.create params plus runnable tools and maxIterations
+   * @param {Object} [options] - Request options passed to every chat.create call
+   */
+  constructor(chat,params,options={}) {
+    super();
+
+    const {tools,maxIterations=DEFAULT_MAX_ITERATIONS,...createParams}=params;
+    const {definitions,implementations}=prepareTools(tools);
+
+    if(typeof maxIterations!=='number'||maxIterations<1) {
+      throw new InvalidRequestError('maxIterations must be a positive number','maxIterations');
+    }
+
+    this.chat=chat;
+    this.options=options;
+    this.controller=new AbortController();
+    linkAbortSignal(this.controller,options.signal);
+
+    this.messages=[...(createParams.messages||[])];
+    this.chatCompletions=[];
+
+    this._params=createParams;
+    this._definitions=definitions;
+    this._implementations=implementations;
+    this._maxIterations=maxIterations;
+    this._finalContent=null;
+
+    // Start on the next tick so listeners registered right after runTools() see every event
+    this._done=Promise.resolve().then(() => this._run());
+    this._done.catch((error) => {
+      this.emit('error',error);
+    });
+  }
+
+  /**
+   * Abort the running model call and stop the loop
+   */
+  abort() {
+    this.controller.abort();
+  }
+
+  /**
+   * Wait for the loop to finish
+   * @returns {Promise<void>} Resolves when the model produced a final answer
+   */
+  async done() {
+    await this._done;
+  }
+
+  /**
+   * Get the content of the final assistant message
+   * @returns {Promise<string|null>} Final content
+   */
+  async finalContent() {
+    await this._done;
+    return this._finalContent;
+  }
+
+  /**
+   * Get the last chat completion returned by the model
+   * @returns {Promise<Object>} Final chat completion
+   */
+  async finalChatCompletion() {
+    await this._done;
+    return this.chatCompletions[this.chatCompletions.length-1];
+  }
+
+  /**
+   * Run the loop
+   * @private
+   */
+  async _run() {
+    for(let iteration=0;iteration<this._maxIterations;iteration++) {
+      const message=await this._callModel();
+      this._addMessage(message);
+
+      const toolCalls=message.tool_calls||[];
+      if(toolCalls.length===0) {
+        this._finalContent=message.content??null;
+        this.emit('finalContent',this._finalContent);
+        this.emit('end');
+        return;
+      }
+
+      // Run every requested tool in parallel, then append the results in call order
+      const results=await Promise.all(toolCalls.map(toolCall => this._runTool(toolCall)));
+      for(const result of results) {
+        this._addMessage(result);
+      }
+    }
+
+    throw new ModelPilotError(`runTools exceeded maxIterations (${this._maxIterations}) without a final response`,{
+      type: 'max_iterations_exceeded',
+      param: 'maxIterations'
+    });
+  }
+
+  /**
+   * Call the model once and return the assistant message
+   * @private
+   */
+  async _callModel() {
+    const params={
+      ...this._params,
+      messages: this.messages,
+      tools: this._definitions
+    };
+    const options={...this.options,signal: this.controller.signal};
+
+    if(params.stream) {
+      const stream=await this.chat.create(params,options);
+      let snapshot='';
+
+      for await(const chunk of stream) {
+        const delta=chunk.choices[0]?.delta?.content;
+        if(delta) {
+          snapshot+=delta;
+          this.emit('content',delta,snapshot);
+        }
+      }
+
+      const message=await stream.finalMessage();
+      this.chatCompletions.push({
+        id: stream.id,
+        object: 'chat.completion',
+        created: stream.created,
+        model: stream.model,
+        choices: [{index: 0,message,finish_reason: stream.finishReason}],
+        usage: stream.usage,
+        _meta: stream.meta
+      });
+      this.emit('chatCompletion',this.chatCompletions[this.chatCompletions.length-1]);
+      return message;
+    }
+
+    const completion=await this.chat.create(params,options);
+    this.chatCompletions.push(completion);
+    this.emit('chatCompletion',completion);
+
+    return completion.choices?.[0]?.message||{role: 'assistant',content: null};
+  }
+
+  /**
+   * Execute one tool call and build its tool message
+   * Failures are reported back to the model as the tool result so it can recover
+   * @private
+   */
+  async _runTool(toolCall) {
+    this.emit('toolCall',toolCall);
+
+    const name=toolCall.function?.name;
+    const implementation=this._implementations[name];
+    let content;
+    let error=null;
+
+    if(!implementation) {
+      error=new ModelPilotError(`Tool "${name}" is not defined`,{type: 'tool_not_found'});
+      content=`Error: ${error.message}. Available tools: ${Object.keys(this._implementations).join(', ')}`;
+    } else {
+      try {
+        const args=await implementation.parse(toolCall.function.arguments);
+        const result=await implementation.handler(args,{toolCall,runner: this});
+        content=typeof result==='string'? result:JSON.stringify(result??null);
+      } catch(caught) {
+        error=caught;
+        content=`Error: ${caught?.message||String(caught)}`;
+      }
+    }
+
+    const message={role: 'tool',tool_call_id: toolCall.id,content};
+    this.emit('toolResult',{toolCall,content,error});
+
+    return message;
+  }
+
+  /**
+   * Append a message to the conversation and emit it
+   * @private
+   */
+  _addMessage(message) {
+    this.messages.push(message);
+    this.emit('message',message);
+  }
+}
+
+module.exports={
+  ChatCompletionRunner,
+  prepareTools
+};
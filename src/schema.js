@@ -0,0 +1,210 @@
+/**
+ * ModelPilot JSON Schema support
+ * Validates structured outputs against JSON Schema or Zod schemas
+ */
+
+/**
+ * Whether a value is a Zod schema
+ * @param {*} schema - Candidate schema
+ * @returns {boolean} True for Zod (or Zod-compatible) schemas
+ */
+function isZodSchema(schema) {
+  return !!schema&&typeof schema.safeParse==='function';
+}
+
+/**
+ * Convert a Zod schema to JSON Schema for the request payload
+ * @param {Object} schema - Zod schema
+ * @returns {Object} JSON Schema
+ */
+function zodToJSONSchema(schema) {
+  if(typeof schema.toJSONSchema!=='function') {
+    throw new Error('Zod schemas require zod >= 4 (schema.toJSONSchema); pass a JSON Schema instead');
+  }
+
+  const jsonSchema=schema.toJSONSchema();
+  delete jsonSchema.$schema;
+  return jsonSchema;
+}
+
+/**
+ * Get the JSON type name of a value
+ * @private
+ */
+function typeOf(value) {
+  if(value===null) return 'null';
+  if(Array.isArray(value)) return 'array';
+  if(typeof value==='number'&&Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Whether a value matches a JSON Schema type name
+ * @private
+ */
+function matchesType(value,type) {
+  const actual=typeOf(value);
+  return actual===type||(type==='number'&&actual==='integer');
+}
+
+/**
+ * Resolve a local $ref such as "#/$defs/Address"
+ * @private
+ */
+function resolveRef(ref,root) {
+  if(!ref.startsWith('#')) {
+    throw new Error(`Only local $ref values are supported: ${ref}`);
+  }
+
+  return ref.slice(1).split('/').filter(Boolean).reduce((node,segment) => {
+    const key=segment.replace(/~1/g,'/').replace(/~0/g,'~');
+    if(!node||!(key in node)) {
+      throw new Error(`Unresolvable $ref: ${ref}`);
+    }
+    return node[key];
+  },root);
+}
+
+/**
+ * Collect validation errors for a value
+ * @private
+ */
+function collectErrors(value,schema,path,root,errors) {
+  if(schema===true||schema===undefined) {
+    return;
+  }
+  if(schema===false) {
+    errors.push(`${path} is not allowed`);
+    return;
+  }
+
+  if(schema.$ref) {
+    collectErrors(value,resolveRef(schema.$ref,root),path,root,errors);
+    return;
+  }
+
+  if(schema.nullable&&value===null) {
+    return;
+  }
+
+  if(schema.type!==undefined) {
+    const types=Array.isArray(schema.type)? schema.type:[schema.type];
+    if(!types.some(type => matchesType(value,type))) {
+      errors.push(`${path} must be of type ${types.join(' or ')}`);
+      return;
+    }
+  }
+
+  if(schema.const!==undefined&&JSON.stringify(value)!==JSON.stringify(schema.const)) {
+    errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if(Array.isArray(schema.enum)&&!schema.enum.some(option => JSON.stringify(option)===JSON.stringify(value))) {
+    errors.push(`${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if(typeof value==='string') {
+    if(schema.minLength!==undefined&&value.length<schema.minLength) errors.push(`${path} must have at least ${schema.minLength} characters`);
+    if(schema.maxLength!==undefined&&value.length>schema.maxLength) errors.push(`${path} must have at most ${schema.maxLength} characters`);
+    if(schema.pattern!==undefined&&!new RegExp(schema.pattern,'u').test(value)) errors.push(`${path} must match pattern ${schema.pattern}`);
+  }
+
+  if(typeof value==='number') {
+    if(schema.minimum!==undefined&&value<schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+    if(schema.maximum!==undefined&&value>schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+    if(typeof schema.exclusiveMinimum==='number'&&value<=schema.exclusiveMinimum) errors.push(`${path} must be > ${schema.exclusiveMinimum}`);
+    if(typeof schema.exclusiveMaximum==='number'&&value>=schema.exclusiveMaximum) errors.push(`${path} must be < ${schema.exclusiveMaximum}`);
+  }
+
+  if(Array.isArray(value)) {
+    if(schema.minItems!==undefined&&value.length<schema.minItems) errors.push(`${path} must have at least ${schema.minItems} items`);
+    if(schema.maxItems!==undefined&&value.length>schema.maxItems) errors.push(`${path} must have at most ${schema.maxItems} items`);
+    if(schema.items&&typeof schema.items==='object') {
+      value.forEach((item,index) => collectErrors(item,schema.items,`${path}[${index}]`,root,errors));
+    }
+  }
+
+  if(typeOf(value)==='object') {
+    const properties=schema.properties||{};
+
+    for(const key of schema.required||[]) {
+      if(!(key in value)) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+
+    for(const [key,propertyValue] of Object.entries(value)) {
+      if(key in properties) {
+        collectErrors(propertyValue,properties[key],`${path}.${key}`,root,errors);
+      } else if(schema.additionalProperties===false) {
+        errors.push(`${path}.${key} is not an allowed property`);
+      } else if(schema.additionalProperties&&typeof schema.additionalProperties==='object') {
+        collectErrors(propertyValue,schema.additionalProperties,`${path}.${key}`,root,errors);
+      }
+    }
+  }
+
+  if(Array.isArray(schema.allOf)) {
+    for(const subschema of schema.allOf) {
+      collectErrors(value,subschema,path,root,errors);
+    }
+  }
+
+  if(Array.isArray(schema.anyOf)&&!schema.anyOf.some(subschema => validateJSONSchema(value,subschema,root).length===0)) {
+    errors.push(`${path} must match at least one schema in anyOf`);
+  }
+
+  if(Array.isArray(schema.oneOf)) {
+    const matches=schema.oneOf.filter(subschema => validateJSONSchema(value,subschema,root).length===0).length;
+    if(matches!==1) {
+      errors.push(`${path} must match exactly one schema in oneOf`);
+    }
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * Supports the subset used for structured outputs: types, enum/const, properties, required,
+ * additionalProperties, items, string/number/array bounds, anyOf/oneOf/allOf and local $ref
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @param {Object} [root] - Root schema for $ref resolution (defaults to schema)
+ * @returns {Array<string>} Validation errors; empty when valid
+ */
+function validateJSONSchema(value,schema,root=schema) {
+  const errors=[];
+  collectErrors(value,schema,'$',root,errors);
+  return errors;
+}
+
+/**
+ * Validate a value against a JSON Schema or Zod schema
+ * @param {*} value - Parsed JSON value
+ * @param {Object} schema - JSON Schema or Zod schema
+ * @returns {{valid: boolean, value: *, errors: Array<string>}} Result; Zod transforms are applied to value
+ */
+function validateWithSchema(value,schema) {
+  if(isZodSchema(schema)) {
+    const result=schema.safeParse(value);
+    if(result.success) {
+      return {valid: true,value: result.data,errors: []};
+    }
+
+    const issues=result.error?.issues||[];
+    return {
+      valid: false,
+      value,
+      errors: issues.map(issue => `${['$',...issue.path].join('.')}: ${issue.message}`)
+    };
+  }
+
+  const errors=schema? validateJSONSchema(value,schema):[];
+  return {valid: errors.length===0,value,errors};
+}
+
+module.exports={
+  isZodSchema,
+  zodToJSONSchema,
+  validateJSONSchema,
+  validateWithSchema
+};
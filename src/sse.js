@@ -0,0 +1,228 @@
+/**
+ * ModelPilot Server-Sent Events decoder
+ * Implements the WHATWG event-stream parsing rules for streaming responses,
+ * plus newline-delimited JSON for streams re-encoded as NDJSON
+ */
+
+const {APIConnectionError}=require('./errors');
+
+/**
+ * Incremental Server-Sent Events decoder
+ * Feed it raw chunks as they arrive; it returns the events completed by each chunk
+ */
+class SSEDecoder {
+  constructor() {
+    this._textDecoder=new TextDecoder('utf-8');
+    this._buffer='';
+    this._trailingCR=false;
+    this._seenBOM=false;
+    this._data=[];
+    this._eventType='';
+    this._lastEventId='';
+    this._retry=null;
+
+    // Set by flush() when the stream ended in the middle of an event that carried data
+    this.truncated=false;
+  }
+
+  /**
+   * Decode a chunk of the stream
+   * @param {Uint8Array|Buffer|string} chunk - Raw chunk; bytes may split multi-byte characters
+   * @returns {Array<Object>} Events completed by this chunk ({event, data, id, retry})
+   */
+  decode(chunk) {
+    const text=typeof chunk==='string'? chunk:this._textDecoder.decode(chunk,{stream: true});
+    return this._processText(text);
+  }
+
+  /**
+   * Flush the decoder at the end of the stream
+   * Only a blank line dispatches an event, so a final event missing it is discarded.
+   * truncated is set when that event carried data; comments and a pending [DONE] lose nothing
+   * @returns {Array<Object>} Remaining events
+   */
+  flush() {
+    const events=this._processText(this._textDecoder.decode());
+
+    if(this._buffer) {
+      this._processLine(this._buffer,events);
+    }
+    this.truncated=this._data.length>0&&this._data.join('\n')!=='[DONE]';
+    this._buffer='';
+    this._data=[];
+    this._eventType='';
+
+    return events;
+  }
+
+  /**
+   * Split text into lines on CRLF, LF or CR and process each complete line
+   * @private
+   */
+  _processText(text) {
+    const events=[];
+
+    if(!this._seenBOM&&text) {
+      this._seenBOM=true;
+      if(text.charCodeAt(0)===0xFEFF) {
+        text=text.slice(1);
+      }
+    }
+
+    // A CR ending the previous chunk may be the first half of a CRLF
+    if(this._trailingCR&&text[0]==='\n') {
+      text=text.slice(1);
+    }
+    this._trailingCR=false;
+
+    let buffer=this._buffer+text;
+    let match;
+    const lineEnd=/\r\n|\r|\n/g;
+    let start=0;
+
+    while((match=lineEnd.exec(buffer))!==null) {
+      // A lone CR at the very end may still be followed by LF in the next chunk
+      if(match[0]==='\r'&&match.index===buffer.length-1) {
+        this._trailingCR=true;
+      }
+      this._processLine(buffer.slice(start,match.index),events);
+      start=lineEnd.lastIndex;
+    }
+
+    buffer=buffer.slice(start);
+    this._buffer=buffer;
+
+    return events;
+  }
+
+  /**
+   * Interpret a single line of the event stream
+   * @private
+   */
+  _processLine(line,events) {
+    if(line==='') {
+      this._dispatch(events);
+      return;
+    }
+
+    // Comment line, e.g. keep-alive pings
+    if(line[0]===':') {
+      return;
+    }
+
+    const colon=line.indexOf(':');
+    let field=line;
+    let value='';
+
+    if(colon!==-1) {
+      field=line.slice(0,colon);
+      value=line.slice(colon+1);
+      if(value[0]===' ') {
+        value=value.slice(1);
+      }
+    }
+
+    switch(field) {
+      case 'data':
+        this._data.push(value);
+        break;
+      case 'event':
+        this._eventType=value;
+        break;
+      case 'id':
+        if(!value.includes('\0')) {
+          this._lastEventId=value;
+        }
+        break;
+      case 'retry':
+        if(/^\d+$/.test(value)) {
+          this._retry=parseInt(value,10);
+        }
+        break;
+      default:
+        // Unknown fields are ignored
+        break;
+    }
+  }
+
+  /**
+   * Dispatch the pending event, if it carries any data
+   * @private
+   */
+  _dispatch(events) {
+    if(this._data.length>0) {
+      events.push({
+        event: this._eventType||'message',
+        data: this._data.join('\n'),
+        id: this._lastEventId,
+        retry: this._retry
+      });
+    }
+
+    this._data=[];
+    this._eventType='';
+  }
+}
+
+/**
+ * Iterate the Server-Sent Events of a byte stream
+ * Throws APIConnectionError when the stream ends in the middle of an event, unless it had already finished
+ * @param {AsyncIterable} stream - Stream of Buffer, Uint8Array or string chunks
+ * @param {Object} [options] - Iteration options
+ * @param {Function} [options.finished] - Returns true once the reader has everything it needs from the stream
+ * @returns {AsyncGenerator<Object>} Decoded events
+ */
+async function* iterateEvents(stream,{finished}={}) {
+  const decoder=new SSEDecoder();
+
+  for await(const chunk of stream) {
+    for(const event of decoder.decode(chunk)) {
+      yield event;
+    }
+  }
+
+  for(const event of decoder.flush()) {
+    yield event;
+  }
+
+  // A body cut off mid-frame lost data: report it like any other dropped connection
+  if(decoder.truncated&&!finished?.()) {
+    throw new APIConnectionError('Connection error: Stream ended in the middle of an event');
+  }
+}
+
+/**
+ * Iterate the lines of a newline-delimited JSON byte stream as message events
+ * @param {AsyncIterable} stream - Stream of Buffer, Uint8Array or string chunks
+ * @returns {AsyncGenerator<Object>} One {event, data} per non-empty line
+ */
+async function* iterateNDJSONEvents(stream) {
+  const decoder=new TextDecoder('utf-8');
+  let buffer='';
+
+  const toEvent=line => ({event: 'message',data: line.replace(/\r$/,'')});
+
+  for await(const chunk of stream) {
+    buffer+=typeof chunk==='string'? chunk:decoder.decode(chunk,{stream: true});
+
+    let newline;
+    while((newline=buffer.indexOf('\n'))!==-1) {
+      const line=buffer.slice(0,newline);
+      buffer=buffer.slice(newline+1);
+      if(line.trim()) {
+        yield toEvent(line);
+      }
+    }
+  }
+
+  buffer+=decoder.decode();
+  if(buffer.trim()) {
+    yield toEvent(buffer);
+  }
+}
+
+module.exports={
+  SSEDecoder,
+  iterateEvents,
+  iterateNDJSONEvents
+};
@@ -0,0 +1,234 @@
+/**
+ * ModelPilot testing helpers
+ * Record real request/response pairs, SSE streams included, to a fixture file and replay them offline
+ */
+
+const {ModelPilotError}=require('./errors');
+const {loadFS}=require('./utils');
+const {stableStringify}=require('./cache');
+
+// Bump when the fixture file layout changes
+const FIXTURE_VERSION=1;
+
+// End-of-stream marker of an SSE body
+const SSE_DONE=/^data: ?\[DONE\]\r?$/m;
+
+/**
+ * Whether a response body is still a stream
+ * @private
+ */
+function isStreamBody(data) {
+  return Boolean(data)&&typeof data!=='string'&&typeof data[Symbol.asyncIterator]==='function';
+}
+
+/**
+ * Request body as stored in a fixture; uploads and other raw bodies are left out and match on the URL alone
+ * @private
+ */
+function fixtureBody(body) {
+  if(body===undefined||body===null) {
+    return null;
+  }
+  if(typeof body==='string'||Array.isArray(body)||Object.getPrototypeOf(body)===Object.prototype) {
+    return JSON.parse(JSON.stringify(body));
+  }
+  return null;
+}
+
+/**
+ * Request as stored in a fixture: no headers, so API keys never end up in fixture files
+ * @private
+ */
+function fixtureRequest(request) {
+  return {
+    method: request.method,
+    url: request.url,
+    ...(request.params? {params: JSON.parse(JSON.stringify(request.params))}:{}),
+    body: fixtureBody(request.body)
+  };
+}
+
+/**
+ * Key two requests share when they would send the same thing: method, URL, query and normalized body
+ * @param {Object} request - Transport request, or the request of a fixture
+ * @returns {string} Match key
+ */
+function fixtureKey(request) {
+  const {method,url,params,body}=fixtureRequest(request);
+  return stableStringify([method.toUpperCase(),url,params||null,body]);
+}
+
+/**
+ * Read a fixture file
+ * @private
+ */
+async function readFixtureFile(path) {
+  const fs=await loadFS();
+  if(!fs) {
+    throw new Error('Reading fixtures from a path needs the Node fs module; pass fixtures instead');
+  }
+
+  let text;
+  try {
+    text=await fs.promises.readFile(path,'utf8');
+  } catch(error) {
+    if(error.code==='ENOENT') {
+      throw new ModelPilotError(`Fixture file ${path} does not exist; record it first with testing.record()`,{type: 'fixture_not_found'});
+    }
+    throw error;
+  }
+  return JSON.parse(text);
+}
+
+/**
+ * Check a fixture file and queue its fixtures by request, in recorded order
+ * @private
+ */
+function fixtureQueues(file,source) {
+  if(!file||!Array.isArray(file.fixtures)) {
+    throw new Error(`${source} is not a fixture file`);
+  }
+
+  const queues=new Map();
+  for(const fixture of file.fixtures) {
+    const key=fixtureKey(fixture.request);
+    if(!queues.has(key)) {
+      queues.set(key,{fixtures: [],served: 0});
+    }
+    queues.get(key).fixtures.push(fixture);
+  }
+  return queues;
+}
+
+/**
+ * Middleware that sends requests as usual and writes each request/response pair to a fixture file
+ * Streams are written once they have been read to the end, so the fixture holds every chunk;
+ * requests are stored without their headers
+ * @param {Object} options - Recording options
+ * @param {string} options.path - Fixture file to write (Node only); replaced on the first response
+ * @returns {Function} Middleware for client.use() or the middleware client option
+ */
+function record({path}={}) {
+  if(typeof path!=='string'||!path) {
+    throw new Error('path must be a non-empty string');
+  }
+
+  const fixtures=[];
+
+  const write=async () => {
+    const fs=await loadFS();
+    if(!fs) {
+      throw new Error('testing.record() needs the Node fs module');
+    }
+
+    const directory=path.replace(/[\\/][^\\/]*$/,'');
+    if(directory!==path) {
+      fs.mkdirSync(directory,{recursive: true});
+    }
+
+    // Streams still being read are written once they end
+    const file={version: FIXTURE_VERSION,fixtures: fixtures.filter(fixture => fixture.response)};
+    fs.writeFileSync(path,`${JSON.stringify(file,null,2)}\n`);
+  };
+
+  return async (request,next) => {
+    const response=await next();
+    if(!response||typeof response.status!=='number') {
+      return response;
+    }
+
+    // Slot taken now, so fixtures keep the order the responses arrived in
+    const fixture={request: fixtureRequest(request),response: null};
+    fixtures.push(fixture);
+
+    const meta={status: response.status,headers: {...response.headers}};
+    if(!isStreamBody(response.data)) {
+      fixture.response={...meta,body: response.data===undefined? null:response.data};
+      await write();
+      return response;
+    }
+
+    const source=response.data;
+    const recording=(async function* () {
+      const decoder=new TextDecoder();
+      const chunks=[];
+      let ended=false;
+
+      try {
+        for await(const chunk of source) {
+          chunks.push(typeof chunk==='string'? chunk:decoder.decode(chunk,{stream: true}));
+          yield chunk;
+        }
+        chunks.push(decoder.decode());
+        ended=true;
+      } finally {
+        // Readers stop at the [DONE] marker without draining the body; that still counts as complete
+        if(ended||SSE_DONE.test(chunks.join(''))) {
+          fixture.response={...meta,stream: chunks.filter(Boolean)};
+          await write();
+        }
+      }
+    })();
+
+    // Aborting the consumer still tears down the real connection
+    recording.destroy=(error) => source.destroy?.(error);
+
+    return {...response,data: recording};
+  };
+}
+
+/**
+ * Middleware that answers requests from a fixture file without touching the network
+ * Requests match on method, URL, query and normalized body (key order does not matter).
+ * Fixtures with the same request are served in recorded order, and the last one repeats;
+ * a request with no fixture throws. A fixture file is read on the first request
+ * @param {Object} options - Replay options
+ * @param {string} [options.path] - Fixture file written by record() (Node only)
+ * @param {Object} [options.fixtures] - Parsed fixture file, instead of path
+ * @returns {Function} Middleware for client.use() or the middleware client option
+ */
+function replay({path,fixtures}={}) {
+  if(!path&&!fixtures) {
+    throw new Error('path or fixtures is required');
+  }
+
+  // fs only loads asynchronously in the ES module build, so a file waits for the first request
+  let queues=fixtures? Promise.resolve(fixtureQueues(fixtures,path||'fixtures')):null;
+
+  const encoder=new TextEncoder();
+
+  return async (request) => {
+    queues=queues||readFixtureFile(path).then(file => fixtureQueues(file,path));
+    const queue=(await queues).get(fixtureKey(request));
+    if(!queue) {
+      const body=request.body===undefined? '':` ${JSON.stringify(fixtureBody(request.body))}`;
+      throw new ModelPilotError(`No fixture matches ${request.method} ${request.url}${body}${path? ` in ${path}`:''}; record it with testing.record()`,{
+        type: 'fixture_not_found'
+      });
+    }
+
+    const {response}=queue.fixtures[Math.min(queue.served,queue.fixtures.length-1)];
+    queue.served++;
+
+    if(!response.stream) {
+      return {status: response.status,headers: {...response.headers},data: JSON.parse(JSON.stringify(response.body))};
+    }
+
+    const chunks=response.stream;
+    return {
+      status: response.status,
+      headers: {...response.headers},
+      data: (async function* () {
+        for(const chunk of chunks) {
+          yield encoder.encode(chunk);
+        }
+      })()
+    };
+  };
+}
+
+module.exports={
+  record,
+  replay,
+  fixtureKey
+};
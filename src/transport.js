@@ -0,0 +1,228 @@
+/**
+ * ModelPilot HTTP transports
+ * A transport sends one HTTP request and resolves with {status, headers, data} for any
+ * HTTP status; it only throws when no response arrives (connection failure, timeout, abort).
+ * Streaming responses resolve with data as an async iterable of bytes.
+ */
+
+const {APIConnectionError,APITimeoutError,APIUserAbortError}=require('./errors');
+const {readBody,parseJSONBody}=require('./utils');
+
+/**
+ * Detect the JavaScript runtime
+ * @returns {string} node, bun, deno, edge or browser
+ */
+function detectRuntime() {
+  if(typeof globalThis.Deno!=='undefined') return 'deno';
+  if(typeof globalThis.Bun!=='undefined') return 'bun';
+  if(typeof globalThis.EdgeRuntime!=='undefined') return 'edge';
+  if(globalThis.navigator?.userAgent==='Cloudflare-Workers') return 'edge';
+  if(typeof process!=='undefined'&&process.versions?.node) return 'node';
+  if(typeof globalThis.window!=='undefined'||typeof globalThis.self!=='undefined') return 'browser';
+  return 'edge';
+}
+
+/**
+ * Join the base URL, endpoint and query parameters
+ * @private
+ */
+function buildURL(baseURL,url,params) {
+  const base=baseURL? baseURL.replace(/\/+$/,''):'';
+  const full=/^https?:\/\//i.test(url)? url:`${base}/${url.replace(/^\/+/,'')}`;
+
+  const query=Object.entries(params||{})
+    .filter(([,value]) => value!==undefined&&value!==null)
+    .map(([key,value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+    .join('&');
+
+  return query? `${full}${full.includes('?')? '&':'?'}${query}`:full;
+}
+
+/**
+ * Convert a fetch Headers object to a plain object with lowercase keys
+ * @private
+ */
+function headersToObject(headers) {
+  const result={};
+  if(headers&&typeof headers.forEach==='function') {
+    headers.forEach((value,key) => {
+      result[key.toLowerCase()]=value;
+    });
+  }
+  return result;
+}
+
+/**
+ * Whether a request body can be passed to fetch as-is
+ * @private
+ */
+function isRawBody(body) {
+  return typeof body==='string'||
+    (typeof Blob!=='undefined'&&body instanceof Blob)||
+    (typeof URLSearchParams!=='undefined'&&body instanceof URLSearchParams)||
+    (typeof ReadableStream!=='undefined'&&body instanceof ReadableStream)||
+    body instanceof ArrayBuffer||
+    ArrayBuffer.isView(body);
+}
+
+/**
+ * Iterate a WHATWG ReadableStream; runtimes without async-iterable streams are read through getReader()
+ * @param {ReadableStream} body - Response body
+ * @param {AbortSignal} [signal] - Cancels the body, even when the fetch implementation ignores its signal
+ * @returns {AsyncIterable<Uint8Array>} Body chunks
+ */
+async function* iterateReadableStream(body,signal) {
+  const reader=body.getReader();
+  const onAbort=() => {
+    reader.cancel().catch(() => {});
+  };
+  signal?.addEventListener('abort',onAbort,{once: true});
+
+  try {
+    for(;;) {
+      const {done,value}=await reader.read();
+      if(signal?.aborted) {
+        throw new APIUserAbortError();
+      }
+      if(done) {
+        return;
+      }
+      yield value;
+    }
+  } finally {
+    signal?.removeEventListener('abort',onAbort);
+    // Stopping early (break, abort, error) releases the connection
+    reader.cancel().catch(() => {});
+  }
+}
+
+/**
+ * Create a transport backed by an axios instance
+ * @param {Object} httpClient - Axios instance whose interceptors map network failures to ModelPilot errors
+ * @returns {Function} Transport
+ */
+function createAxiosTransport(httpClient) {
+  return async (request) => {
+    const response=await httpClient({
+      url: request.url,
+      method: request.method,
+      headers: request.headers,
+      data: request.body,
+      params: request.params,
+      timeout: request.timeout,
+      signal: request.signal,
+      responseType: request.stream? 'stream':'json',
+      // Status codes are mapped to errors by the client
+      validateStatus: () => true
+    });
+
+    return {
+      status: response.status,
+      headers: response.headers||{},
+      data: response.data
+    };
+  };
+}
+
+/**
+ * Create a transport backed by WHATWG fetch (browsers, Deno, Bun, Cloudflare Workers, Vercel Edge)
+ * @param {Object} [options] - Transport options
+ * @param {Function} [options.fetch] - fetch implementation (defaults to globalThis.fetch)
+ * @param {string} [options.baseURL] - Base URL for relative request URLs
+ * @returns {Function} Transport
+ */
+function createFetchTransport({fetch: fetchImpl,baseURL}={}) {
+  const doFetch=fetchImpl||(typeof fetch==='function'? fetch.bind(globalThis):null);
+  if(!doFetch) {
+    throw new Error('fetch is not available in this runtime. Pass a fetch implementation with the "fetch" option');
+  }
+
+  return async (request) => {
+    // Own controller so the timeout can cancel the request without touching the caller's signal
+    const controller=new AbortController();
+    const onAbort=() => controller.abort();
+    request.signal?.addEventListener('abort',onAbort,{once: true});
+    if(request.signal?.aborted) {
+      throw new APIUserAbortError();
+    }
+
+    let timedOut=false;
+    const timer=request.timeout? setTimeout(() => {
+      timedOut=true;
+      controller.abort();
+    },request.timeout):null;
+
+    const cleanup=() => {
+      clearTimeout(timer);
+      request.signal?.removeEventListener('abort',onAbort);
+    };
+
+    const headers={...request.headers};
+    let body=request.body;
+    if(typeof FormData!=='undefined'&&body instanceof FormData) {
+      // fetch sets the multipart content type, including its boundary
+      for(const key of Object.keys(headers)) {
+        if(key.toLowerCase()==='content-type') delete headers[key];
+      }
+    } else if(body!==undefined&&body!==null&&!isRawBody(body)) {
+      body=JSON.stringify(body);
+    }
+
+    let response;
+    let data;
+    try {
+      response=await doFetch(buildURL(baseURL,request.url,request.params),{
+        method: request.method,
+        headers,
+        body: body??undefined,
+        signal: controller.signal
+      });
+
+      if(request.stream&&response.ok&&response.body) {
+        // The timeout covers the wait for response headers, not the whole stream
+        clearTimeout(timer);
+        data=iterateReadableStream(response.body,controller.signal);
+      } else {
+        data=parseJSONBody(await response.text());
+        cleanup();
+      }
+    } catch(error) {
+      cleanup();
+
+      if(timedOut) {
+        throw new APITimeoutError(undefined,error);
+      }
+      if(request.signal?.aborted) {
+        throw new APIUserAbortError();
+      }
+      throw new APIConnectionError(`Connection error: ${error?.message||'No response received'}`,error);
+    }
+
+    return {
+      status: response.status,
+      headers: headersToObject(response.headers),
+      data
+    };
+  };
+}
+
+/**
+ * Read a response body that may still be a stream
+ * @param {*} data - Response data
+ * @returns {Promise<*>} Parsed body
+ */
+async function readResponseData(data) {
+  if(data&&typeof data!=='string'&&typeof data[Symbol.asyncIterator]==='function') {
+    return parseJSONBody(await readBody(data));
+  }
+  return data;
+}
+
+module.exports={
+  detectRuntime,
+  buildURL,
+  iterateReadableStream,
+  createAxiosTransport,
+  createFetchTransport,
+  readResponseData
+};
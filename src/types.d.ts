@@ -3,6 +3,8 @@
  * OpenAI-compatible types for intelligent model routing
  */
 
+import type { AxiosInstance } from 'axios';
+
 export interface ModelPilotConfig {
   /** ModelPilot API key (required) */
   apiKey: string;
@@ -16,13 +18,285 @@ export interface ModelPilotConfig {
   defaultHeaders?: Record<string, string>;
   /** Maximum number of retries */
   maxRetries?: number;
+  /** fetch implementation; requests go through fetch instead of axios */
+  fetch?: FetchLike;
+  /** Replaces the network layer (takes precedence over fetch) */
+  transport?: Transport;
+  /** Middleware to register, as with client.use() */
+  middleware?: Middleware[];
+  /** Client-side rate limit, or a TokenBucket shared with other clients */
+  rateLimit?: TokenBucketOptions | TokenBucket;
+  /** Routers or models chat completions fall back to, in order, when a request still fails after its retries */
+  fallbacks?: FallbackTarget[];
+  /** Fail fast on failing endpoints: true or breaker options, or a CircuitBreaker shared with other clients */
+  circuitBreaker?: boolean | CircuitBreakerOptions | CircuitBreaker;
+  /** Cache chat completions: true for an in-memory store, cache options, or a store such as a FileCacheStore */
+  cache?: boolean | ResponseCacheOptions | CacheStore;
+}
+
+/** Fallback entry: another router, another model, or both */
+export type FallbackTarget =
+  | { routerId: string; model?: string }
+  | { routerId?: string; model: string };
+
+export interface TokenBucketOptions {
+  /** Sustained request rate; unlimited when omitted */
+  requestsPerSecond?: number;
+  /** Requests allowed at once (defaults to requestsPerSecond) */
+  burst?: number;
+}
+
+/** Token bucket shared by every HTTP attempt; a 429 pauses it so parallel calls back off together */
+export class TokenBucket {
+  constructor(options?: TokenBucketOptions);
+
+  requestsPerSecond: number;
+  capacity: number;
+  tokens: number;
+  /** Epoch milliseconds until which acquire() waits */
+  pausedUntil: number;
+
+  /** Wait for a token and take it */
+  acquire(signal?: AbortSignal): Promise<void>;
+  /** Hold back every acquire() for a while */
+  pause(ms: number): void;
+}
+
+export interface CircuitBreakerOptions {
+  /** Failure rate (0-1] over the window that opens the circuit (default 0.5) */
+  failureThreshold?: number;
+  /** Requests in the window before the rate is considered (default 5) */
+  minimumRequests?: number;
+  /** Number of recent requests the rate is computed over (default 20) */
+  windowSize?: number;
+  /** Milliseconds the circuit stays open before trial requests (default 30000) */
+  cooldown?: number;
+  /** Trial requests that must succeed to close the circuit (default 1) */
+  halfOpenRequests?: number;
+}
+
+export type CircuitState = 'closed' | 'open' | 'half-open';
+
+export interface CircuitBreakerEvents {
+  stateChange: (change: { key: string; from: CircuitState; to: CircuitState }) => void;
+}
+
+/** Circuit breaker with one circuit per route; while open, requests throw CircuitOpenError without being sent */
+export interface CircuitBreaker extends TypedEventEmitter<CircuitBreakerEvents> {}
+export class CircuitBreaker {
+  constructor(options?: CircuitBreakerOptions);
+
+  /** Current state of a key's circuit */
+  state(key: string): CircuitState;
+  /** Let a request through or throw CircuitOpenError */
+  acquire(key: string): void;
+  /** Record the outcome of a request; pass the error for a failure */
+  record(key: string, error?: Error): void;
+  /** Close one circuit, or every circuit */
+  reset(key?: string): void;
+}
+
+/** Store behind the response cache; implement it to keep responses elsewhere, e.g. in Redis */
+export interface CacheStore {
+  /** Stored value, or undefined (or null) when missing or expired */
+  get(key: string): any | Promise<any>;
+  /** Store a value; ttl is in milliseconds, undefined for no expiry */
+  set(key: string, value: any, ttl?: number): void | Promise<void>;
+  delete?(key: string): void | Promise<void>;
+  clear?(): void | Promise<void>;
+}
+
+export interface MemoryCacheStoreOptions {
+  /** Entries kept before the least recently used is evicted (default 1000) */
+  maxEntries?: number;
+}
+
+/** In-memory store that evicts the least recently used entries */
+export class MemoryCacheStore implements CacheStore {
+  constructor(options?: MemoryCacheStoreOptions);
+
+  maxEntries: number;
+  /** Number of stored entries */
+  readonly size: number;
+
+  get(key: string): Promise<any>;
+  set(key: string, value: any, ttl?: number): Promise<void>;
+  delete(key: string): Promise<void>;
+  clear(): Promise<void>;
+}
+
+export interface FileCacheStoreOptions {
+  /** Directory for the entries; created when missing */
+  directory: string;
+}
+
+/** Store that keeps one JSON file per entry in a directory (Node only) */
+export class FileCacheStore implements CacheStore {
+  constructor(options: FileCacheStoreOptions);
+
+  directory: string;
+
+  get(key: string): Promise<any>;
+  set(key: string, value: any, ttl?: number): Promise<void>;
+  delete(key: string): Promise<void>;
+  clear(): Promise<void>;
+}
+
+export interface ResponseCacheOptions {
+  /** Where responses are kept (default: a MemoryCacheStore) */
+  store?: CacheStore;
+  /** Milliseconds entries live; forever when omitted */
+  ttl?: number;
+}
+
+/** Response cache of a client; store failures are treated as misses */
+export class ResponseCache {
+  constructor(options?: ResponseCacheOptions);
+
+  store: CacheStore;
+  ttl?: number;
+
+  get(key: string): Promise<ChatCompletionResponse | undefined>;
+  set(key: string, value: ChatCompletionResponse, ttl?: number): Promise<void>;
+}
+
+/** Any WHATWG-compatible fetch (globalThis.fetch, undici, node-fetch, ...) */
+export type FetchLike = (url: string, init?: any) => Promise<any>;
+
+export type Runtime = 'node' | 'bun' | 'deno' | 'edge' | 'browser';
+
+/** Request handed to a transport */
+export interface TransportRequest {
+  method: string;
+  /** Endpoint path, relative to the client's baseURL */
+  url: string;
+  headers: Record<string, string>;
+  body?: any;
+  params?: Record<string, any>;
+  /** Timeout in milliseconds */
+  timeout?: number;
+  signal?: AbortSignal;
+  /** Resolve with the body as a byte stream instead of parsed JSON */
+  stream: boolean;
+  /** Zero-based retry attempt */
+  attempt: number;
+}
+
+/** Response from a transport, for any HTTP status */
+export interface TransportResponse {
+  status: number;
+  headers: Record<string, string> | Headers;
+  /** Parsed body, or an async iterable of bytes for streaming requests */
+  data: any;
+}
+
+export type Transport = (request: TransportRequest) => Promise<TransportResponse>;
+
+/** Runs around every HTTP attempt; call next() (optionally with a changed request) and return its response */
+export type Middleware = (
+  request: TransportRequest,
+  next: (request?: TransportRequest) => Promise<TransportResponse>
+) => TransportResponse | Promise<TransportResponse>;
+
+/** Request/response pair in a fixture file; requests are stored without headers */
+export interface Fixture {
+  request: { method: string; url: string; params?: Record<string, any>; body: any };
+  /** body for plain responses, stream (the raw text chunks) for streaming ones */
+  response: { status: number; headers: Record<string, string>; body?: any; stream?: string[] };
+}
+
+export interface FixtureFile {
+  version: number;
+  fixtures: Fixture[];
+}
+
+/** Record/replay fixtures for testing apps built on the SDK without the network */
+export namespace testing {
+  /** Middleware that sends requests as usual and writes each pair, streams included, to a fixture file (Node only) */
+  function record(options: { path: string }): Middleware;
+  /** Middleware that answers requests from fixtures and throws on requests no fixture matches */
+  function replay(options: { path: string } | { fixtures: FixtureFile }): Middleware;
+  /** Key requests are matched on: method, URL, query and normalized body */
+  function fixtureKey(request: Pick<TransportRequest, 'method' | 'url' | 'params' | 'body'>): string;
+}
+
+// Message content parts
+export interface ChatCompletionContentPartText {
+  type: 'text';
+  /** Text content */
+  text: string;
 }
 
+export interface ChatCompletionContentPartImage {
+  type: 'image_url';
+  image_url: {
+    /** Image URL or base64 data URL */
+    url: string;
+    /** Level of detail the model should use */
+    detail?: 'auto' | 'low' | 'high';
+  };
+}
+
+export interface ChatCompletionContentPartInputAudio {
+  type: 'input_audio';
+  input_audio: {
+    /** Base64-encoded audio */
+    data: string;
+    /** Audio encoding */
+    format: 'wav' | 'mp3';
+  };
+}
+
+export interface ChatCompletionContentPartFile {
+  type: 'file';
+  file: {
+    /** ID of an uploaded file */
+    file_id?: string;
+    /** Base64 data URL of the file */
+    file_data?: string;
+    /** File name */
+    filename?: string;
+  };
+}
+
+export type ChatCompletionContentPart =
+  | ChatCompletionContentPartText
+  | ChatCompletionContentPartImage
+  | ChatCompletionContentPartInputAudio
+  | ChatCompletionContentPartFile;
+
+/** Local media: a file path (Node only), bytes or a Blob/File */
+export type MediaInput = string | Uint8Array | ArrayBuffer | Blob;
+
+export interface MediaPartOptions {
+  /** Size limit in bytes (20MB for images, 25MB for audio, 32MB for files) */
+  maxBytes?: number;
+}
+
+/** Build an image_url part with a base64 data URL; the MIME type is sniffed when omitted */
+export function toImagePart(
+  input: MediaInput,
+  mime?: string,
+  options?: MediaPartOptions & { detail?: 'auto' | 'low' | 'high' }
+): Promise<ChatCompletionContentPartImage>;
+
+/** Build an input_audio part from a WAV or MP3 file */
+export function toAudioPart(input: MediaInput, mime?: string, options?: MediaPartOptions): Promise<ChatCompletionContentPartInputAudio>;
+
+/** Build a file part (e.g. a PDF) with a base64 data URL */
+export function toFilePart(
+  input: MediaInput,
+  mime?: string,
+  options?: MediaPartOptions & { filename?: string }
+): Promise<ChatCompletionContentPartFile>;
+
+export type ChatRole = 'system' | 'user' | 'assistant' | 'function' | 'tool';
+
 export interface ChatMessage {
   /** The role of the message author */
-  role: 'system' | 'user' | 'assistant' | 'function' | 'tool';
+  role: ChatRole;
   /** The content of the message */
-  content?: string;
+  content?: string | ChatCompletionContentPart[] | null;
   /** The name of the function to call */
   name?: string;
   /** Function call information */
@@ -64,6 +338,28 @@ export interface Tool {
   function: FunctionDefinition;
 }
 
+export type ToolChoice =
+  | 'none'
+  | 'auto'
+  | 'required'
+  | { type: 'function'; function: { name: string } };
+
+export interface JSONSchemaDefinition {
+  /** Schema name */
+  name: string;
+  /** What the schema describes */
+  description?: string;
+  /** JSON Schema for the output */
+  schema?: Record<string, any>;
+  /** Whether the model must follow the schema exactly */
+  strict?: boolean;
+}
+
+export type ResponseFormat =
+  | { type: 'text' }
+  | { type: 'json_object' }
+  | { type: 'json_schema'; json_schema: JSONSchemaDefinition };
+
 export interface ChatCompletionCreateParams {
   /** Array of message objects */
   messages: ChatMessage[];
@@ -81,8 +377,12 @@ export interface ChatCompletionCreateParams {
   presence_penalty?: number;
   /** Stop sequences */
   stop?: string | string[];
+  /** Number of choices to generate */
+  n?: number;
   /** Enable streaming */
-  stream?: boolean;
+  stream?: boolean | null;
+  /** Streaming options */
+  stream_options?: { include_usage?: boolean };
   /** Function definitions (deprecated, use tools) */
   functions?: FunctionDefinition[];
   /** Function call behavior */
@@ -90,29 +390,107 @@ export interface ChatCompletionCreateParams {
   /** Tool definitions */
   tools?: Tool[];
   /** Tool choice behavior */
-  tool_choice?:
-    | 'none'
-    | 'auto'
-    | { type: 'function'; function: { name: string } };
+  tool_choice?: ToolChoice;
   /** Response format specification */
-  response_format?: { type: 'text' | 'json_object' };
+  response_format?: ResponseFormat;
   /** User identifier */
   user?: string;
 }
 
+export interface ChatCompletionCreateParamsNonStreaming extends ChatCompletionCreateParams {
+  stream?: false | null;
+}
+
+export interface ChatCompletionCreateParamsStreaming extends ChatCompletionCreateParams {
+  stream: true;
+}
+
+export interface RequestOptions {
+  /** Router to use for this call, overriding the client default */
+  routerId?: string;
+  /** Request timeout in milliseconds */
+  timeout?: number;
+  /** Maximum number of retries */
+  maxRetries?: number;
+  /** Extra headers for this call */
+  headers?: Record<string, string>;
+  /** Sent as the Idempotency-Key header on every attempt */
+  idempotencyKey?: string;
+  /** Signal to cancel the request, its pending retries or a running stream */
+  signal?: AbortSignal;
+}
+
+export interface ChatRequestOptions extends RequestOptions {
+  /** Overrides the client fallbacks for this call; [] disables them */
+  fallbacks?: FallbackTarget[];
+  /** false skips the client's response cache; {ttl} overrides its TTL in milliseconds */
+  cache?: boolean | { ttl?: number };
+}
+
+export interface StreamRequestOptions extends ChatRequestOptions {
+  /** Continue a stream that drops after content has arrived from the partial text (text-only, single choice) */
+  resumeStream?: boolean;
+}
+
+export interface APIRequestOptions extends Omit<RequestOptions, 'routerId'> {
+  /** HTTP method (default POST) */
+  method?: 'GET' | 'POST' | 'PUT' | 'PATCH' | 'DELETE';
+  /** Request body */
+  data?: any;
+  /** Query parameters */
+  params?: Record<string, any>;
+  /** Resolve with the response body as a byte stream */
+  stream?: boolean;
+}
+
+export type FinishReason =
+  | 'stop'
+  | 'length'
+  | 'function_call'
+  | 'tool_calls'
+  | 'content_filter'
+  | null;
+
 export interface ChatCompletionChoice {
   /** Choice index */
   index: number;
   /** Message content */
   message: ChatMessage;
   /** Finish reason */
-  finish_reason:
-    | 'stop'
-    | 'length'
-    | 'function_call'
-    | 'tool_calls'
-    | 'content_filter'
-    | null;
+  finish_reason: FinishReason;
+}
+
+// Structured outputs
+/** Any schema with Zod's safeParse/_output shape (zod >= 4 for JSON Schema conversion) */
+export interface ZodLikeSchema<T = any> {
+  safeParse(data: unknown): { success: boolean; data?: T; error?: any };
+  _output: T;
+}
+
+export interface ParseResponseFormatSchema<T = any> {
+  type: 'json_schema';
+  json_schema: Omit<JSONSchemaDefinition, 'schema'> & { schema?: Record<string, any> | ZodLikeSchema<T> };
+}
+
+export interface ChatCompletionParseParams<T = any> extends Omit<ChatCompletionCreateParamsNonStreaming, 'response_format' | 'stream'> {
+  /** Schema the output must satisfy: json_schema, json_object or a Zod schema */
+  response_format: ParseResponseFormatSchema<T> | { type: 'json_object' } | ZodLikeSchema<T>;
+  /** How many times to ask the model to fix invalid output (default 0) */
+  maxRepairAttempts?: number;
+  stream?: false | null;
+}
+
+export interface ParsedChatMessage<T> extends ChatMessage {
+  /** Validated output; null when the model refused */
+  parsed: T | null;
+}
+
+export interface ParsedChatCompletionChoice<T> extends ChatCompletionChoice {
+  message: ParsedChatMessage<T>;
+}
+
+export interface ParsedChatCompletion<T> extends ChatCompletionResponse {
+  choices: ParsedChatCompletionChoice<T>[];
 }
 
 export interface ChatCompletionUsage {
@@ -124,6 +502,38 @@ export interface ChatCompletionUsage {
   total_tokens: number;
 }
 
+/** ModelPilot routing metadata attached to responses as `_meta` */
+export interface ModelPilotMeta {
+  /** Server request ID */
+  requestId: string;
+  /** Model the router picked */
+  modelUsed: string;
+  /** Model initially selected, before any server-side fallback */
+  originalSelection: string;
+  /** Whether the router fell back to another model */
+  fallbackUsed: boolean;
+  /** Entry of the client-side fallback chain that answered: 0 for the request itself, 1 for the first fallback */
+  fallbackAttempt?: number;
+  /** Whether the response came from the client's response cache; set only when a cache is configured */
+  cached?: boolean;
+  /** Total tokens used */
+  tokensUsed: number;
+  /** Cost of the request in USD */
+  cost: number;
+  /** Latency in milliseconds */
+  latency: number;
+  /** Router mode that handled the request */
+  routerMode: string;
+  /** Confidence of the model selection */
+  confidence?: number;
+  /** Security checks applied to the request */
+  security: any;
+  /** Router features applied to the request */
+  features: any;
+  /** Any other metadata the router sends */
+  [key: string]: any;
+}
+
 export interface ChatCompletionResponse {
   /** Unique identifier */
   id: string;
@@ -138,20 +548,37 @@ export interface ChatCompletionResponse {
   /** Token usage */
   usage: ChatCompletionUsage;
   /** ModelPilot metadata */
-  _meta?: {
-    requestId: string;
-    modelUsed: string;
-    originalSelection: string;
-    fallbackUsed: boolean;
-    tokensUsed: number;
-    cost: number;
-    latency: number;
-    routerMode: string;
-    security: any;
-    features: any;
+  _meta?: ModelPilotMeta;
+}
+
+export interface ToolCallDelta {
+  /** Position of the tool call this fragment belongs to */
+  index: number;
+  /** Tool call ID (first fragment only) */
+  id?: string;
+  /** Tool call type (first fragment only) */
+  type?: 'function';
+  /** Function name and argument fragments */
+  function?: {
+    name?: string;
+    arguments?: string;
   };
 }
 
+export interface ChatCompletionDelta {
+  /** The role of the message author (first chunk only) */
+  role?: ChatRole;
+  /** Content fragment */
+  content?: string | null;
+  /** Legacy function call fragment */
+  function_call?: {
+    name?: string;
+    arguments?: string;
+  };
+  /** Indexed tool call fragments */
+  tool_calls?: ToolCallDelta[];
+}
+
 export interface ChatCompletionChunk {
   /** Unique identifier */
   id: string;
@@ -164,15 +591,22 @@ export interface ChatCompletionChunk {
   /** Completion choices */
   choices: Array<{
     index: number;
-    delta: Partial<ChatMessage>;
-    finish_reason:
-      | 'stop'
-      | 'length'
-      | 'function_call'
-      | 'tool_calls'
-      | 'content_filter'
-      | null;
+    delta: ChatCompletionDelta;
+    finish_reason: FinishReason;
   }>;
+  /** Token usage (final chunk, when requested with stream_options) */
+  usage?: ChatCompletionUsage | null;
+  /** ModelPilot metadata */
+  _meta?: Partial<ModelPilotMeta>;
+}
+
+export interface ParsedToolCall extends ToolCall {
+  function: {
+    name: string;
+    arguments: string;
+    /** Arguments parsed from JSON */
+    parsed_arguments: any;
+  };
 }
 
 export interface RouterConfig {
@@ -184,6 +618,8 @@ export interface RouterConfig {
   mode: 'smartRouter' | 'retrieval_based';
   /** Router configuration */
   config: any;
+  /** Router capabilities */
+  capabilities?: any;
   /** Whether router is active */
   isActive: boolean;
 }
@@ -208,42 +644,721 @@ export interface Model {
 
 // Error types
 export class ModelPilotError extends Error {
+  constructor(message: string, options?: { type?: string; code?: string; param?: string });
   type: string;
   code?: string;
-  param?: string;
+  param?: string | null;
 }
 
 export class APIError extends ModelPilotError {
+  constructor(message: string, status?: number, response?: any, headers?: Record<string, string> | null);
+  /** HTTP status (undefined for connection errors) */
   status: number;
+  /** Parsed response body */
   response?: any;
+  /** Response headers */
+  headers: Record<string, string>;
+  /** Server request ID (x-request-id header or _meta.requestId) */
+  requestId: string | null;
 }
 
-export class AuthenticationError extends APIError {}
-export class RateLimitError extends APIError {}
-export class InvalidRequestError extends APIError {}
-export class PermissionDeniedError extends APIError {}
-export class NotFoundError extends APIError {}
-export class ConflictError extends APIError {}
-export class UnprocessableEntityError extends APIError {}
-export class InternalServerError extends APIError {}
+export class AuthenticationError extends APIError {
+  constructor(message: string, response?: any, headers?: Record<string, string> | null);
+}
+
+export class RateLimitError extends APIError {
+  constructor(message: string, response?: any, headers?: Record<string, string> | null);
+  /** Milliseconds to wait before retrying, when known */
+  retryAfter: number | null;
+  /** Request limit for the current window */
+  limit: number | null;
+  /** Requests remaining in the current window */
+  remaining: number | null;
+  /** When the current window resets */
+  resetAt: Date | null;
+}
+
+export class InvalidRequestError extends APIError {
+  constructor(message: string, param?: string | null, response?: any, headers?: Record<string, string> | null);
+}
+
+export class PermissionDeniedError extends APIError {
+  constructor(message: string, response?: any, headers?: Record<string, string> | null);
+}
+
+export class NotFoundError extends APIError {
+  constructor(message: string, response?: any, headers?: Record<string, string> | null);
+}
+
+export class ConflictError extends APIError {
+  constructor(message: string, response?: any, headers?: Record<string, string> | null);
+}
+
+export class UnprocessableEntityError extends APIError {
+  constructor(message: string, response?: any, headers?: Record<string, string> | null);
+}
+
+export class InternalServerError extends APIError {
+  constructor(message: string, response?: any, headers?: Record<string, string> | null, status?: number);
+}
+
+export class APIConnectionError extends APIError {
+  constructor(message?: string, cause?: any);
+  /** Underlying network error */
+  cause?: any;
+}
+
+export class APITimeoutError extends APIConnectionError {}
+
+export class APIUserAbortError extends ModelPilotError {
+  constructor(message?: string);
+}
+
+export class CircuitOpenError extends ModelPilotError {
+  constructor(key: string, retryAfter?: number | null);
+  /** Circuit key, the endpoint of the request */
+  key: string;
+  /** Milliseconds until trial requests are let through, when known */
+  retryAfter: number | null;
+}
+
+export class ContentParseError extends ModelPilotError {
+  constructor(message: string, details?: { content?: string | null; errors?: string[]; completion?: ChatCompletionResponse | null });
+  /** Raw content returned by the model */
+  content: string | null;
+  /** JSON or schema validation errors */
+  errors: string[];
+  /** Completion that failed to parse */
+  completion: ChatCompletionResponse | null;
+}
 
 // Chat completions stream
-export class ChatCompletionStream {
-  [Symbol.asyncIterator](): AsyncIterableIterator<ChatCompletionChunk>;
+export interface ChatCompletionStreamEvents {
+  chunk: (chunk: ChatCompletionChunk) => void;
+  /** Text delta of the first choice and the text so far */
+  content: (delta: string, snapshot: string) => void;
+  /** A tool call of the first choice whose arguments are complete */
+  toolCall: (toolCall: ToolCall) => void;
+  /** The stream dropped and is being reopened; content is the partial text it continues from ('' for a plain retry) */
+  reconnect: (event: StreamReconnectEvent) => void;
+  error: (error: Error) => void;
+  end: () => void;
+}
+
+export interface StreamReconnectEvent {
+  /** Reconnect number, starting at 1 */
+  attempt: number;
+  /** Failure that dropped the stream */
+  error: Error;
+  content: string;
+}
+
+/** Wire format of a re-encoded stream: Server-Sent Events or newline-delimited JSON */
+export type StreamFormat = 'sse' | 'ndjson';
+
+export interface StreamFormatOptions {
+  /** Defaults to sse */
+  format?: StreamFormat;
+}
+
+/** The parts of a Node ServerResponse that pipeTo() uses */
+export interface StreamResponseLike {
+  write(chunk: string): boolean;
+  end(): unknown;
+  on(event: 'close' | 'drain', listener: () => void): unknown;
+  once(event: 'close' | 'drain', listener: () => void): unknown;
+  off?(event: 'close' | 'drain', listener: () => void): unknown;
+  setHeader?(name: string, value: string): unknown;
+  flushHeaders?(): void;
+  headersSent?: boolean;
+}
+
+export interface ChatCompletionStream extends TypedEventEmitter<ChatCompletionStreamEvents> {}
+export class ChatCompletionStream implements AsyncIterable<ChatCompletionChunk> {
+  constructor(stream: AsyncIterable<Uint8Array | string>, controller?: AbortController, options?: StreamFormatOptions);
+
+  /** Rebuild a stream from a body produced by toReadableStream() or pipeTo() */
+  static fromReadableStream(body: ReadableStream<Uint8Array> | AsyncIterable<Uint8Array | string>, options?: StreamFormatOptions): ChatCompletionStream;
+  /** Replay a complete chat completion as a stream, e.g. one served from the response cache */
+  static fromChatCompletion(completion: ChatCompletionResponse): ChatCompletionStream;
+
+  /** Wire format of the body */
+  format: StreamFormat;
+
+  /** Upstream completion ID */
+  id: string | null;
+  /** Model the router selected */
+  model: string | null;
+  /** Creation timestamp */
+  created: number | null;
+  /** Token usage, once the final chunk has arrived */
+  usage: ChatCompletionUsage | null;
+  /** ModelPilot routing metadata, once received */
+  meta: Partial<ModelPilotMeta> | null;
+  /** Finish reason of the first choice */
+  readonly finishReason: FinishReason;
+  /** Controller that cancels the underlying request */
+  controller: AbortController;
+
+  /** Abort the stream and tear down the connection */
+  abort(): void;
+  /** Iterate the chunks; a stream can only be iterated once */
+  [Symbol.asyncIterator](): AsyncIterator<ChatCompletionChunk>;
+  /** Wait until the stream has been read to the end, reading it if nobody is iterating it */
+  done(): Promise<void>;
+  /** Split into two streams that each see every chunk; the branches keep meta but do not reconnect, resume or fall back */
+  tee(): [ChatCompletionStream, ChatCompletionStream];
+  /** Re-encode as a ReadableStream of bytes, e.g. to return from a route handler */
+  toReadableStream(options?: StreamFormatOptions): ReadableStream<Uint8Array>;
+  /** Write to a Node ServerResponse; aborts the stream if the client disconnects */
+  pipeTo(res: StreamResponseLike, options?: StreamFormatOptions): Promise<void>;
+  /** Collect every chunk */
   toArray(): Promise<ChatCompletionChunk[]>;
+  /** Collect the completion text */
+  getText(): Promise<string>;
+  /** Assistant message assembled from the streamed deltas */
+  finalMessage(choiceIndex?: number): Promise<ChatMessage>;
+  /** Response a non-streaming request would have returned */
+  finalChatCompletion(): Promise<ChatCompletionResponse>;
+  /** Assemble streamed tool call fragments */
+  getToolCalls(choiceIndex?: number): Promise<ParsedToolCall[]>;
+}
+
+// Tool runner
+export interface RunnableTool<Args = any> {
+  /** Tool type */
+  type?: 'function';
+  /** Function definition sent to the model */
+  function: FunctionDefinition;
+  /** Parse the raw JSON arguments (defaults to JSON.parse) */
+  parse?: (args: string) => Args | Promise<Args>;
+  /** Run the tool; non-string results are JSON-encoded */
+  handler: (args: Args, context: { toolCall: ToolCall; runner: ChatCompletionRunner }) => unknown | Promise<unknown>;
+}
+
+export interface RunToolsParams extends Omit<ChatCompletionCreateParams, 'tools' | 'functions' | 'function_call'> {
+  /** Tools the model may call, with their local implementations */
+  tools: RunnableTool[];
+  /** Maximum number of model calls (default 10) */
+  maxIterations?: number;
+}
+
+export interface ToolResultEvent {
+  toolCall: ToolCall;
+  /** Content sent back to the model */
+  content: string;
+  /** Error thrown by the tool, if any */
+  error: any;
+}
+
+export interface ChatCompletionRunnerEvents {
+  message: (message: ChatMessage) => void;
+  toolCall: (toolCall: ToolCall) => void;
+  toolResult: (result: ToolResultEvent) => void;
+  content: (delta: string, snapshot: string) => void;
+  chatCompletion: (completion: ChatCompletionResponse) => void;
+  finalContent: (content: string | null) => void;
+  error: (error: Error) => void;
+  end: () => void;
+}
+
+/** Event listener methods shared by the runner and streams */
+export interface TypedEventEmitter<Events extends { [E in keyof Events]: (...args: any[]) => void }> {
+  on<E extends keyof Events>(event: E, listener: Events[E]): this;
+  once<E extends keyof Events>(event: E, listener: Events[E]): this;
+  off<E extends keyof Events>(event: E, listener: Events[E]): this;
+  emit<E extends keyof Events>(event: E, ...args: Parameters<Events[E]>): boolean;
+  listenerCount(event: keyof Events): number;
+}
+
+export interface ChatCompletionRunner extends TypedEventEmitter<ChatCompletionRunnerEvents> {}
+export class ChatCompletionRunner {
+  /** Conversation so far, including tool calls and results */
+  messages: ChatMessage[];
+  /** Every completion returned by the model */
+  chatCompletions: ChatCompletionResponse[];
+  /** Controller that cancels the running model call */
+  controller: AbortController;
+
+  /** Abort the running model call and stop the loop */
+  abort(): void;
+  /** Wait for the loop to finish */
+  done(): Promise<void>;
+  /** Content of the final assistant message */
+  finalContent(): Promise<string | null>;
+  /** Last completion returned by the model */
+  finalChatCompletion(): Promise<ChatCompletionResponse>;
+}
+
+// Embeddings API
+export interface EmbeddingCreateParams {
+  /** Text, array of texts, token array or array of token arrays */
+  input: string | string[] | number[] | number[][];
+  /** Model to use (optional with ModelPilot routing) */
+  model?: string;
+  /** Number of dimensions of the output vectors */
+  dimensions?: number;
+  /** float (default) or base64; base64 vectors are decoded into Float32Array */
+  encoding_format?: 'float' | 'base64';
+  /** User identifier */
+  user?: string;
+}
+
+export interface Embedding<Vector = number[]> {
+  object: 'embedding';
+  /** Position of the input this vector belongs to */
+  index: number;
+  embedding: Vector;
+}
+
+export interface CreateEmbeddingResponse<Vector = number[]> {
+  object: 'list';
+  /** One vector per input, in input order */
+  data: Embedding<Vector>[];
+  /** Model used */
+  model: string;
+  /** Token usage */
+  usage: { prompt_tokens: number; total_tokens: number };
+  /** ModelPilot metadata, including cost */
+  _meta?: ModelPilotMeta;
+}
+
+export class Embeddings {
+  constructor(client: ModelPilot);
+
+  create(
+    params: EmbeddingCreateParams & { encoding_format: 'base64' },
+    options?: RequestOptions
+  ): Promise<CreateEmbeddingResponse<Float32Array>>;
+  create(
+    params: EmbeddingCreateParams & { encoding_format?: 'float' },
+    options?: RequestOptions
+  ): Promise<CreateEmbeddingResponse>;
+  create(
+    params: EmbeddingCreateParams,
+    options?: RequestOptions
+  ): Promise<CreateEmbeddingResponse<number[] | Float32Array>>;
+}
+
+// Legacy completions API
+export interface CompletionCreateParams {
+  /** Prompt, or prompts (one router request each) */
+  prompt: string | string[];
+  /** Model to use (optional with ModelPilot routing) */
+  model?: string;
+  /** Maximum tokens to generate */
+  max_tokens?: number;
+  /** Sampling temperature (0-2) */
+  temperature?: number;
+  /** Nucleus sampling parameter (0-1) */
+  top_p?: number;
+  /** Frequency penalty (-2 to 2) */
+  frequency_penalty?: number;
+  /** Presence penalty (-2 to 2) */
+  presence_penalty?: number;
+  /** Completions per prompt */
+  n?: number;
+  /** Stop sequences */
+  stop?: string | string[];
+  /** Prefix the completion with the prompt */
+  echo?: boolean;
+  /** User identifier */
+  user?: string;
+  /** Enable streaming (single prompt only) */
+  stream?: boolean | null;
+}
+
+export interface CompletionCreateParamsNonStreaming extends CompletionCreateParams {
+  stream?: false | null;
+}
+
+export interface CompletionCreateParamsStreaming extends CompletionCreateParams {
+  prompt: string;
+  stream: true;
+}
+
+export interface CompletionChoice {
+  index: number;
+  text: string;
+  /** Always null; logprobs are not supported */
+  logprobs: null;
+  finish_reason: FinishReason;
+}
+
+export interface Completion {
+  id: string;
+  object: 'text_completion';
+  created: number;
+  model: string;
+  choices: CompletionChoice[];
+  /** Token usage (summed over prompts) */
+  usage?: ChatCompletionUsage;
+  /** ModelPilot metadata (cost summed over prompts) */
+  _meta?: ModelPilotMeta;
+}
+
+export interface CompletionChunk extends Omit<Completion, 'usage' | '_meta'> {
+  usage?: ChatCompletionUsage;
+  _meta?: Partial<ModelPilotMeta>;
+}
+
+export class TextCompletionStream implements AsyncIterable<CompletionChunk> {
+  constructor(stream: ChatCompletionStream, prompt: string, echo?: boolean);
+
+  /** Underlying chat completion stream */
+  stream: ChatCompletionStream;
+  /** Controller that cancels the underlying request */
+  controller: AbortController;
+
+  /** Abort the stream and tear down the connection */
+  abort(): void;
+  [Symbol.asyncIterator](): AsyncIterator<CompletionChunk>;
+  /** Collect every chunk */
+  toArray(): Promise<CompletionChunk[]>;
+  /** Collect the completion text */
   getText(): Promise<string>;
 }
 
+export class Completions {
+  constructor(client: ModelPilot);
+
+  create(params: CompletionCreateParamsNonStreaming, options?: RequestOptions): Promise<Completion>;
+  create(params: CompletionCreateParamsStreaming, options?: RequestOptions): Promise<TextCompletionStream>;
+  create(params: CompletionCreateParams, options?: RequestOptions): Promise<Completion | TextCompletionStream>;
+}
+
+// Responses API
+export type ResponseInputContent =
+  | { type: 'input_text'; text: string }
+  | { type: 'input_image'; image_url: string; detail?: 'auto' | 'low' | 'high' }
+  | { type: 'output_text'; text: string }
+  | { type: 'refusal'; refusal: string };
+
+export type ResponseInputItem =
+  | { type?: 'message'; role: 'user' | 'assistant' | 'system' | 'developer'; content: string | ResponseInputContent[] }
+  | { type: 'function_call'; call_id: string; name: string; arguments: string }
+  | { type: 'function_call_output'; call_id: string; output: string | Record<string, any> };
+
+export interface ResponseFunctionTool {
+  type: 'function';
+  name: string;
+  description?: string;
+  parameters?: Record<string, any>;
+  strict?: boolean;
+}
+
+export interface ResponseCreateParams {
+  /** Text, or message, function_call and function_call_output items */
+  input: string | ResponseInputItem[];
+  /** System instructions */
+  instructions?: string;
+  /** Model to use (optional with ModelPilot routing) */
+  model?: string;
+  /** Maximum tokens to generate */
+  max_output_tokens?: number;
+  /** Sampling temperature (0-2) */
+  temperature?: number;
+  /** Nucleus sampling parameter (0-1) */
+  top_p?: number;
+  /** Function tools */
+  tools?: ResponseFunctionTool[];
+  /** Tool choice behavior */
+  tool_choice?: 'none' | 'auto' | 'required' | { type: 'function'; name: string };
+  /** Output format */
+  text?: {
+    format:
+      | { type: 'text' }
+      | { type: 'json_object' }
+      | ({ type: 'json_schema' } & JSONSchemaDefinition);
+  };
+  /** User identifier */
+  user?: string;
+  /** Stream response events */
+  stream?: boolean | null;
+}
+
+export interface ResponseCreateParamsNonStreaming extends ResponseCreateParams {
+  stream?: false | null;
+}
+
+export interface ResponseCreateParamsStreaming extends ResponseCreateParams {
+  stream: true;
+}
+
+export interface ResponseOutputMessage {
+  type: 'message';
+  id: string;
+  status: 'in_progress' | 'completed';
+  role: 'assistant';
+  content: Array<{ type: 'output_text'; text: string; annotations: any[] } | { type: 'refusal'; refusal: string }>;
+}
+
+export interface ResponseFunctionCall {
+  type: 'function_call';
+  id: string;
+  call_id: string;
+  name: string;
+  arguments: string;
+  status: 'in_progress' | 'completed';
+}
+
+export type ResponseOutputItem = ResponseOutputMessage | ResponseFunctionCall;
+
+export interface Response {
+  id: string;
+  object: 'response';
+  created_at: number;
+  model: string;
+  status: 'completed' | 'incomplete';
+  incomplete_details: { reason: 'max_output_tokens' | 'content_filter' } | null;
+  instructions: string | null;
+  output: ResponseOutputItem[];
+  /** Text of the assistant message */
+  output_text: string;
+  usage: { input_tokens: number; output_tokens: number; total_tokens: number } | null;
+  /** ModelPilot metadata */
+  _meta?: ModelPilotMeta;
+}
+
+export type ResponseStreamEvent = { sequence_number: number } & (
+  | { type: 'response.created'; response: Pick<Response, 'id' | 'object' | 'created_at' | 'model' | 'output'> & { status: 'in_progress' } }
+  | { type: 'response.output_item.added'; output_index: number; item: ResponseOutputItem }
+  | { type: 'response.output_text.delta'; item_id: string; output_index: number; content_index: number; delta: string }
+  | { type: 'response.function_call_arguments.delta'; item_id: string; output_index: number; delta: string }
+  | { type: 'response.output_item.done'; output_index: number; item: ResponseOutputItem }
+  | { type: 'response.completed' | 'response.incomplete'; response: Response }
+);
+
+export class ResponseStream implements AsyncIterable<ResponseStreamEvent> {
+  constructor(stream: ChatCompletionStream, params?: ResponseCreateParams);
+
+  /** Underlying chat completion stream */
+  stream: ChatCompletionStream;
+  /** Controller that cancels the underlying request */
+  controller: AbortController;
+
+  /** Abort the stream and tear down the connection */
+  abort(): void;
+  [Symbol.asyncIterator](): AsyncIterator<ResponseStreamEvent>;
+  /** Completed response, consuming the stream if needed */
+  finalResponse(): Promise<Response>;
+}
+
+export class Responses {
+  constructor(client: ModelPilot);
+
+  create(params: ResponseCreateParamsNonStreaming, options?: RequestOptions): Promise<Response>;
+  create(params: ResponseCreateParamsStreaming, options?: RequestOptions): Promise<ResponseStream>;
+  create(params: ResponseCreateParams, options?: RequestOptions): Promise<Response | ResponseStream>;
+}
+
+// Files
+export type FilePurpose = 'assistants' | 'batch' | 'fine-tune' | 'vision' | 'user_data' | 'evals';
+
+export interface FileCreateParams {
+  /** File path (Node only), bytes or Blob/File; up to 512MB */
+  file: MediaInput;
+  purpose: FilePurpose;
+  /** File name (defaults to the path's or File's name) */
+  filename?: string;
+  /** MIME type (detected from the contents or name when omitted) */
+  contentType?: string;
+}
+
+export interface FileListParams {
+  purpose?: FilePurpose;
+  limit?: number;
+  /** Cursor: ID of the last file of the previous page */
+  after?: string;
+  order?: 'asc' | 'desc';
+}
+
+export interface FileObject {
+  id: string;
+  object: 'file';
+  /** Size in bytes */
+  bytes: number;
+  created_at: number;
+  filename: string;
+  purpose: FilePurpose;
+  status?: string;
+  expires_at?: number | null;
+}
+
+export interface FileList {
+  object: 'list';
+  data: FileObject[];
+  has_more: boolean;
+  first_id?: string;
+  last_id?: string;
+}
+
+export interface FileDeleted {
+  id: string;
+  object: 'file';
+  deleted: boolean;
+}
+
+export class FileContent implements AsyncIterable<Uint8Array> {
+  constructor(body: AsyncIterable<any>, controller?: AbortController);
+
+  /** Response body stream */
+  body: AsyncIterable<any>;
+  /** Controller that cancels the underlying request */
+  controller: AbortController;
+
+  /** Abort the download and tear down the connection */
+  abort(): void;
+  [Symbol.asyncIterator](): AsyncIterator<Uint8Array>;
+  /** Read the whole file into memory */
+  bytes(): Promise<Uint8Array>;
+  /** Read the whole file as UTF-8 text */
+  text(): Promise<string>;
+}
+
+export class Files {
+  constructor(client: ModelPilot);
+
+  /** Upload a file as multipart form data */
+  create(params: FileCreateParams, options?: Omit<RequestOptions, 'routerId'>): Promise<FileObject>;
+  list(params?: FileListParams, options?: Omit<RequestOptions, 'routerId'>): Promise<FileList>;
+  retrieve(fileId: string, options?: Omit<RequestOptions, 'routerId'>): Promise<FileObject>;
+  /** Download a file's contents as a stream */
+  content(fileId: string, options?: Omit<RequestOptions, 'routerId'>): Promise<FileContent>;
+  del(fileId: string, options?: Omit<RequestOptions, 'routerId'>): Promise<FileDeleted>;
+}
+
+// Batches
+export type BatchStatus =
+  | 'validating'
+  | 'failed'
+  | 'in_progress'
+  | 'finalizing'
+  | 'completed'
+  | 'expired'
+  | 'cancelling'
+  | 'cancelled';
+
+export interface BatchRequest extends ChatCompletionCreateParamsNonStreaming {
+  /** Key for matching the result (defaults to request-<index>) */
+  custom_id?: string;
+}
+
+export interface BatchCreateParams {
+  /** chat.create parameters; built into JSONL, validated and uploaded */
+  requests?: BatchRequest[];
+  /** ID of an uploaded JSONL file with purpose batch */
+  input_file_id?: string;
+  completion_window?: '24h';
+  metadata?: Record<string, string>;
+}
+
+export interface Batch {
+  id: string;
+  object: 'batch';
+  endpoint: string;
+  input_file_id: string;
+  completion_window: string;
+  status: BatchStatus;
+  output_file_id: string | null;
+  error_file_id: string | null;
+  created_at?: number;
+  completed_at?: number | null;
+  request_counts?: { total: number; completed: number; failed: number };
+  metadata?: Record<string, string> | null;
+  errors?: { data: Array<{ code: string; message: string; line?: number | null }> } | null;
+}
+
+export interface BatchList {
+  object: 'list';
+  data: Batch[];
+  has_more: boolean;
+  first_id?: string;
+  last_id?: string;
+}
+
+export interface BatchResult {
+  custom_id: string;
+  /** HTTP status of the request, or null when it never ran */
+  status_code: number | null;
+  /** Chat completion, when the request succeeded */
+  completion: ChatCompletionResponse | null;
+  /** Error mapped from the status code, or the batch error */
+  error: ModelPilotError | null;
+}
+
+export interface BatchPollOptions extends RequestOptions {
+  /** Milliseconds between status checks (default 5000) */
+  pollInterval?: number;
+}
+
+export class Batches {
+  constructor(client: ModelPilot);
+
+  create(params: BatchCreateParams, options?: RequestOptions): Promise<Batch>;
+  retrieve(batchId: string, options?: Omit<RequestOptions, 'routerId'>): Promise<Batch>;
+  list(params?: { limit?: number; after?: string }, options?: Omit<RequestOptions, 'routerId'>): Promise<BatchList>;
+  /** Cancel a batch; requests already running still finish */
+  cancel(batchId: string, options?: Omit<RequestOptions, 'routerId'>): Promise<Batch>;
+  /** Wait until the batch completes, fails, expires or is cancelled */
+  poll(batchId: string, options?: BatchPollOptions): Promise<Batch>;
+  createAndPoll(params: BatchCreateParams, options?: BatchPollOptions): Promise<Batch>;
+  /** Create a batch, wait for it and download its results; results is empty when the batch ended without output */
+  run(params: BatchCreateParams, options?: BatchPollOptions): Promise<{ batch: Batch; results: Map<string, BatchResult> }>;
+  /** Download the output and error files, keyed by custom_id */
+  results(batch: string | Batch, options?: Omit<RequestOptions, 'routerId'>): Promise<Map<string, BatchResult>>;
+}
+
+export interface CreateManyOptions extends ChatRequestOptions {
+  /** Maximum requests in flight (default 5) */
+  concurrency?: number;
+  /** Called after each request */
+  onProgress?: (progress: { completed: number; failed: number; total: number; index: number; result: CreateManyResult }) => void;
+  /** Reject with the first error and abort the requests still running */
+  stopOnError?: boolean;
+}
+
+export interface CreateManyResult {
+  index: number;
+  completion: ChatCompletionResponse | null;
+  error: Error | null;
+}
+
 // Chat completions API
 export class ChatCompletions {
+  constructor(client: ModelPilot);
+
+  /** OpenAI-style alias: client.chat.completions.create() */
+  readonly completions: ChatCompletions;
+
+  /** Create a completion and validate its structured output */
+  parse<S extends ZodLikeSchema>(
+    params: ChatCompletionParseParams & { response_format: S },
+    options?: RequestOptions
+  ): Promise<ParsedChatCompletion<S['_output']>>;
+  parse<S extends ZodLikeSchema>(
+    params: ChatCompletionParseParams & { response_format: { type: 'json_schema'; json_schema: { schema: S } } },
+    options?: RequestOptions
+  ): Promise<ParsedChatCompletion<S['_output']>>;
+  parse<T = any>(params: ChatCompletionParseParams<T>, options?: RequestOptions): Promise<ParsedChatCompletion<T>>;
+
+  /** Run a completion with automatic tool execution */
+  runTools(params: RunToolsParams, options?: Omit<RequestOptions, 'idempotencyKey'>): ChatCompletionRunner;
+
+  /** Create many completions in parallel; results come back in input order */
+  createMany(paramsArray: ChatCompletionCreateParamsNonStreaming[], options?: CreateManyOptions): Promise<CreateManyResult[]>;
+
   create(
-    params: ChatCompletionCreateParams & { stream?: false }
+    params: ChatCompletionCreateParamsNonStreaming,
+    options?: ChatRequestOptions
   ): Promise<ChatCompletionResponse>;
   create(
-    params: ChatCompletionCreateParams & { stream: true }
+    params: ChatCompletionCreateParamsStreaming,
+    options?: StreamRequestOptions
   ): Promise<ChatCompletionStream>;
   create(
-    params: ChatCompletionCreateParams
+    params: ChatCompletionCreateParams,
+    options?: StreamRequestOptions
   ): Promise<ChatCompletionResponse | ChatCompletionStream>;
 }
 
@@ -251,17 +1366,95 @@ export class ChatCompletions {
 export class ModelPilot {
   constructor(config: ModelPilotConfig);
 
+  apiKey: string;
+  baseURL: string;
+  routerId: string;
+  timeout: number;
+  defaultHeaders: Record<string, string>;
+  maxRetries: number;
+
+  /** Underlying axios instance */
+  httpClient: AxiosInstance;
+  /** Runtime detected at construction */
+  runtime: Runtime;
+  /** Transport that sends every request (axios in Node, fetch elsewhere) */
+  transport: Transport;
+  /** Registered middleware, outermost first */
+  middleware: Middleware[];
+  /** Rate limiter every request waits on */
+  rateLimiter: TokenBucket;
+  /** null unless circuitBreaker was configured */
+  circuitBreaker: CircuitBreaker | null;
+  /** null unless cache was configured */
+  cache: ResponseCache | null;
+
+  /** Register middleware that runs around every HTTP attempt */
+  use(middleware: Middleware): this;
+
   /** Chat completions API */
   chat: ChatCompletions;
 
+  /** Embeddings API */
+  embeddings: Embeddings;
+
+  /** Legacy prompt-style completions */
+  completions: Completions;
+
+  /** Responses-style API */
+  responses: Responses;
+
+  /** File uploads and downloads */
+  files: Files;
+
+  /** Offline batches of chat completions */
+  batches: Batches;
+
   /** Make authenticated request */
-  request(endpoint: string, options?: any): Promise<any>;
+  request<T = any>(endpoint: string, options?: APIRequestOptions): Promise<T>;
 
   /** Get router configuration */
-  getRouterConfig(): Promise<RouterConfig>;
+  getRouterConfig(options?: RequestOptions): Promise<RouterConfig>;
 
   /** Get available models */
-  getModels(): Promise<Model[]>;
+  getModels(options?: Omit<RequestOptions, 'routerId'>): Promise<Model[]>;
+
+  static ModelPilot: typeof ModelPilot;
+  static default: typeof ModelPilot;
+  static ModelPilotError: typeof ModelPilotError;
+  static APIError: typeof APIError;
+  static AuthenticationError: typeof AuthenticationError;
+  static RateLimitError: typeof RateLimitError;
+  static InvalidRequestError: typeof InvalidRequestError;
+  static PermissionDeniedError: typeof PermissionDeniedError;
+  static NotFoundError: typeof NotFoundError;
+  static ConflictError: typeof ConflictError;
+  static UnprocessableEntityError: typeof UnprocessableEntityError;
+  static InternalServerError: typeof InternalServerError;
+  static APIConnectionError: typeof APIConnectionError;
+  static APITimeoutError: typeof APITimeoutError;
+  static APIUserAbortError: typeof APIUserAbortError;
+  static CircuitOpenError: typeof CircuitOpenError;
+  static ContentParseError: typeof ContentParseError;
+  static ChatCompletions: typeof ChatCompletions;
+  static ChatCompletionStream: typeof ChatCompletionStream;
+  static ChatCompletionRunner: typeof ChatCompletionRunner;
+  static Embeddings: typeof Embeddings;
+  static Completions: typeof Completions;
+  static TextCompletionStream: typeof TextCompletionStream;
+  static Responses: typeof Responses;
+  static ResponseStream: typeof ResponseStream;
+  static Files: typeof Files;
+  static FileContent: typeof FileContent;
+  static Batches: typeof Batches;
+  static TokenBucket: typeof TokenBucket;
+  static CircuitBreaker: typeof CircuitBreaker;
+  static MemoryCacheStore: typeof MemoryCacheStore;
+  static FileCacheStore: typeof FileCacheStore;
+  static ResponseCache: typeof ResponseCache;
+  static toImagePart: typeof toImagePart;
+  static toAudioPart: typeof toAudioPart;
+  static toFilePart: typeof toFilePart;
+  static testing: typeof testing;
 }
 
 export default ModelPilot;
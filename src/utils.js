@@ -3,7 +3,7 @@
  * Helper functions for the ModelPilot client
  */
 
-const { InvalidRequestError } = require('./errors');
+const { ModelPilotError, InvalidRequestError, APIUserAbortError } = require('./errors');
 
 /**
  * Validate client configuration
@@ -31,9 +31,104 @@ function validateConfig(config) {
     throw new Error('maxRetries must be a non-negative number');
   }
 
+  if(config.fetch!==undefined&&typeof config.fetch!=='function') {
+    throw new Error('fetch must be a function');
+  }
+
+  if(config.transport!==undefined&&typeof config.transport!=='function') {
+    throw new Error('transport must be a function');
+  }
+
+  if(config.middleware!==undefined&&(!Array.isArray(config.middleware)||config.middleware.some(middleware => typeof middleware!=='function'))) {
+    throw new Error('middleware must be an array of functions');
+  }
+
+  if(config.rateLimit!==undefined&&(typeof config.rateLimit!=='object'||config.rateLimit===null)) {
+    throw new Error('rateLimit must be an object or a TokenBucket');
+  }
+
+  if(config.circuitBreaker!==undefined&&typeof config.circuitBreaker!=='boolean'&&(typeof config.circuitBreaker!=='object'||config.circuitBreaker===null)) {
+    throw new Error('circuitBreaker must be a boolean, an object or a CircuitBreaker');
+  }
+
+  if(config.fallbacks!==undefined) {
+    validateFallbacks(config.fallbacks);
+  }
+
+  if(config.cache!==undefined&&typeof config.cache!=='boolean'&&(typeof config.cache!=='object'||config.cache===null)) {
+    throw new Error('cache must be a boolean, cache options or a cache store');
+  }
+
   return config;
 }
 
+/**
+ * Validate a fallback chain
+ * @param {Array<Object>} fallbacks - Entries of the form {routerId} and/or {model}
+ * @returns {Array<Object>} Validated fallbacks
+ */
+function validateFallbacks(fallbacks) {
+  if(!Array.isArray(fallbacks)) {
+    throw new Error('fallbacks must be an array');
+  }
+
+  fallbacks.forEach((fallback,index) => {
+    if(!fallback||typeof fallback!=='object') {
+      throw new Error(`fallbacks[${index}] must be an object`);
+    }
+    if(fallback.routerId===undefined&&fallback.model===undefined) {
+      throw new Error(`fallbacks[${index}] must set routerId or model`);
+    }
+    for(const key of ['routerId','model']) {
+      if(fallback[key]!==undefined&&(typeof fallback[key]!=='string'||!fallback[key])) {
+        throw new Error(`fallbacks[${index}].${key} must be a non-empty string`);
+      }
+    }
+  });
+
+  return fallbacks;
+}
+
+/**
+ * Validate per-request options
+ * @param {Object} options - Request options
+ * @returns {Object} Validated options
+ */
+function validateRequestOptions(options) {
+  if(options.timeout!==undefined&&(typeof options.timeout!=='number'||options.timeout<=0)) {
+    throw new Error('timeout must be a positive number');
+  }
+
+  if(options.maxRetries!==undefined&&(typeof options.maxRetries!=='number'||options.maxRetries<0)) {
+    throw new Error('maxRetries must be a non-negative number');
+  }
+
+  if(options.headers!==undefined&&(typeof options.headers!=='object'||options.headers===null)) {
+    throw new Error('headers must be an object');
+  }
+
+  if(options.routerId!==undefined&&(typeof options.routerId!=='string'||!options.routerId)) {
+    throw new Error('routerId must be a non-empty string');
+  }
+
+  if(options.idempotencyKey!==undefined&&typeof options.idempotencyKey!=='string') {
+    throw new Error('idempotencyKey must be a string');
+  }
+
+  return options;
+}
+
+/**
+ * Idempotency key for one of the requests a single call is made of
+ * The server treats each key as one request, so every request gets the caller's key with its own suffix
+ * @param {string} [key] - Key the caller passed
+ * @param {string|number} suffix - Identifies the request within the call, e.g. its index
+ * @returns {string|undefined} Derived key, or undefined when the caller passed none
+ */
+function deriveIdempotencyKey(key,suffix) {
+  return key? `${key}-${suffix}`:undefined;
+}
+
 /**
  * Build headers for API requests
  * @param {string} apiKey - API key (should start with 'mp_')
@@ -91,9 +186,91 @@ function validateMessages(messages) {
       throw new Error(`messages[${index}].role must be one of: system, user, assistant, function, tool`);
     }
 
-    if(!message.content&&!message.function_call&&!message.tool_calls) {
+    // A tool or function result may be empty, e.g. a search that found nothing
+    const isResult=['function','tool'].includes(message.role)&&typeof message.content==='string';
+    if(!message.content&&!isResult&&!message.function_call&&!message.tool_calls) {
       throw new Error(`messages[${index}].content is required when role is not function or tool`);
     }
+
+    if(message.content&&typeof message.content!=='string') {
+      validateContentParts(message.content,`messages[${index}].content`,message.role);
+    }
+  }
+}
+
+// Content part types that carry media, accepted in user messages only
+const MEDIA_PART_TYPES=['image_url','input_audio','file'];
+const IMAGE_DETAILS=['auto','low','high'];
+const AUDIO_FORMATS=['wav','mp3'];
+
+/**
+ * Validate the content parts of a message
+ * @param {Array} content - Content parts
+ * @param {string} path - Path used in error messages, e.g. messages[0].content
+ * @param {string} role - Role of the message
+ */
+function validateContentParts(content,path,role) {
+  if(!Array.isArray(content)) {
+    throw new InvalidRequestError(`${path} must be a string or an array of content parts`,'messages');
+  }
+
+  if(content.length===0) {
+    throw new InvalidRequestError(`${path} cannot be an empty array`,'messages');
+  }
+
+  for(const [index,part] of content.entries()) {
+    const partPath=`${path}[${index}]`;
+
+    if(!part||typeof part!=='object') {
+      throw new InvalidRequestError(`${partPath} must be an object`,'messages');
+    }
+
+    if(MEDIA_PART_TYPES.includes(part.type)&&role!=='user') {
+      throw new InvalidRequestError(`${partPath}: ${part.type} parts are only allowed in user messages`,'messages');
+    }
+
+    switch(part.type) {
+      case 'text':
+        if(typeof part.text!=='string') {
+          throw new InvalidRequestError(`${partPath}.text must be a string`,'messages');
+        }
+        break;
+      case 'refusal':
+        if(role!=='assistant'||typeof part.refusal!=='string') {
+          throw new InvalidRequestError(`${partPath}.refusal must be a string in an assistant message`,'messages');
+        }
+        break;
+      case 'image_url': {
+        const url=part.image_url?.url;
+        if(typeof url!=='string'||!/^(https?:\/\/|data:image\/[\w.+-]+;base64,)/i.test(url)) {
+          throw new InvalidRequestError(`${partPath}.image_url.url must be an http(s) URL or a base64 image data URL`,'messages');
+        }
+        if(part.image_url.detail!==undefined&&!IMAGE_DETAILS.includes(part.image_url.detail)) {
+          throw new InvalidRequestError(`${partPath}.image_url.detail must be one of: ${IMAGE_DETAILS.join(', ')}`,'messages');
+        }
+        break;
+      }
+      case 'input_audio':
+        if(typeof part.input_audio?.data!=='string'||!part.input_audio.data) {
+          throw new InvalidRequestError(`${partPath}.input_audio.data must be a base64 string`,'messages');
+        }
+        if(!AUDIO_FORMATS.includes(part.input_audio.format)) {
+          throw new InvalidRequestError(`${partPath}.input_audio.format must be one of: ${AUDIO_FORMATS.join(', ')}`,'messages');
+        }
+        break;
+      case 'file': {
+        const file=part.file;
+        if(!file||typeof file!=='object'||(typeof file.file_id!=='string'&&typeof file.file_data!=='string')) {
+          throw new InvalidRequestError(`${partPath}.file must have a file_id or file_data string`,'messages');
+        }
+        if(file.filename!==undefined&&typeof file.filename!=='string') {
+          throw new InvalidRequestError(`${partPath}.file.filename must be a string`,'messages');
+        }
+        break;
+      }
+      default:
+        throw new InvalidRequestError(`${partPath}.type must be one of: text, image_url, input_audio, file, refusal`,'messages');
+    }
   }
 }
 
@@ -154,51 +331,262 @@ function validateTools(tools) {
 }
 
 /**
- * Convert streaming data to text
- * @param {string} chunk - Raw chunk data
- * @returns {string|null} Extracted text or null
+ * Read a streamed response body into a string
+ * @param {AsyncIterable} stream - Stream of Buffer, Uint8Array or string chunks
+ * @returns {Promise<string>} Decoded body
+ */
+async function readBody(stream) {
+  const decoder=new TextDecoder('utf-8');
+  let text='';
+
+  for await(const chunk of stream) {
+    text+=typeof chunk==='string'? chunk:decoder.decode(chunk,{stream: true});
+  }
+
+  return text+decoder.decode();
+}
+
+/**
+ * Parse a response body as JSON, keeping it as text when it is not JSON
+ * @param {string} body - Response body
+ * @returns {Object|string} Parsed body
+ */
+function parseJSONBody(body) {
+  try {
+    return JSON.parse(body);
+  } catch(error) {
+    return body;
+  }
+}
+
+/**
+ * Parse the data of a streaming event into a chat completion chunk
+ * @param {string} data - Data field of a Server-Sent Event
+ * @returns {Object|null} Parsed chunk, or null for the [DONE] marker
  */
-function extractStreamingText(chunk) {
+function parseStreamingChunk(data) {
+  if(data.trim()==='[DONE]') {
+    return null;
+  }
+
+  let parsed;
   try {
-    // Remove 'data: ' prefix if present
-    const cleanChunk=chunk.replace(/^data: /,'');
+    parsed=JSON.parse(data);
+  } catch(error) {
+    throw new ModelPilotError(`Could not parse streaming chunk: ${data}`,{type: 'stream_parse_error'});
+  }
+
+  if(!parsed||typeof parsed!=='object') {
+    throw new ModelPilotError(`Unexpected streaming chunk: ${data}`,{type: 'stream_parse_error'});
+  }
+
+  // Some routed providers send message-shaped choices; normalize them to deltas
+  if(Array.isArray(parsed.choices)) {
+    parsed.choices=parsed.choices.map((choice) => {
+      if(choice&&!choice.delta&&choice.message) {
+        const {message,...rest}=choice;
+        return {...rest,delta: message};
+      }
+      return choice;
+    });
+  }
+
+  return parsed;
+}
+
+/**
+ * Merge a streamed delta into an accumulated message snapshot
+ * Tool call fragments are joined by their index, function_call fragments by concatenation
+ * @param {Object} snapshot - Message accumulated so far
+ * @param {Object} delta - Delta from a chat completion chunk
+ * @returns {Object} The updated snapshot
+ */
+function accumulateDelta(snapshot,delta) {
+  if(!delta) {
+    return snapshot;
+  }
+
+  if(delta.role) {
+    snapshot.role=delta.role;
+  }
+
+  if(typeof delta.content==='string') {
+    snapshot.content=(snapshot.content||'')+delta.content;
+  }
 
-    // Skip empty lines and [DONE] marker
-    if(!cleanChunk.trim()||cleanChunk.trim()==='[DONE]') {
-      return null;
+  if(delta.function_call) {
+    if(!snapshot.function_call) {
+      snapshot.function_call={name: '',arguments: ''};
     }
+    if(delta.function_call.name) snapshot.function_call.name+=delta.function_call.name;
+    if(delta.function_call.arguments) snapshot.function_call.arguments+=delta.function_call.arguments;
+  }
 
-    const parsed=JSON.parse(cleanChunk);
+  if(Array.isArray(delta.tool_calls)) {
+    if(!snapshot.tool_calls) {
+      snapshot.tool_calls=[];
+    }
 
-    // Extract content from different possible structures
-    if(parsed.choices&&parsed.choices[0]) {
-      const choice=parsed.choices[0];
+    for(const fragment of delta.tool_calls) {
+      const index=fragment.index!==undefined? fragment.index:snapshot.tool_calls.length;
 
-      // Handle delta format (streaming)
-      if(choice.delta&&choice.delta.content) {
-        return choice.delta.content;
+      if(!snapshot.tool_calls[index]) {
+        snapshot.tool_calls[index]={id: '',type: 'function',function: {name: '',arguments: ''}};
       }
 
-      // Handle message format (non-streaming)
-      if(choice.message&&choice.message.content) {
-        return choice.message.content;
+      const toolCall=snapshot.tool_calls[index];
+      if(fragment.id) toolCall.id=fragment.id;
+      if(fragment.type) toolCall.type=fragment.type;
+      if(fragment.function) {
+        if(fragment.function.name) toolCall.function.name+=fragment.function.name;
+        if(fragment.function.arguments) toolCall.function.arguments+=fragment.function.arguments;
       }
     }
-
-    return null;
-  } catch(error) {
-    // Ignore parsing errors for malformed chunks
-    return null;
   }
+
+  return snapshot;
+}
+
+/**
+ * Parse the JSON arguments of completed tool calls
+ * @param {Array} toolCalls - Tool calls with string arguments
+ * @returns {Array} Tool calls with function.parsed_arguments set
+ */
+function parseToolCalls(toolCalls) {
+  return (toolCalls||[]).filter(Boolean).map((toolCall) => {
+    const args=toolCall.function.arguments;
+    let parsedArguments;
+
+    try {
+      parsedArguments=args? JSON.parse(args):{};
+    } catch(error) {
+      throw new ModelPilotError(`Failed to parse arguments for tool call ${toolCall.id||toolCall.function.name}: ${error.message}`,{
+        type: 'tool_call_parse_error',
+        param: 'tool_calls'
+      });
+    }
+
+    return {
+      ...toolCall,
+      function: {...toolCall.function,parsed_arguments: parsedArguments}
+    };
+  });
 }
 
 /**
  * Sleep for specified milliseconds
  * @param {number} ms - Milliseconds to sleep
- * @returns {Promise} Promise that resolves after delay
+ * @param {AbortSignal} [signal] - Signal that cuts the sleep short
+ * @returns {Promise} Promise that resolves after delay, or rejects with APIUserAbortError when aborted
+ */
+function sleep(ms,signal) {
+  if(signal?.aborted) {
+    return Promise.reject(new APIUserAbortError());
+  }
+
+  return new Promise((resolve,reject) => {
+    const onAbort=() => {
+      clearTimeout(timer);
+      reject(new APIUserAbortError());
+    };
+    const timer=setTimeout(() => {
+      signal?.removeEventListener('abort',onAbort);
+      resolve();
+    },ms);
+
+    signal?.addEventListener('abort',onAbort,{once: true});
+  });
+}
+
+/**
+ * Abort a controller when another signal aborts
+ * @param {AbortController} controller - Controller to abort
+ * @param {AbortSignal} [signal] - Signal to follow
+ */
+function linkAbortSignal(controller,signal) {
+  if(!signal) {
+    return;
+  }
+
+  if(signal.aborted) {
+    controller.abort();
+  } else {
+    signal.addEventListener('abort',() => controller.abort(),{once: true});
+  }
+}
+
+/**
+ * Split an async iterable into several that each yield every item
+ * Items are buffered until every branch has read them
+ * @param {AsyncIterable} source - Iterable to split
+ * @param {number} [count=2] - Number of branches
+ * @returns {Array<AsyncIterable>} Branches
+ */
+function teeAsyncIterable(source,count=2) {
+  const iterator=source[Symbol.asyncIterator]();
+  const buffers=Array.from({length: count},() => []);
+  let pending=null;
+
+  // One read from the source feeds every branch
+  const pull=() => {
+    if(!pending) {
+      pending=iterator.next().then(
+        (result) => {
+          pending=null;
+          for(const buffer of buffers) buffer.push(result);
+        },
+        (error) => {
+          pending=null;
+          for(const buffer of buffers) buffer.push({error});
+        }
+      );
+    }
+    return pending;
+  };
+
+  return buffers.map(buffer => ({
+    async *[Symbol.asyncIterator]() {
+      for(;;) {
+        if(buffer.length===0) {
+          await pull();
+        }
+
+        const item=buffer.shift();
+        if(item.error) {
+          throw item.error;
+        }
+        if(item.done) {
+          return;
+        }
+        yield item.value;
+      }
+    }
+  }));
+}
+
+/**
+ * Load Node's fs module without making bundlers include it
+ * The ES module build has no require, so it falls back to a dynamic import
+ * @returns {Promise<Object|null>} fs, or null outside Node
+ */
+async function loadFS() {
+  try {
+    return require('fs');
+  } catch(error) {
+    return import('node:fs').catch(() => null);
+  }
+}
+
+/**
+ * Load Node's crypto module without making bundlers include it
+ * @returns {Promise<Object|null>} crypto, or null outside Node
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve,ms));
+async function loadCrypto() {
+  try {
+    return require('crypto');
+  } catch(error) {
+    return import('node:crypto').catch(() => null);
+  }
 }
 
 /**
@@ -211,12 +599,24 @@ function generateRequestId() {
 
 module.exports={
   validateConfig,
+  validateFallbacks,
+  validateRequestOptions,
+  deriveIdempotencyKey,
   buildHeaders,
   handleResponse,
   validateMessages,
+  validateContentParts,
   validateFunctions,
   validateTools,
-  extractStreamingText,
+  readBody,
+  parseJSONBody,
+  parseStreamingChunk,
+  accumulateDelta,
+  parseToolCalls,
   sleep,
+  linkAbortSignal,
+  teeAsyncIterable,
+  loadFS,
+  loadCrypto,
   generateRequestId
 };